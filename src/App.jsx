@@ -2,15 +2,58 @@ import { BrowserRouter, Routes, Route } from 'react-router-dom';
 import LandingPage from './pages/LandingPage';
 import AuthPage from './pages/AuthPage';
 import DashboardPage from './pages/DashboardPage';
+import AdminPage from './pages/AdminPage';
+import StudentPage from './pages/StudentPage';
+import StudentCardsPage from './pages/StudentCardsPage';
+import { AuthProvider } from './components/AuthProvider';
+import { ClassesProvider } from './components/ClassesProvider';
+import RequireAuth from './components/RequireAuth';
+import UpdatePrompt from './components/UpdatePrompt';
 
 const App = () => (
-  <BrowserRouter>
-    <Routes>
-      <Route path="/" element={<LandingPage />} />
-      <Route path="/auth" element={<AuthPage />} />
-      <Route path="/app" element={<DashboardPage />} />
-    </Routes>
-  </BrowserRouter>
+  <AuthProvider>
+    <ClassesProvider>
+      <BrowserRouter>
+        <Routes>
+          <Route path="/" element={<LandingPage />} />
+          <Route path="/auth" element={<AuthPage />} />
+          <Route
+            path="/app"
+            element={
+              <RequireAuth>
+                <DashboardPage />
+              </RequireAuth>
+            }
+          />
+          <Route
+            path="/app/students/:id"
+            element={
+              <RequireAuth>
+                <StudentPage />
+              </RequireAuth>
+            }
+          />
+          <Route
+            path="/app/classes/:classId/cards"
+            element={
+              <RequireAuth>
+                <StudentCardsPage />
+              </RequireAuth>
+            }
+          />
+          <Route
+            path="/app/admin"
+            element={
+              <RequireAuth role="admin">
+                <AdminPage />
+              </RequireAuth>
+            }
+          />
+        </Routes>
+        <UpdatePrompt />
+      </BrowserRouter>
+    </ClassesProvider>
+  </AuthProvider>
 );
 
 export default App;
@@ -0,0 +1,134 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { readCache, writeCache } from '../lib/offlineStore';
+import { supabase } from '../lib/supabaseClient';
+import { buildPermissions, fetchOrCreateProfile } from '../lib/teacherProfiles';
+
+const AuthContext = createContext(null);
+
+// Keeps the current Supabase session in React state. `expired` is set when a
+// session disappears without the teacher pressing "Sign out" (refresh token
+// rejected, session revoked elsewhere, ...), so the login page can explain why.
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [expired, setExpired] = useState(false);
+  const [profile, setProfile] = useState(null);
+  const [profileLoading, setProfileLoading] = useState(false);
+  const [profileError, setProfileError] = useState('');
+  const signingOut = useRef(false);
+  const hadSession = useRef(false);
+
+  useEffect(() => {
+    let active = true;
+
+    supabase.auth.getSession().then(({ data, error }) => {
+      if (!active) return;
+      if (error) console.error('Failed to read session', error);
+      const current = data?.session ?? null;
+      hadSession.current = Boolean(current);
+      setSession(current);
+      setLoading(false);
+    });
+
+    const { data } = supabase.auth.onAuthStateChange((event, next) => {
+      if (!active) return;
+      if (!next && hadSession.current && !signingOut.current) setExpired(true);
+      if (next) setExpired(false);
+      if (event === 'SIGNED_OUT') signingOut.current = false;
+      hadSession.current = Boolean(next);
+      setSession(next);
+      setLoading(false);
+    });
+
+    return () => {
+      active = false;
+      data.subscription.unsubscribe();
+    };
+  }, []);
+
+  // Supabase refreshes tokens in the background; if the tab was asleep past
+  // expiry and the refresh never happened, re-check once the deadline passes.
+  useEffect(() => {
+    if (!session?.expires_at) return undefined;
+    const msLeft = session.expires_at * 1000 - Date.now();
+    const t = setTimeout(async () => {
+      const { data } = await supabase.auth.getSession();
+      if (!data?.session || data.session.expires_at * 1000 <= Date.now()) {
+        hadSession.current = false;
+        setExpired(true);
+        setSession(null);
+      }
+    }, Math.max(msLeft, 0) + 1000);
+    return () => clearTimeout(t);
+  }, [session]);
+
+  const userId = session?.user?.id;
+
+  // The last profile is cached so an offline reload still opens the app with
+  // the teacher's classes and role instead of an error page.
+  const loadProfile = useCallback(async (user) => {
+    setProfileLoading(true);
+    setProfileError('');
+    try {
+      const loaded = await fetchOrCreateProfile(user);
+      setProfile(loaded);
+      writeCache('profile', loaded);
+    } catch (error) {
+      console.error('Failed to load teacher profile', error);
+      const cached = await readCache('profile');
+      if (cached?.id === user.id) {
+        setProfile(cached);
+      } else {
+        setProfileError('Could not load your teacher profile.');
+        setProfile(null);
+      }
+    } finally {
+      setProfileLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!userId) {
+      setProfile(null);
+      return;
+    }
+    loadProfile(session.user);
+    // only reload when the signed-in user changes, not on every token refresh
+  }, [userId, loadProfile]);
+
+  const refreshProfile = useCallback(() => session?.user && loadProfile(session.user), [session, loadProfile]);
+
+  const signOut = useCallback(async () => {
+    signingOut.current = true;
+    setExpired(false);
+    const { error } = await supabase.auth.signOut();
+    if (error) {
+      console.error('Failed to sign out', error);
+      signingOut.current = false;
+    }
+    setSession(null);
+  }, []);
+
+  const permissions = useMemo(() => buildPermissions(profile), [profile]);
+
+  const value = {
+    session,
+    user: session?.user ?? null,
+    // profile is fetched right after the session, so count that as loading too
+    loading: loading || (Boolean(userId) && !profile && !profileError),
+    profileLoading,
+    expired,
+    profile,
+    profileError,
+    permissions,
+    refreshProfile,
+    signOut,
+  };
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error('useAuth must be used inside <AuthProvider>');
+  return ctx;
+};
@@ -0,0 +1,73 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { useAuth } from './AuthProvider';
+import { SEED_CLASSES, activeClasses, fetchClasses, setClassCatalog } from '../lib/classCatalog';
+import { readCache, writeCache } from '../lib/offlineStore';
+
+const ClassesContext = createContext(null);
+
+// Loads the `classes` table once signed in (cached for offline use). Until the
+// table has rows the built-in seed list is used, so a fresh project still works.
+export const ClassesProvider = ({ children }) => {
+  const { session } = useAuth();
+  const [allClasses, setAllClasses] = useState(SEED_CLASSES);
+  const [seeded, setSeeded] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const apply = useCallback((list) => {
+    setSeeded(list.length > 0);
+    const next = list.length ? list : SEED_CLASSES;
+    setClassCatalog(next);
+    setAllClasses(next);
+  }, []);
+
+  const refresh = useCallback(async () => {
+    try {
+      const loaded = await fetchClasses();
+      apply(loaded);
+      writeCache('classes', loaded);
+    } catch (error) {
+      console.error('Failed to load classes', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apply]);
+
+  const userId = session?.user?.id;
+
+  useEffect(() => {
+    if (!userId) return;
+    let active = true;
+    readCache('classes').then((cached) => {
+      if (active && cached) apply(cached);
+      refresh();
+    });
+    return () => {
+      active = false;
+    };
+  }, [userId, apply, refresh]);
+
+  const value = useMemo(
+    () => ({
+      // active classes in corridor order — what every picker shows
+      classes: activeClasses(allClasses),
+      allClasses,
+      // false while running on the built-in seed list
+      seeded,
+      loading,
+      refresh,
+      replaceClasses: (list) => {
+        apply(list);
+        writeCache('classes', list);
+      },
+    }),
+    [allClasses, seeded, loading, refresh, apply],
+  );
+
+  return <ClassesContext.Provider value={value}>{children}</ClassesContext.Provider>;
+};
+
+export const useClasses = () => {
+  const ctx = useContext(ClassesContext);
+  if (!ctx) throw new Error('useClasses must be used inside <ClassesProvider>');
+  return ctx;
+};
@@ -0,0 +1,65 @@
+import { ETHIOPIAN_MONTHS, ethiopianMonthLength, fromEthiopian, toEthiopian, todayIso } from '../lib/ethiopianCalendar';
+
+// Date picker that always emits ISO `YYYY-MM-DD`. In Ethiopian mode it shows
+// day / month / year selects instead of the browser's Gregorian picker.
+const DateInput = ({ value, onChange, calendar, style, allowEmpty = false }) => {
+  if (calendar !== 'ethiopian') {
+    return <input type="date" value={value} onChange={(e) => onChange(e.target.value)} style={style} />;
+  }
+
+  const current = toEthiopian(value || todayIso());
+  const thisYear = toEthiopian(todayIso()).year;
+  const years = [];
+  for (let y = thisYear + 1; y >= thisYear - 10; y -= 1) years.push(y);
+
+  // clamp the day when switching to Pagume or a non-leap year
+  const emit = (patch) => {
+    const next = { ...current, ...patch };
+    next.day = Math.min(next.day, ethiopianMonthLength(next.year, next.month));
+    onChange(fromEthiopian(next));
+  };
+
+  const days = Array.from({ length: ethiopianMonthLength(current.year, current.month) }, (_, i) => i + 1);
+  const selectStyle = { ...style, width: 'auto', flex: 'none' };
+
+  return (
+    <span style={{ display: 'inline-flex', gap: '4px', alignItems: 'center' }}>
+      {allowEmpty && !value ? (
+        <button type="button" onClick={() => onChange(todayIso())} style={selectStyle}>
+          Any date
+        </button>
+      ) : (
+        <>
+          <select value={current.day} onChange={(e) => emit({ day: Number(e.target.value) })} style={selectStyle}>
+            {days.map((d) => (
+              <option key={d} value={d}>
+                {d}
+              </option>
+            ))}
+          </select>
+          <select value={current.month} onChange={(e) => emit({ month: Number(e.target.value) })} style={selectStyle}>
+            {ETHIOPIAN_MONTHS.map((m, i) => (
+              <option key={m.en} value={i + 1}>
+                {m.am} ({m.en})
+              </option>
+            ))}
+          </select>
+          <select value={current.year} onChange={(e) => emit({ year: Number(e.target.value) })} style={selectStyle}>
+            {years.map((y) => (
+              <option key={y} value={y}>
+                {y} ዓ.ም
+              </option>
+            ))}
+          </select>
+          {allowEmpty && (
+            <button type="button" onClick={() => onChange('')} style={selectStyle} title="Clear date">
+              ✕
+            </button>
+          )}
+        </>
+      )}
+    </span>
+  );
+};
+
+export default DateInput;
@@ -0,0 +1,61 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from './AuthProvider';
+
+const Notice = ({ title, children, onSignOut }) => (
+  <div className="auth-page">
+    <div className="card auth-card">
+      <h2>{title}</h2>
+      <p className="hint">{children}</p>
+      {onSignOut && (
+        <button className="btn btn-secondary" onClick={onSignOut}>
+          Sign out
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+// Route guard: renders children only for a signed-in, approved teacher,
+// otherwise sends them to /auth and remembers where they were going in
+// `state.from`. Pass `role="admin"` to restrict a route to admins.
+const RequireAuth = ({ children, role }) => {
+  const { session, loading, expired, profile, profileError, signOut } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="auth-page">
+        <p className="hint">Checking your session…</p>
+      </div>
+    );
+  }
+
+  if (!session) {
+    return <Navigate to="/auth" replace state={{ from: location, reason: expired ? 'expired' : undefined }} />;
+  }
+
+  if (profileError) {
+    return (
+      <Notice title="Something went wrong" onSignOut={signOut}>
+        {profileError} Please reload the page or try again later.
+      </Notice>
+    );
+  }
+
+  if (!profile.approved) {
+    return (
+      <Notice title="Waiting for approval" onSignOut={signOut}>
+        Your account ({profile.email}) was created. An admin needs to approve it and assign your class before you can
+        take attendance.
+      </Notice>
+    );
+  }
+
+  if (role && profile.role !== role) {
+    return <Navigate to="/app" replace />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
@@ -0,0 +1,37 @@
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+// Shown when a new version of the app has been downloaded by the service worker.
+const UpdatePrompt = () => {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    offlineReady: [offlineReady, setOfflineReady],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisterError: (error) => console.error('Service worker registration failed', error),
+  });
+
+  if (!needRefresh && !offlineReady) return null;
+
+  const dismiss = () => {
+    setNeedRefresh(false);
+    setOfflineReady(false);
+  };
+
+  return (
+    <div className="update-prompt card" role="status">
+      <p>{needRefresh ? 'A new version of the attendance app is available.' : 'The app is ready to work offline.'}</p>
+      <div className="update-prompt-actions">
+        {needRefresh && (
+          <button className="btn btn-primary" onClick={() => updateServiceWorker(true)}>
+            Update now
+          </button>
+        )}
+        <button className="btn btn-secondary" onClick={dismiss}>
+          {needRefresh ? 'Later' : 'OK'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,29 @@
+// Attendance status catalog. `code` is what is stored in attendance_records.status.
+// countsAsPresent: included in the attendance rate.
+// excused: not present, but not held against the student (permission).
+// enabled: offered as a marking button; disabled codes still display if they exist in old records.
+export const ATTENDANCE_STATUSES = [
+  { code: 'P', label: 'Present', labelAm: 'ተገኝቷል', color: '#4caf50', countsAsPresent: true, excused: false, enabled: true },
+  { code: 'L', label: 'Late', labelAm: 'አርፍዷል', color: '#f9a825', countsAsPresent: true, excused: false, enabled: true },
+  { code: 'EL', label: 'Excused late', labelAm: 'በፈቃድ አርፍዷል', color: '#8d6e63', countsAsPresent: true, excused: true, enabled: false },
+  { code: 'PR', label: 'Permission', labelAm: 'ፈቃድ', color: '#1976d2', countsAsPresent: false, excused: true, enabled: true },
+  { code: 'A', label: 'Absent', labelAm: 'ቀሪ', color: '#e53935', countsAsPresent: false, excused: false, enabled: true },
+];
+
+export const MARKING_STATUSES = ATTENDANCE_STATUSES.filter((s) => s.enabled);
+
+const LEGACY_CODES = { PRESENT: 'P', ABSENT: 'A', PERMISSION: 'PR', LATE: 'L' };
+
+export const getStatus = (code) => ATTENDANCE_STATUSES.find((s) => s.code === code) || null;
+
+// Normalizes what comes back from the database ('p', ' Present ', ...) to a catalog code.
+export const normalizeStatusCode = (value) => {
+  if (!value) return null;
+  const upper = String(value).trim().toUpperCase();
+  return LEGACY_CODES[upper] || upper;
+};
+
+export const isAbsentStatus = (code) => {
+  const status = getStatus(code);
+  return Boolean(status) && !status.countsAsPresent && !status.excused;
+};
@@ -1,6 +1,7 @@
+// Built-in class list: the seed for the `classes` table (see lib/classCatalog.js).
 export const CLASS_CORRIDOR = [
-  { id: "class0", label: "ደቂቅ (0ኛ)", description: "Age 4 - 6" },
-  { id: "class0B", label: "ደቂቅ (0ኛ)", description: "Age 7 - 8" },
+  { id: "class0", label: "ደቂቅ ሀ (0ኛ)", description: "Age 4 - 6" },
+  { id: "class0B", label: "ደቂቅ ለ (0ኛ)", description: "Age 7 - 8" },
   { id: "class1", label: "ህፃናት (1ኛ)", description: "Age 9" },
   { id: "class2", label: "ህፃናት ሀ (2ተኛ)", description: "Age 10" },
   { id: "class3", label: "ህፃናት ለ (3ተኛ)", description: "Age 11" },
@@ -0,0 +1,5 @@
+// School identity shown on the landing page and in the installed app's manifest.
+export const CHURCH_NAME_AM = 'የፍኖተ ሎዛ ቅድስት ማርያም ቤተ ክርስቲያን';
+export const SCHOOL_NAME_AM = 'መራሔ ጽድቅ ሰንበት ትምህርት ቤት';
+export const APP_SHORT_NAME = 'መራሔ ጽድቅ';
+export const APP_DESCRIPTION = 'Sunday School Attendance';
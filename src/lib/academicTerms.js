@@ -0,0 +1,112 @@
+import { supabase } from './supabaseClient';
+import { ethiopianMonthLength, fromEthiopian, toEthiopian } from './ethiopianCalendar';
+
+/*
+  Academic years follow the Ethiopian year (Meskerem 1 – Pagume), split into terms:
+    academic_years: year (int, E.C., primary key), start_date (date), end_date (date)
+    academic_terms: id (uuid), year (int -> academic_years, on delete cascade),
+                    name (text), start_date (date), end_date (date)
+
+  The dashboard works inside a "scope": a term, a whole year or all time, kept
+  as a string key ('term:<id>', 'year:<year>', 'all'). A scope that ended
+  before today is browsed read-only (archive mode).
+*/
+
+export const ALL_TIME = 'all';
+
+export const ethiopianYearRange = (year) => ({
+  startDate: fromEthiopian({ year, month: 1, day: 1 }),
+  endDate: fromEthiopian({ year, month: 13, day: ethiopianMonthLength(year, 13) }),
+});
+
+// Two terms split at the Tir / Yekatit boundary, as most Sunday schools run them.
+export const defaultTermsForYear = (year) => [
+  { name: '1ኛ ወሰነ ትምህርት', startDate: fromEthiopian({ year, month: 1, day: 1 }), endDate: fromEthiopian({ year, month: 5, day: 30 }) },
+  { name: '2ኛ ወሰነ ትምህርት', startDate: fromEthiopian({ year, month: 6, day: 1 }), endDate: ethiopianYearRange(year).endDate },
+];
+
+export const currentEthiopianYear = (today) => toEthiopian(today)?.year;
+
+const mapYearFromDb = (row) => ({ year: row.year, startDate: row.start_date, endDate: row.end_date, terms: [] });
+
+export const mapTermFromDb = (row) => ({ id: row.id, year: row.year, name: row.name ?? '', startDate: row.start_date, endDate: row.end_date });
+
+const mapTermToDb = (term) => ({ year: term.year, name: term.name, start_date: term.startDate, end_date: term.endDate });
+
+// Years newest first, each with its terms in date order.
+export const fetchAcademicYears = async () => {
+  const [{ data: years, error }, { data: terms, error: termsError }] = await Promise.all([
+    supabase.from('academic_years').select('*').order('year', { ascending: false }),
+    supabase.from('academic_terms').select('*').order('start_date', { ascending: true }),
+  ]);
+  if (error) throw error;
+  if (termsError) throw termsError;
+  const byYear = Object.fromEntries((years || []).map((row) => [row.year, mapYearFromDb(row)]));
+  (terms || []).map(mapTermFromDb).forEach((term) => byYear[term.year]?.terms.push(term));
+  return Object.values(byYear).sort((a, b) => b.year - a.year);
+};
+
+// Creates the year with the default two terms.
+export const createAcademicYear = async (year) => {
+  const { startDate, endDate } = ethiopianYearRange(year);
+  const { data, error } = await supabase.from('academic_years').insert({ year, start_date: startDate, end_date: endDate }).select().single();
+  if (error) throw error;
+  const { data: terms, error: termsError } = await supabase
+    .from('academic_terms')
+    .insert(defaultTermsForYear(year).map((t) => mapTermToDb({ ...t, year })))
+    .select();
+  if (termsError) throw termsError;
+  return { ...mapYearFromDb(data), terms: (terms || []).map(mapTermFromDb) };
+};
+
+export const saveTerm = async (term) => {
+  const query = term.id
+    ? supabase.from('academic_terms').update(mapTermToDb(term)).eq('id', term.id)
+    : supabase.from('academic_terms').insert(mapTermToDb(term));
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+  return mapTermFromDb(data);
+};
+
+export const deleteTerm = async (termId) => {
+  const { error } = await supabase.from('academic_terms').delete().eq('id', termId);
+  if (error) throw error;
+};
+
+// ---------------- scopes ----------------
+
+// { key, label, from, to } for a scope key; unknown keys fall back to all time.
+export const resolveScope = (key, years) => {
+  if (key?.startsWith('year:')) {
+    const year = years.find((y) => `year:${y.year}` === key);
+    if (year) return { key, label: `${year.year} ዓ.ም`, from: year.startDate, to: year.endDate, year: year.year };
+  }
+  if (key?.startsWith('term:')) {
+    for (const year of years) {
+      const term = year.terms.find((t) => `term:${t.id}` === key);
+      if (term) return { key, label: `${year.year} ዓ.ም · ${term.name}`, from: term.startDate, to: term.endDate, year: year.year };
+    }
+  }
+  return { key: ALL_TIME, label: 'All time', from: '', to: '', year: null };
+};
+
+// The term running today, else the year, else all time.
+export const defaultScopeKey = (years, today) => {
+  for (const year of years) {
+    const term = year.terms.find((t) => t.startDate <= today && today <= t.endDate);
+    if (term) return `term:${term.id}`;
+    if (year.startDate <= today && today <= year.endDate) return `year:${year.year}`;
+  }
+  return ALL_TIME;
+};
+
+export const isArchiveScope = (scope, today) => Boolean(scope.to && scope.to < today);
+
+export const isDateInScope = (scope, date) => !(scope.from && date < scope.from) && !(scope.to && date > scope.to);
+
+// A date inside the scope for the day picker: today if possible, else the nearest end.
+export const clampToScope = (scope, date) => {
+  if (scope.from && date < scope.from) return scope.from;
+  if (scope.to && date > scope.to) return scope.to;
+  return date;
+};
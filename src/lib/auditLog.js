@@ -0,0 +1,176 @@
+import { supabase } from './supabaseClient';
+import { getStatus } from '../data/attendanceStatuses';
+import { classLabel } from './classCatalog';
+
+/*
+  Append-only trail of attendance and roster changes:
+    audit_log: id (bigint identity), actor_id (uuid -> auth.users), actor_name (text),
+               action (text, see ACTIONS), entity (text: 'attendance' | 'student'),
+               entity_id (text: student id, or 'studentId|date' for attendance),
+               student_id (uuid, no foreign key so history outlives the student),
+               class_id (text), before (jsonb), after (jsonb),
+               created_at (timestamptz default now())
+
+  Row level security allows insert where actor_id = auth.uid(), and select for
+  admins and for teachers of the row's class_id; there are no update or delete
+  policies, so rows cannot be changed from the app.
+
+  Writing an entry never fails the change it describes: errors are logged to
+  the console and the mutation goes ahead.
+*/
+
+export const ACTIONS = [
+  { id: 'attendance.mark', label: 'Marked attendance' },
+  { id: 'attendance.clear', label: 'Cleared attendance' },
+  { id: 'student.create', label: 'Added student' },
+  { id: 'student.update', label: 'Edited student' },
+  { id: 'student.import', label: 'Imported student' },
+  { id: 'student.archive', label: 'Archived student' },
+  { id: 'student.restore', label: 'Restored student' },
+  { id: 'student.delete', label: 'Deleted student' },
+  { id: 'student.merge', label: 'Merged duplicate' },
+  { id: 'student.promote', label: 'Promoted student' },
+  { id: 'student.renumber', label: 'Changed roll number' },
+];
+
+export const actionLabel = (id) => ACTIONS.find((a) => a.id === id)?.label ?? id;
+
+const toNumber = (value) => (value === '' || value == null ? null : Number(value));
+
+// The fields worth keeping in before/after for a student; form values ('5', '')
+// are normalized so an untouched field does not show up as changed.
+export const studentSnapshot = (student) =>
+  student
+    ? {
+        name: student.name,
+        classId: student.classId,
+        rollNumber: toNumber(student.rollNumber),
+        age: toNumber(student.age),
+        phone: student.phone || null,
+        altPhone: student.altPhone || null,
+        archivedAt: student.archivedAt ?? null,
+        archiveReason: student.archiveReason ?? null,
+      }
+    : null;
+
+export const studentEntry = (action, before, after) => {
+  const student = after || before;
+  return {
+    action,
+    entity: 'student',
+    entityId: student.id,
+    studentId: student.id,
+    classId: student.classId,
+    before: studentSnapshot(before),
+    after: studentSnapshot(after),
+  };
+};
+
+// `before` / `after` are status codes (null when there was / is no record).
+export const attendanceEntry = ({ studentId, classId, date }, before, after) => ({
+  action: after ? 'attendance.mark' : 'attendance.clear',
+  entity: 'attendance',
+  entityId: `${studentId}|${date}`,
+  studentId,
+  classId,
+  before: before ? { date, status: before } : null,
+  after: after ? { date, status: after } : null,
+});
+
+// Only the fields that differ, as [{ field, before, after }].
+export const diffSnapshots = (before, after) => {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys
+    .filter((key) => JSON.stringify(before?.[key] ?? null) !== JSON.stringify(after?.[key] ?? null))
+    .map((key) => ({ field: key, before: before?.[key] ?? null, after: after?.[key] ?? null }));
+};
+
+const FIELD_LABELS = {
+  name: 'Name',
+  classId: 'Class',
+  rollNumber: 'Roll',
+  age: 'Age',
+  phone: 'Phone',
+  altPhone: 'Alt phone',
+  archivedAt: 'Archived',
+  archiveReason: 'Archive reason',
+  status: 'Status',
+};
+
+const showValue = (field, value) => {
+  if (value == null || value === '') return '—';
+  if (field === 'classId') return classLabel(value);
+  if (field === 'status') return getStatus(value)?.label ?? value;
+  if (field === 'archivedAt') return String(value).slice(0, 10);
+  return String(value);
+};
+
+// Human-readable "Field: before → after" lines for an entry.
+export const describeChanges = (entry) => {
+  if (entry.entity === 'attendance') {
+    const date = entry.after?.date ?? entry.before?.date;
+    return [`${date}: ${showValue('status', entry.before?.status)} → ${showValue('status', entry.after?.status)}`];
+  }
+  if (!entry.before) return [`${entry.after?.name ?? ''} (${showValue('classId', entry.after?.classId)})`];
+  if (!entry.after || entry.after.mergedInto) return [`${entry.before.name} (${showValue('classId', entry.before.classId)})`];
+  return diffSnapshots(entry.before, entry.after).map(({ field, before, after }) => `${FIELD_LABELS[field] ?? field}: ${showValue(field, before)} → ${showValue(field, after)}`);
+};
+
+// ---------------- data access ----------------
+
+// The actor is the signed-in teacher, { user, profile } as from useAuth().
+export const recordAudit = async (entries, { user, profile } = {}) => {
+  const list = (Array.isArray(entries) ? entries : [entries]).filter(Boolean);
+  if (!list.length) return;
+  const { error } = await supabase.from('audit_log').insert(
+    list.map((entry) => ({
+      actor_id: user?.id ?? null,
+      actor_name: profile?.fullName || user?.email || null,
+      action: entry.action,
+      entity: entry.entity,
+      entity_id: entry.entityId,
+      student_id: entry.studentId ?? null,
+      class_id: entry.classId ?? null,
+      before: entry.before ?? null,
+      after: entry.after ?? null,
+    })),
+  );
+  if (error) console.error('[Audit] could not record', list.map((e) => e.action).join(', '), error);
+};
+
+export const mapAuditFromDb = (row) => ({
+  id: row.id,
+  actorId: row.actor_id,
+  actorName: row.actor_name ?? '',
+  action: row.action,
+  entity: row.entity,
+  entityId: row.entity_id,
+  studentId: row.student_id,
+  classId: row.class_id,
+  before: row.before,
+  after: row.after,
+  createdAt: row.created_at,
+});
+
+export const AUDIT_PAGE_SIZE = 200;
+
+// Newest first; `from` / `to` are ISO dates on created_at (inclusive). `before`
+// is the last entry of the previous page: a batch is one insert, so many rows
+// share a created_at and the id breaks the tie.
+export const fetchAuditLog = async ({ actorId, classId, studentId, from, to, before } = {}) => {
+  let query = supabase
+    .from('audit_log')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(AUDIT_PAGE_SIZE);
+  if (actorId) query = query.eq('actor_id', actorId);
+  if (classId) query = query.eq('class_id', classId);
+  if (studentId) query = query.eq('student_id', studentId);
+  if (from) query = query.gte('created_at', `${from}T00:00:00`);
+  if (to) query = query.lte('created_at', `${to}T23:59:59.999`);
+  if (before) query = query.or(`created_at.lt."${before.createdAt}",and(created_at.eq."${before.createdAt}",id.lt.${before.id})`);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(mapAuditFromDb);
+};
@@ -0,0 +1,123 @@
+import { supabase } from './supabaseClient';
+import { CLASS_CORRIDOR } from '../data/classConfig';
+import { parseAgeRange } from './rosterValidation';
+
+/*
+  Classes live in the `classes` table so admins can add sections without a deploy:
+    id (text, primary key — existing rows keep 'class0' … 'class6' so
+    students.class_id and attendance_records.class_id stay valid),
+    label (text), description (text), min_age (int), max_age (int),
+    position (int, corridor order), retired (boolean), created_at (timestamptz)
+
+  CLASS_CORRIDOR in data/classConfig.js is only the seed: it is used until the
+  table has rows, and "Seed classes" on the admin screen copies it in.
+
+  Retired classes keep their id and label (old attendance still refers to them)
+  but no longer show up in pickers or the promotion corridor.
+*/
+
+export const SEED_CLASSES = CLASS_CORRIDOR.map((k, position) => {
+  const range = parseAgeRange(k.description);
+  return { ...k, minAge: range?.min ?? null, maxAge: range?.max ?? null, position, retired: false };
+});
+
+export const mapClassFromDb = (row) => ({
+  id: row.id,
+  label: row.label ?? '',
+  description: row.description ?? '',
+  minAge: row.min_age ?? null,
+  maxAge: row.max_age ?? null,
+  position: row.position ?? 0,
+  retired: Boolean(row.retired),
+});
+
+const toAge = (value) => (value === '' || value == null ? null : Number(value));
+
+export const mapClassToDb = (klass) => ({
+  id: klass.id,
+  label: klass.label,
+  description: klass.description || null,
+  min_age: toAge(klass.minAge),
+  max_age: toAge(klass.maxAge),
+  position: klass.position,
+  retired: Boolean(klass.retired),
+});
+
+export const describeAgeRange = (minAge, maxAge) => {
+  if (minAge == null || minAge === '') return '';
+  return maxAge == null || maxAge === '' || Number(maxAge) === Number(minAge) ? `Age ${minAge}` : `Age ${minAge} - ${maxAge}`;
+};
+
+// Short unique id for a new class; ids are never shown, only stored on students.
+export const newClassId = () => `class-${Date.now().toString(36)}`;
+
+// ---------------- shared catalog ----------------
+// Module-level copy of the loaded list so plain helpers (labels in exports,
+// promotion order) see the same classes as the ClassesProvider.
+
+let catalog = SEED_CLASSES;
+
+export const setClassCatalog = (classes) => {
+  catalog = classes?.length ? classes : SEED_CLASSES;
+};
+
+export const getClassCatalog = () => catalog;
+
+// Active classes in corridor order.
+export const activeClasses = (classes = catalog) => classes.filter((k) => !k.retired).sort((a, b) => a.position - b.position);
+
+export const classLabel = (classId) => catalog.find((k) => k.id === classId)?.label ?? 'Unknown';
+
+const classNumber = (text) => {
+  const digits = String(text).match(/\d+/);
+  return digits ? Number(digits[0]) : null;
+};
+
+// Class named in an Excel cell: id, label, or a class number ("2", "2ተኛ",
+// "grade 2") matched against the number in the labels. null when nothing
+// matches or the cell fits more than one class equally well.
+export const matchClassName = (value, classes = activeClasses()) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return null;
+  const byId = classes.find((k) => k.id.toLowerCase() === text);
+  if (byId) return byId.id;
+  // the longest label wins, so a cell with a longer label is not taken for a shorter one inside it
+  const byLabel = classes.filter((k) => k.label && text.includes(k.label.toLowerCase()));
+  if (byLabel.length) {
+    const longest = Math.max(...byLabel.map((k) => k.label.length));
+    const best = byLabel.filter((k) => k.label.length === longest);
+    return best.length === 1 ? best[0].id : null;
+  }
+  const number = classNumber(text);
+  if (number === null) return null;
+  const byNumber = classes.filter((k) => classNumber(k.label) === number);
+  return byNumber.length === 1 ? byNumber[0].id : null;
+};
+
+// ---------------- data access ----------------
+
+export const fetchClasses = async () => {
+  const { data, error } = await supabase.from('classes').select('*').order('position', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(mapClassFromDb);
+};
+
+export const saveClass = async (klass) => {
+  const { data, error } = await supabase.from('classes').upsert(mapClassToDb(klass)).select().single();
+  if (error) throw error;
+  return mapClassFromDb(data);
+};
+
+// Writes `position` for every class in one request after a reorder.
+export const saveClassOrder = async (classes) => {
+  const ordered = classes.map((k, position) => ({ ...k, position }));
+  const { error } = await supabase.from('classes').upsert(ordered.map(mapClassToDb));
+  if (error) throw error;
+  return ordered;
+};
+
+export const seedClasses = async () => {
+  const { data, error } = await supabase.from('classes').insert(SEED_CLASSES.map(mapClassToDb)).select();
+  if (error) throw error;
+  return (data || []).map(mapClassFromDb).sort((a, b) => a.position - b.position);
+};
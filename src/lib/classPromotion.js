@@ -0,0 +1,132 @@
+import { supabase } from './supabaseClient';
+import { classAgeRange } from './rosterValidation';
+
+/*
+  Year-end promotion: every student moves one step up the class corridor (the
+  active classes in order, see classCatalog.js), except those held back or
+  graduating out of the last class. The whole plan is
+  applied by one database function so a dropped connection cannot leave half
+  a school promoted.
+
+  class_history rows keep where a student was before each move, so reports for
+  a past year still count attendance under the class the child was in then:
+    id (bigint identity), student_id (uuid -> students, on delete cascade),
+    class_id (text), until (date, last day in that class),
+    promoted_by (uuid -> auth.users), created_at (timestamptz)
+
+  create function promote_students(moves jsonb, promoted_on date) returns void
+  language plpgsql as $$
+  declare m jsonb;
+  begin
+    for m in select * from jsonb_array_elements(moves) loop
+      if (m->>'to_class') is distinct from (m->>'from_class') then
+        insert into class_history (student_id, class_id, until, promoted_by)
+        values ((m->>'student_id')::uuid, m->>'from_class', promoted_on - 1, auth.uid());
+      end if;
+      update students set
+        class_id = coalesce(m->>'to_class', class_id),
+        roll_number = case when (m->>'to_class') is distinct from (m->>'from_class') then null else roll_number end,
+        age = case when (m->>'bump_age')::boolean and age is not null then age + 1 else age end,
+        archived_at = case when m->>'to_class' is null then now() else archived_at end,
+        archive_reason = case when m->>'to_class' is null then 'graduated' else archive_reason end,
+        archived_by = case when m->>'to_class' is null then auth.uid() else archived_by end
+      where id = (m->>'student_id')::uuid;
+    end loop;
+  end $$;
+*/
+
+export const HOLD = 'hold';
+export const GRADUATE = 'graduate';
+
+export const nextClassId = (classId, corridor) => {
+  const index = corridor.findIndex((k) => k.id === classId);
+  if (index === -1) return null;
+  return corridor[index + 1]?.id ?? GRADUATE;
+};
+
+// The class whose age range fits, or null (no age / no class fits).
+export const classForAge = (age, corridor) => {
+  const n = Number(age);
+  if (!Number.isInteger(n) || n <= 0) return null;
+  return (
+    corridor.find((k) => {
+      const range = classAgeRange(k);
+      return range && n >= range.min && n <= range.max;
+    })?.id ?? null
+  );
+};
+
+// One entry per student: `target` is a class id, HOLD or GRADUATE. `ageSuggestion`
+// is set when the child's age next year fits a different class than the default.
+export const proposePromotions = (students, corridor) => {
+  const oldestMax = classAgeRange(corridor[corridor.length - 1])?.max ?? Infinity;
+  return students.map((student) => {
+    const target = nextClassId(student.classId, corridor) ?? HOLD;
+    const nextAge = student.age === '' || student.age == null ? null : Number(student.age) + 1;
+    let byAge = classForAge(nextAge, corridor);
+    if (!byAge && nextAge > oldestMax) byAge = GRADUATE;
+    if (byAge === student.classId) byAge = HOLD;
+    return { student, target, ageSuggestion: byAge && byAge !== target ? byAge : null };
+  });
+};
+
+export const summarizePlan = (plan) =>
+  plan.reduce(
+    (acc, { target }) => {
+      if (target === HOLD) acc.held += 1;
+      else if (target === GRADUATE) acc.graduated += 1;
+      else acc.promoted += 1;
+      return acc;
+    },
+    { promoted: 0, held: 0, graduated: 0 },
+  );
+
+const toMove = ({ student, target }, bumpAge) => ({
+  student_id: student.id,
+  from_class: student.classId,
+  to_class: target === GRADUATE ? null : target === HOLD ? student.classId : target,
+  bump_age: bumpAge,
+});
+
+export const applyPromotions = async (plan, { promotedOn, bumpAge }) => {
+  // held-back students only need a row when their age changes
+  const moves = plan.filter((entry) => entry.target !== HOLD || bumpAge).map((entry) => toMove(entry, bumpAge));
+  if (!moves.length) return;
+  const { error } = await supabase.rpc('promote_students', { moves, promoted_on: promotedOn });
+  if (error) throw error;
+};
+
+// Local equivalent of promote_students for one student, so state can be updated without a refetch.
+export const promotedStudent = ({ student, target }, { bumpAge }) => {
+  const next = { ...student };
+  if (bumpAge && student.age !== '' && student.age != null) next.age = Number(student.age) + 1;
+  if (target === GRADUATE) return { ...next, archivedAt: new Date().toISOString(), archiveReason: 'graduated' };
+  if (target !== HOLD && target !== student.classId) return { ...next, classId: target, rollNumber: '' };
+  return next;
+};
+
+export const mapHistoryFromDb = (row) => ({ studentId: row.student_id, classId: row.class_id, until: row.until });
+
+// Whole school, or one student's moves when `studentId` is given.
+export const fetchClassHistory = async (studentId) => {
+  let query = supabase.from('class_history').select('student_id, class_id, until');
+  if (studentId) query = query.eq('student_id', studentId);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(mapHistoryFromDb);
+};
+
+// classOn(student, isoDate): the class the student was in on that date.
+// everIn(student, classId): current class or any earlier one.
+export const createClassResolver = (history) => {
+  const byStudent = {};
+  (history || []).forEach((h) => (byStudent[h.studentId] = byStudent[h.studentId] || []).push(h));
+  Object.values(byStudent).forEach((rows) => rows.sort((a, b) => (a.until < b.until ? -1 : 1)));
+  return {
+    classOn: (student, date) => byStudent[student.id]?.find((h) => date <= h.until)?.classId ?? student.classId,
+    everIn: (student, classId) => student.classId === classId || Boolean(byStudent[student.id]?.some((h) => h.classId === classId)),
+  };
+};
+
+// Without any history every student is simply in their current class.
+export const CURRENT_CLASS_ONLY = createClassResolver([]);
@@ -0,0 +1,103 @@
+import { supabase } from './supabaseClient';
+
+/*
+  A class session is one class meeting on one date, stored in `class_sessions`:
+    id (uuid), class_id (text), date (date), status (text: 'open' | 'closed'),
+    cancelled (boolean), cancel_reason (text), teacher_id (uuid), teacher_email (text),
+    notes (text), opened_at (timestamptz), closed_at (timestamptz)
+  with a unique constraint on (class_id, date).
+
+  Reports count non-cancelled sessions as class days. Closing a session writes
+  an explicit 'A' for every student who was left unmarked.
+*/
+
+export const mapSessionFromDb = (row) => ({
+  id: row.id,
+  classId: row.class_id,
+  date: row.date,
+  status: row.status || 'open',
+  cancelled: Boolean(row.cancelled),
+  cancelReason: row.cancel_reason ?? '',
+  teacherId: row.teacher_id ?? null,
+  teacherEmail: row.teacher_email ?? '',
+  notes: row.notes ?? '',
+  openedAt: row.opened_at ?? null,
+  closedAt: row.closed_at ?? null,
+});
+
+export const findSession = (sessions, classId, date) => (sessions || []).find((s) => s.classId === classId && s.date === date) || null;
+
+// { [date]: session } for one class — what the report and history builders use.
+export const sessionsByDate = (sessions, classId) =>
+  (sessions || []).reduce((acc, s) => {
+    if (s.classId === classId) acc[s.date] = s;
+    return acc;
+  }, {});
+
+export const fetchSessions = async () => {
+  const { data, error } = await supabase.from('class_sessions').select('*').order('date', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(mapSessionFromDb);
+};
+
+export const fetchSessionsForClasses = async (classIds) => {
+  const { data, error } = await supabase.from('class_sessions').select('*').in('class_id', classIds).order('date', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(mapSessionFromDb);
+};
+
+const upsertSession = async (payload) => {
+  const { data, error } = await supabase.from('class_sessions').upsert(payload, { onConflict: 'class_id,date' }).select().single();
+  if (error) throw error;
+  return mapSessionFromDb(data);
+};
+
+export const openSession = (classId, date, user) =>
+  upsertSession({
+    class_id: classId,
+    date,
+    status: 'open',
+    cancelled: false,
+    cancel_reason: null,
+    teacher_id: user?.id ?? null,
+    teacher_email: user?.email ?? null,
+    opened_at: new Date().toISOString(),
+    closed_at: null,
+  });
+
+export const cancelSession = (classId, date, reason, user) =>
+  upsertSession({
+    class_id: classId,
+    date,
+    status: 'closed',
+    cancelled: true,
+    cancel_reason: reason || null,
+    teacher_id: user?.id ?? null,
+    teacher_email: user?.email ?? null,
+    closed_at: new Date().toISOString(),
+  });
+
+const updateSession = async (sessionId, patch) => {
+  const { data, error } = await supabase.from('class_sessions').update(patch).eq('id', sessionId).select().single();
+  if (error) throw error;
+  return mapSessionFromDb(data);
+};
+
+export const saveSessionNotes = (sessionId, notes) => updateSession(sessionId, { notes: notes || null });
+
+export const reopenSession = (sessionId) => updateSession(sessionId, { status: 'open', cancelled: false, cancel_reason: null, closed_at: null });
+
+// Marks every unmarked student absent in one batched upsert, then closes the session.
+export const closeSession = async (session, unmarkedStudentIds) => {
+  if (unmarkedStudentIds.length) {
+    const rows = unmarkedStudentIds.map((studentId) => ({
+      student_id: studentId,
+      class_id: session.classId,
+      date: session.date,
+      status: 'A',
+    }));
+    const { error } = await supabase.from('attendance_records').upsert(rows);
+    if (error) throw error;
+  }
+  return updateSession(session.id, { status: 'closed', closed_at: new Date().toISOString() });
+};
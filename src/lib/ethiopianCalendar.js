@@ -0,0 +1,108 @@
+/*
+  Gregorian <-> Ethiopian (Amete Mihret) calendar conversion.
+
+  The Ethiopian year has 12 months of 30 days plus Pagume (ጳጉሜ), which has
+  5 days, or 6 in a leap year. A year is leap when year % 4 === 3, i.e. the
+  year before the Gregorian leap year, so Meskerem 1 falls on Sept 11 or,
+  after a leap year, Sept 12.
+
+  Both directions go through the Julian Day Number, and all dates are handled
+  as ISO `YYYY-MM-DD` strings in local time so attendance_records keeps
+  storing plain ISO dates whatever the display calendar is.
+*/
+
+const ETHIOPIAN_EPOCH = 1723856; // JDN of Meskerem 1, year 1 minus 365 days
+const UNIX_EPOCH_JDN = 2440588;
+const DAY_MS = 86400000;
+
+export const ETHIOPIAN_MONTHS = [
+  { am: 'መስከረም', en: 'Meskerem' },
+  { am: 'ጥቅምት', en: 'Tikimt' },
+  { am: 'ኅዳር', en: 'Hidar' },
+  { am: 'ታኅሣሥ', en: 'Tahsas' },
+  { am: 'ጥር', en: 'Tir' },
+  { am: 'የካቲት', en: 'Yekatit' },
+  { am: 'መጋቢት', en: 'Megabit' },
+  { am: 'ሚያዝያ', en: 'Miyazya' },
+  { am: 'ግንቦት', en: 'Ginbot' },
+  { am: 'ሰኔ', en: 'Sene' },
+  { am: 'ሐምሌ', en: 'Hamle' },
+  { am: 'ነሐሴ', en: 'Nehase' },
+  { am: 'ጳጉሜ', en: 'Pagume' },
+];
+
+export const CALENDARS = [
+  { id: 'ethiopian', label: 'ዓ.ም (Ethiopian)' },
+  { id: 'gregorian', label: 'Gregorian' },
+];
+
+export const isEthiopianLeapYear = (year) => ((year % 4) + 4) % 4 === 3;
+
+export const ethiopianMonthLength = (year, month) => {
+  if (month < 13) return 30;
+  return isEthiopianLeapYear(year) ? 6 : 5;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const isoToJdn = (iso) => {
+  const [y, m, d] = String(iso).split('-').map(Number);
+  if (!y || !m || !d) return NaN;
+  return Math.floor(Date.UTC(y, m - 1, d) / DAY_MS) + UNIX_EPOCH_JDN;
+};
+
+const jdnToIso = (jdn) => {
+  const date = new Date((jdn - UNIX_EPOCH_JDN) * DAY_MS);
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+// ISO Gregorian date -> { year, month (1-13), day }, or null for bad input.
+export const toEthiopian = (iso) => {
+  const jdn = isoToJdn(iso);
+  if (Number.isNaN(jdn)) return null;
+  const r = (((jdn - ETHIOPIAN_EPOCH) % 1461) + 1461) % 1461;
+  const n = (r % 365) + 365 * Math.floor(r / 1460);
+  const year = 4 * Math.floor((jdn - ETHIOPIAN_EPOCH) / 1461) + Math.floor(r / 365) - Math.floor(r / 1460);
+  return { year, month: Math.floor(n / 30) + 1, day: (n % 30) + 1 };
+};
+
+// Ethiopian { year, month, day } -> ISO Gregorian date.
+export const fromEthiopian = ({ year, month, day }) => {
+  const jdn = ETHIOPIAN_EPOCH + 365 + 365 * (year - 1) + Math.floor(year / 4) + 30 * month + day - 31;
+  return jdnToIso(jdn);
+};
+
+// Today's date as ISO in the device's timezone (toISOString() would give the
+// UTC date, which is yesterday for early-morning marking in UTC+3).
+export const todayIso = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+export const addDaysIso = (iso, days) => jdnToIso(isoToJdn(iso) + days);
+
+// Short display label, e.g. "ጥቅምት 8" / "Oct 18". Pass `withYear` for ranges.
+export const formatDate = (iso, calendar = 'gregorian', { withYear = false } = {}) => {
+  if (!iso) return '';
+  if (calendar === 'ethiopian') {
+    const et = toEthiopian(iso);
+    if (!et) return iso;
+    const label = `${ETHIOPIAN_MONTHS[et.month - 1].am} ${et.day}`;
+    return withYear ? `${label}, ${et.year}` : label;
+  }
+  try {
+    const [y, m, d] = iso.split('-').map(Number);
+    const options = withYear ? { month: 'short', day: 'numeric', year: 'numeric' } : { month: 'short', day: 'numeric' };
+    return new Intl.DateTimeFormat('en-US', options).format(new Date(y, m - 1, d));
+  } catch {
+    return iso;
+  }
+};
+
+// Range label for report headers; open ends read as "start" / "today".
+export const formatDateRange = (from, to, calendar) => {
+  if (!from && !to) return 'All dates';
+  const start = from ? formatDate(from, calendar, { withYear: true }) : 'start';
+  const end = to ? formatDate(to, calendar, { withYear: true }) : 'today';
+  return `${start} – ${end}`;
+};
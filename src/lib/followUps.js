@@ -0,0 +1,175 @@
+import { supabase } from './supabaseClient';
+import { getStatus } from '../data/attendanceStatuses';
+import { buildTimeline, enrolment } from './studentStats';
+
+/*
+  Absence follow-ups: students absent several class days in a row are flagged
+  so the teacher calls home.
+    follow_ups: id (uuid), student_id (uuid -> students, on delete cascade),
+                class_id (text), absences (int, length of the run when saved),
+                since (date, first absence of the run), last_absent_on (date),
+                status (text: 'open' | 'closed'), closed_at (timestamptz),
+                created_at (timestamptz)
+    follow_up_calls: id (uuid), follow_up_id (uuid -> follow_ups, on delete cascade),
+                     outcome (text, see CALL_OUTCOMES), note (text),
+                     called_by (uuid -> auth.users), author_name (text),
+                     created_at (timestamptz)
+
+  Flags are computed from attendance on every load; a follow_ups row is only
+  written when the teacher logs the first call. A closed follow-up covers its
+  run, so the student is flagged again only after attending and then missing
+  another `threshold` class days.
+*/
+
+export const DEFAULT_FOLLOW_UP_THRESHOLD = 3;
+const THRESHOLD_STORAGE_KEY = 'senbet.followUpThreshold';
+
+export const loadThreshold = () => Number(localStorage.getItem(THRESHOLD_STORAGE_KEY)) || DEFAULT_FOLLOW_UP_THRESHOLD;
+
+export const saveThreshold = (value) => localStorage.setItem(THRESHOLD_STORAGE_KEY, String(value));
+
+// `closes`: the default for "close this follow-up" when logging that outcome.
+export const CALL_OUTCOMES = [
+  { id: 'sick', label: 'Sick', labelAm: 'ታሟል', closes: true },
+  { id: 'travelling', label: 'Travelling', labelAm: 'መንገድ ሄዷል', closes: true },
+  { id: 'no_answer', label: 'No answer', labelAm: 'አልተነሳም', closes: false },
+  { id: 'other', label: 'Other', labelAm: 'ሌላ', closes: false },
+];
+
+export const outcomeLabel = (id) => CALL_OUTCOMES.find((o) => o.id === id)?.label ?? id;
+
+// Trailing run of unexcused absences on a timeline ([{ date, code }]).
+// Permission days neither break nor extend the run.
+export const trailingAbsences = (timeline) => {
+  let count = 0;
+  let since = null;
+  let last = null;
+  for (let i = timeline.length - 1; i >= 0; i -= 1) {
+    const status = getStatus(timeline[i].code);
+    if (!status || status.excused) continue;
+    if (status.countsAsPresent) break;
+    count += 1;
+    since = timeline[i].date;
+    last = last ?? timeline[i].date;
+  }
+  return { count, since, last };
+};
+
+// [{ student, count, since, last }] for students whose current run reaches the threshold.
+// Sessions before the student joined don't count, so new students start with no run.
+export const findAbsenceRuns = (students, attendance, sessions, resolver, threshold) =>
+  students
+    .map((student) => {
+      const classSessions = (sessions || []).filter((s) => resolver.everIn(student, s.classId));
+      const timeline = buildTimeline(attendance[student.id] || {}, classSessions, (date) => resolver.classOn(student, date), enrolment(student));
+      return { student, ...trailingAbsences(timeline) };
+    })
+    .filter((run) => run.count >= threshold);
+
+/*
+  The queue: stored follow-ups merged with live runs. Each item is
+  { key, student, followUp | null, count, since, last, status }.
+  - a run with no follow-up covering it is a new, open item
+  - an open follow-up shows the live run length when the student is still absent
+  - closed follow-ups are listed as closed
+*/
+export const buildFollowUpQueue = (runs, followUps, students) => {
+  const studentById = Object.fromEntries(students.map((s) => [s.id, s]));
+  const runByStudent = Object.fromEntries(runs.map((run) => [run.student.id, run]));
+  const items = [];
+  const covered = new Set();
+
+  followUps.forEach((followUp) => {
+    const student = studentById[followUp.studentId];
+    if (!student) return;
+    const run = runByStudent[followUp.studentId];
+    const current = run && followUp.status === 'open' && run.since <= followUp.lastAbsentOn;
+    if (run && run.since <= followUp.lastAbsentOn) covered.add(followUp.studentId);
+    items.push({
+      key: followUp.id,
+      student,
+      followUp,
+      count: current ? run.count : followUp.absences,
+      since: followUp.since,
+      last: current ? run.last : followUp.lastAbsentOn,
+      status: followUp.status,
+    });
+  });
+
+  runs.forEach((run) => {
+    if (covered.has(run.student.id)) return;
+    items.push({ key: `new-${run.student.id}`, student: run.student, followUp: null, ...run, status: 'open' });
+  });
+
+  return items.sort((a, b) => b.count - a.count || (a.last < b.last ? 1 : -1));
+};
+
+// ---------------- data access ----------------
+
+const mapCallFromDb = (row) => ({
+  id: row.id,
+  outcome: row.outcome,
+  note: row.note ?? '',
+  authorName: row.author_name ?? '',
+  createdAt: row.created_at,
+});
+
+export const mapFollowUpFromDb = (row) => ({
+  id: row.id,
+  studentId: row.student_id,
+  classId: row.class_id,
+  absences: row.absences ?? 0,
+  since: row.since,
+  lastAbsentOn: row.last_absent_on,
+  status: row.status || 'open',
+  closedAt: row.closed_at,
+  createdAt: row.created_at,
+  calls: (row.calls || []).map(mapCallFromDb).sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1)),
+});
+
+export const fetchFollowUps = async () => {
+  const { data, error } = await supabase.from('follow_ups').select('*, calls:follow_up_calls(*)').order('created_at', { ascending: false });
+  if (error) throw error;
+  return (data || []).map(mapFollowUpFromDb);
+};
+
+/*
+  Logs a call against a queue item, creating its follow_ups row first when the
+  item was only a live flag. `close` closes the follow-up in the same step.
+*/
+export const logFollowUpCall = async (item, { outcome, note, close }, { user, profile }) => {
+  let followUp = item.followUp;
+  const run = { absences: item.count, since: item.since, last_absent_on: item.last };
+  if (!followUp) {
+    const { data, error } = await supabase
+      .from('follow_ups')
+      .insert({ student_id: item.student.id, class_id: item.student.classId, status: 'open', ...run })
+      .select()
+      .single();
+    if (error) throw error;
+    followUp = mapFollowUpFromDb(data);
+  }
+
+  const { data: call, error: callError } = await supabase
+    .from('follow_up_calls')
+    .insert({ follow_up_id: followUp.id, outcome, note: note || null, called_by: user?.id ?? null, author_name: profile?.fullName || user?.email || null })
+    .select()
+    .single();
+  if (callError) throw callError;
+
+  const changes = { ...run, status: close ? 'closed' : 'open', closed_at: close ? new Date().toISOString() : null };
+  const { data, error } = await supabase.from('follow_ups').update(changes).eq('id', followUp.id).select().single();
+  if (error) throw error;
+  return { ...mapFollowUpFromDb(data), calls: [mapCallFromDb(call), ...followUp.calls] };
+};
+
+export const setFollowUpStatus = async (followUp, status) => {
+  const { data, error } = await supabase
+    .from('follow_ups')
+    .update({ status, closed_at: status === 'closed' ? new Date().toISOString() : null })
+    .eq('id', followUp.id)
+    .select()
+    .single();
+  if (error) throw error;
+  return { ...mapFollowUpFromDb(data), calls: followUp.calls };
+};
@@ -0,0 +1,164 @@
+import { supabase } from './supabaseClient';
+import { normalizePhone } from './rosterValidation';
+
+/*
+  Parents / guardians, shared between siblings:
+    guardians: id (uuid), full_name (text), phone (text), telegram (text),
+               language (text: 'am' | 'om' | 'ti' | 'en'),
+               channel (text: 'call' | 'sms' | 'telegram'), created_at (timestamptz)
+    student_guardians: student_id (uuid -> students, on delete cascade),
+                       guardian_id (uuid -> guardians, on delete cascade),
+                       relationship (text), is_primary (boolean),
+                       primary key (student_id, guardian_id)
+
+  Relationship and the primary flag live on the link: the same mother is
+  "mother" and primary contact for each of her children. Students' own
+  phone / alt_phone stay as a fallback for rosters without guardians yet.
+*/
+
+export const RELATIONSHIPS = [
+  { id: 'mother', label: 'Mother', labelAm: 'እናት' },
+  { id: 'father', label: 'Father', labelAm: 'አባት' },
+  { id: 'guardian', label: 'Guardian', labelAm: 'አሳዳጊ' },
+  { id: 'sibling', label: 'Older sibling', labelAm: 'ወንድም / እህት' },
+  { id: 'godparent', label: 'Godparent', labelAm: 'የክርስትና አባት / እናት' },
+  { id: 'other', label: 'Other', labelAm: 'ሌላ' },
+];
+
+export const LANGUAGES = [
+  { id: 'am', label: 'አማርኛ' },
+  { id: 'om', label: 'Afaan Oromoo' },
+  { id: 'ti', label: 'ትግርኛ' },
+  { id: 'en', label: 'English' },
+];
+
+// How the guardian prefers to be reached.
+export const CHANNELS = [
+  { id: 'call', label: 'Phone call' },
+  { id: 'sms', label: 'SMS' },
+  { id: 'telegram', label: 'Telegram' },
+];
+
+export const relationshipLabel = (id) => RELATIONSHIPS.find((r) => r.id === id)?.label ?? id ?? '';
+
+// Excel cells like "እናት" or "Mother" -> relationship id; unknown text -> 'other'.
+export const matchRelationship = (value) => {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) return 'guardian';
+  return RELATIONSHIPS.find((r) => text === r.id || text === r.label.toLowerCase() || text.includes(r.labelAm))?.id ?? 'other';
+};
+
+export const emptyGuardian = () => ({ id: null, name: '', phone: '', telegram: '', language: 'am', channel: 'call', relationship: 'mother', isPrimary: false });
+
+export const mapGuardianFromDb = (row) => ({
+  id: row.id,
+  name: row.full_name ?? '',
+  phone: row.phone ?? '',
+  telegram: row.telegram ?? '',
+  language: row.language || 'am',
+  channel: row.channel || 'call',
+});
+
+const mapGuardianToDb = (guardian) => ({
+  full_name: guardian.name,
+  phone: normalizePhone(guardian.phone) || null,
+  telegram: guardian.telegram ? guardian.telegram.replace(/^@?/, '@') : null,
+  language: guardian.language || 'am',
+  channel: guardian.channel || 'call',
+});
+
+// { [studentId]: [guardian + relationship/isPrimary] }, primary contact first.
+export const fetchGuardiansByStudent = async () => {
+  const { data, error } = await supabase.from('student_guardians').select('student_id, relationship, is_primary, guardian:guardians(*)');
+  if (error) throw error;
+  const byStudent = {};
+  (data || []).forEach((row) => {
+    if (!row.guardian) return;
+    (byStudent[row.student_id] = byStudent[row.student_id] || []).push({
+      ...mapGuardianFromDb(row.guardian),
+      relationship: row.relationship,
+      isPrimary: Boolean(row.is_primary),
+    });
+  });
+  Object.values(byStudent).forEach((list) => list.sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary)));
+  return byStudent;
+};
+
+// Every guardian already linked to someone, so siblings can reuse a parent.
+export const allGuardians = (byStudent) => {
+  const byId = {};
+  Object.values(byStudent || {}).forEach((list) => list.forEach((g) => (byId[g.id] = g)));
+  return Object.values(byId);
+};
+
+export const findGuardianByPhone = (guardians, phone) => {
+  const normalized = normalizePhone(phone);
+  return normalized ? guardians.find((g) => normalizePhone(g.phone) === normalized) ?? null : null;
+};
+
+// Saves the guardian (reusing `guardian.id` if set) and links it to the student.
+// Marking a primary contact clears the flag on the student's other guardians.
+export const saveStudentGuardian = async (studentId, guardian) => {
+  const query = guardian.id
+    ? supabase.from('guardians').update(mapGuardianToDb(guardian)).eq('id', guardian.id)
+    : supabase.from('guardians').insert(mapGuardianToDb(guardian));
+  const { data, error } = await query.select().single();
+  if (error) throw error;
+
+  if (guardian.isPrimary) {
+    const { error: clearError } = await supabase.from('student_guardians').update({ is_primary: false }).eq('student_id', studentId).neq('guardian_id', data.id);
+    if (clearError) throw clearError;
+  }
+  const { error: linkError } = await supabase
+    .from('student_guardians')
+    .upsert({ student_id: studentId, guardian_id: data.id, relationship: guardian.relationship, is_primary: Boolean(guardian.isPrimary) });
+  if (linkError) throw linkError;
+  return { ...mapGuardianFromDb(data), relationship: guardian.relationship, isPrimary: Boolean(guardian.isPrimary) };
+};
+
+export const unlinkGuardian = async (studentId, guardianId) => {
+  const { error } = await supabase.from('student_guardians').delete().eq('student_id', studentId).eq('guardian_id', guardianId);
+  if (error) throw error;
+};
+
+// Links of `fromId` added to `toId` (used when merging duplicates); `toId`'s
+// own primary contact, if any, stays primary.
+export const copyGuardianLinks = async (fromId, toId) => {
+  const { data, error } = await supabase.from('student_guardians').select('*').in('student_id', [fromId, toId]);
+  if (error) throw error;
+  const target = (data || []).filter((link) => link.student_id === toId);
+  const hasPrimary = target.some((link) => link.is_primary);
+  const rows = (data || [])
+    .filter((link) => link.student_id === fromId && !target.some((t) => t.guardian_id === link.guardian_id))
+    .map((link) => ({ ...link, student_id: toId, is_primary: link.is_primary && !hasPrimary }));
+  if (!rows.length) return;
+  const { error: copyError } = await supabase.from('student_guardians').insert(rows);
+  if (copyError) throw copyError;
+};
+
+// Guardians from imported rows ([{ studentId, row }]); a phone number already on
+// file means the same parent, so siblings end up sharing one guardian record.
+export const importGuardians = async (pairs, existing) => {
+  const known = [...existing];
+  const linked = {};
+  for (const { studentId, row } of pairs) {
+    if (!String(row.guardianName ?? '').trim()) continue;
+    const match = findGuardianByPhone(known, row.phone);
+    const saved = await saveStudentGuardian(studentId, {
+      ...(match || emptyGuardian()),
+      name: match?.name || String(row.guardianName).trim(),
+      phone: match?.phone || row.phone,
+      telegram: match?.telegram || row.guardianTelegram || '',
+      channel: match?.channel || (row.guardianTelegram ? 'telegram' : 'call'),
+      relationship: matchRelationship(row.guardianRelationship),
+      isPrimary: true,
+    });
+    if (!match) known.push(saved);
+    (linked[studentId] = linked[studentId] || []).push(saved);
+  }
+  return linked;
+};
+
+// "Almaz (Mother): 0911…" for tables and exports.
+export const describeGuardian = (guardian) =>
+  `${guardian.name} (${relationshipLabel(guardian.relationship)})${guardian.phone ? `: ${guardian.phone}` : ''}`;
@@ -0,0 +1,172 @@
+/*
+  In-memory stand-in for the parts of the supabase-js client this app uses
+  (from().select/insert/upsert/update/delete with eq/match/order/range/single).
+  Useful for exercising the sync engine without a network:
+
+    const client = createLocalClient({ attendance_records: [...] });
+    client.setOnline(false); // every query now fails like a dropped connection
+
+  Rows are plain objects; upsert conflicts are resolved on PRIMARY_KEYS.
+*/
+
+const PRIMARY_KEYS = {
+  attendance_records: ['student_id', 'date'],
+  class_sessions: ['class_id', 'date'],
+};
+
+const OFFLINE_ERROR = { message: 'TypeError: Failed to fetch', details: '', hint: '', code: '' };
+
+const localId = () => (typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `local-${Date.now()}-${Math.random().toString(16).slice(2)}`);
+
+const pick = (row, columns) => {
+  if (!columns || columns === '*') return { ...row };
+  return columns
+    .split(',')
+    .map((c) => c.trim())
+    .reduce((acc, c) => ({ ...acc, [c]: row[c] }), {});
+};
+
+class LocalQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.filters = [];
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.ordering = null;
+    this.window = null;
+    this.cardinality = 'many';
+  }
+
+  select(columns = '*') {
+    if (this.action === 'select') this.columns = columns;
+    else this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictKeys = options.onConflict ? options.onConflict.split(',').map((c) => c.trim()) : null;
+    this.ignoreDuplicates = Boolean(options.ignoreDuplicates);
+    return this;
+  }
+
+  update(patch) {
+    this.action = 'update';
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push((row) => row[column] === value);
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push((row) => values.includes(row[column]));
+    return this;
+  }
+
+  match(criteria) {
+    Object.entries(criteria).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering = { column, ascending };
+    return this;
+  }
+
+  range(from, to) {
+    this.window = [from, to];
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybe';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every((fn) => fn(row));
+  }
+
+  execute() {
+    if (!this.client.online) return { data: null, error: OFFLINE_ERROR };
+    const rows = this.client.tables[this.table] || (this.client.tables[this.table] = []);
+    let result = [];
+
+    if (this.action === 'select') {
+      result = rows.filter((row) => this.matches(row));
+    } else if (this.action === 'insert') {
+      result = this.payload.map((row) => ({ id: localId(), ...row }));
+      rows.push(...result);
+    } else if (this.action === 'upsert') {
+      const keys = this.conflictKeys || PRIMARY_KEYS[this.table] || ['id'];
+      result = this.payload
+        .map((row) => {
+          const existing = rows.find((r) => keys.every((k) => r[k] === row[k]));
+          if (existing) return this.ignoreDuplicates ? null : Object.assign(existing, row);
+          const created = { id: localId(), ...row };
+          rows.push(created);
+          return created;
+        })
+        .filter(Boolean);
+    } else if (this.action === 'update') {
+      result = rows.filter((row) => this.matches(row)).map((row) => Object.assign(row, this.payload));
+    } else if (this.action === 'delete') {
+      result = rows.filter((row) => this.matches(row));
+      this.client.tables[this.table] = rows.filter((row) => !result.includes(row));
+    }
+
+    if (this.ordering) {
+      const { column, ascending } = this.ordering;
+      result = [...result].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+    }
+    if (this.window) result = result.slice(this.window[0], this.window[1] + 1);
+
+    const data = this.action === 'select' || this.returning ? result.map((row) => pick(row, this.columns)) : null;
+    if (this.cardinality === 'many') return { data, error: null };
+    if (!data || data.length === 0) {
+      return this.cardinality === 'maybe' ? { data: null, error: null } : { data: null, error: { message: 'No rows found', code: 'PGRST116' } };
+    }
+    if (data.length > 1) return { data: null, error: { message: 'Multiple rows returned', code: 'PGRST116' } };
+    return { data: data[0], error: null };
+  }
+}
+
+export const createLocalClient = (seed = {}) => {
+  const client = {
+    online: true,
+    tables: Object.fromEntries(Object.entries(seed).map(([table, rows]) => [table, rows.map((r) => ({ ...r }))])),
+    from: (table) => new LocalQuery(client, table),
+    setOnline: (value) => {
+      client.online = Boolean(value);
+    },
+  };
+  return client;
+};
@@ -0,0 +1,209 @@
+import { supabase } from './supabaseClient';
+import { SCHOOL_NAME_AM } from '../data/school';
+import { classLabel } from './classCatalog';
+import { formatDate } from './ethiopianCalendar';
+
+/*
+  Absence messages to guardians. Every message goes through a provider:
+    { id, label, send({ channel, to, text }) -> { providerMessageId } }
+  The SMS gateway and Telegram bot providers call Supabase Edge Functions
+  (`send-sms`, `send-telegram`) so gateway keys and the bot token never reach
+  the browser. Telegram only delivers to chats that have started the bot, so
+  the function resolves the guardian's @handle to a chat id.
+
+  VITE_MESSAGING_PROVIDER=live switches to them; anything else uses the mock
+  provider, which only records messages on this device.
+
+  What was sent is kept in:
+    notification_log: id (uuid), student_id (uuid -> students, on delete cascade),
+                      guardian_id (uuid -> guardians, null for the student's own phone),
+                      channel (text: 'sms' | 'telegram'), provider (text),
+                      recipient (text), template (text), language (text), body (text),
+                      status (text: 'sent' | 'failed'), error (text),
+                      provider_message_id (text), sent_by (uuid -> auth.users),
+                      sender_name (text), created_at (timestamptz)
+*/
+
+// ---------------- templates ----------------
+
+export const TEMPLATES = [
+  {
+    id: 'absent',
+    label: 'Absent on a day',
+    am: 'ሰላም {guardian}፤ {student} {date} በ{class} ትምህርት ላይ አልተገኙም። ምክንያቱን ቢያሳውቁን እናመሰግናለን። — {school}',
+    en: 'Hello {guardian}, {student} was absent from {class} on {date}. Please let us know the reason. — {school}',
+  },
+  {
+    id: 'summary',
+    label: 'Absences in the report period',
+    am: 'ሰላም {guardian}፤ {student} በ{class} ትምህርት {count} ጊዜ ቀርተዋል ({dates})። እባክዎ ያነጋግሩን። — {school}',
+    en: 'Hello {guardian}, {student} has missed {count} classes in {class} ({dates}). Please get in touch with us. — {school}',
+  },
+];
+
+// Oromo and Tigrinya speakers get Amharic until those templates are written.
+export const messageLanguage = (preferred) => (preferred === 'en' ? 'en' : 'am');
+
+const fill = (text, values) => text.replace(/\{(\w+)\}/g, (match, key) => (values[key] != null ? String(values[key]) : match));
+
+// Amharic messages always use Ethiopian dates, English ones the teacher's calendar.
+export const renderMessage = (templateId, language, { student, guardianName, dates }, calendar) => {
+  const template = TEMPLATES.find((t) => t.id === templateId) ?? TEMPLATES[0];
+  const dateCalendar = language === 'am' ? 'ethiopian' : calendar;
+  const formatted = dates.map((d) => formatDate(d, dateCalendar, { withYear: true }));
+  return fill(template[language], {
+    guardian: guardianName || (language === 'am' ? 'ወላጅ' : 'parent'),
+    student: student.name,
+    class: classLabel(student.classId),
+    date: formatted[formatted.length - 1] ?? '',
+    dates: formatted.join(', '),
+    count: dates.length,
+    school: SCHOOL_NAME_AM,
+  });
+};
+
+// ---------------- recipients ----------------
+
+/*
+  Who gets the message for a student: the primary guardian on their preferred
+  channel (Telegram only with a handle), or the student's own phone by SMS when
+  no guardian is on file. null when there is no way to reach anyone.
+*/
+export const recipientFor = (student, guardians = []) => {
+  const guardian = guardians.find((g) => g.phone || g.telegram);
+  if (guardian) {
+    const telegram = guardian.telegram && (guardian.channel === 'telegram' || !guardian.phone);
+    return {
+      guardianId: guardian.id,
+      name: guardian.name,
+      language: messageLanguage(guardian.language),
+      channel: telegram ? 'telegram' : 'sms',
+      to: telegram ? guardian.telegram : guardian.phone,
+    };
+  }
+  const phone = student.phone || student.altPhone;
+  return phone ? { guardianId: null, name: '', language: 'am', channel: 'sms', to: phone } : null;
+};
+
+// One draft message per absent student ({ student, dates }); `language` 'auto' follows the guardian.
+export const buildMessages = (items, { templateId, language, guardiansByStudent, calendar }) =>
+  items.map(({ student, dates }) => {
+    const recipient = recipientFor(student, guardiansByStudent[student.id]);
+    const lang = language === 'auto' ? recipient?.language ?? 'am' : language;
+    return {
+      student,
+      recipient,
+      templateId,
+      language: lang,
+      text: renderMessage(templateId, lang, { student, guardianName: recipient?.name, dates }, calendar),
+    };
+  });
+
+// ---------------- providers ----------------
+
+const mockOutbox = [];
+
+export const mockProvider = {
+  id: 'mock',
+  label: 'Mock (nothing is sent; messages stay on this device)',
+  send: async ({ channel, to, text }) => {
+    await new Promise((r) => setTimeout(r, 150));
+    const providerMessageId = `mock-${Date.now()}-${mockOutbox.length}`;
+    mockOutbox.push({ providerMessageId, channel, to, text, at: new Date().toISOString() });
+    console.log(`[Notify] mock ${channel} to ${to}: ${text}`);
+    return { providerMessageId };
+  },
+};
+
+export const getMockOutbox = () => [...mockOutbox];
+
+const edgeFunctionProvider = (id, label, functionName) => ({
+  id,
+  label,
+  send: async ({ to, text }) => {
+    const { data, error } = await supabase.functions.invoke(functionName, { body: { to, text } });
+    if (error) throw error;
+    return { providerMessageId: data?.id ?? null };
+  },
+});
+
+const LIVE_PROVIDERS = {
+  sms: edgeFunctionProvider('sms-gateway', 'SMS gateway', 'send-sms'),
+  telegram: edgeFunctionProvider('telegram-bot', 'Telegram bot', 'send-telegram'),
+};
+
+export const isLiveMessaging = () => import.meta.env.VITE_MESSAGING_PROVIDER === 'live';
+
+export const providerFor = (channel) => (isLiveMessaging() ? LIVE_PROVIDERS[channel] : mockProvider);
+
+// ---------------- sending & log ----------------
+
+const toLogRow = ({ message, status, error, providerMessageId, provider }, { user, profile }) => ({
+  student_id: message.student.id,
+  guardian_id: message.recipient.guardianId,
+  channel: message.recipient.channel,
+  provider,
+  recipient: message.recipient.to,
+  template: message.templateId,
+  language: message.language,
+  body: message.text,
+  status,
+  error: error ?? null,
+  provider_message_id: providerMessageId ?? null,
+  sent_by: user?.id ?? null,
+  sender_name: profile?.fullName || user?.email || null,
+});
+
+/*
+  Sends the messages one by one (gateways rate-limit bursts) and logs every
+  attempt, sent or failed, right after it is made, so a closed tab or a
+  dropped connection halfway through still leaves a log of what went out.
+  `results` are [{ message, status, error }] in order; `logged` is false when
+  any log row could not be written (the sends still happened).
+*/
+export const sendMessages = async (messages, { user, profile }, onProgress = () => {}) => {
+  const results = [];
+  let logged = true;
+  for (const message of messages) {
+    const { recipient } = message;
+    const provider = providerFor(recipient.channel);
+    let result;
+    try {
+      const { providerMessageId } = await provider.send({ channel: recipient.channel, to: recipient.to, text: message.text });
+      result = { message, status: 'sent', providerMessageId };
+    } catch (error) {
+      console.error(`[Notify] ${recipient.channel} to ${recipient.to} failed`, error);
+      result = { message, status: 'failed', error: error.message || String(error) };
+    }
+    results.push({ ...result, provider: provider.id });
+    const { error } = await supabase.from('notification_log').insert(toLogRow(results[results.length - 1], { user, profile }));
+    if (error) {
+      console.error('[Notify] could not write the message log', error);
+      logged = false;
+    }
+    onProgress(results.length, messages.length);
+  }
+  return { results, logged };
+};
+
+export const mapLogFromDb = (row) => ({
+  id: row.id,
+  studentId: row.student_id,
+  channel: row.channel,
+  provider: row.provider,
+  recipient: row.recipient,
+  template: row.template,
+  body: row.body ?? '',
+  status: row.status,
+  error: row.error ?? '',
+  senderName: row.sender_name ?? '',
+  createdAt: row.created_at,
+});
+
+export const fetchNotificationLog = async (studentIds) => {
+  let query = supabase.from('notification_log').select('*').order('created_at', { ascending: false }).limit(500);
+  if (studentIds) query = query.in('student_id', studentIds);
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(mapLogFromDb);
+};
@@ -0,0 +1,109 @@
+/*
+  Small IndexedDB wrapper for offline use. Three object stores:
+    cache  – key/value snapshots ('students', 'attendance', 'sessions', 'classes', …)
+    queue  – pending attendance writes, auto-incrementing `seq` keeps replay order
+    failed – writes the sync engine gave up on, kept until retried or discarded
+  When IndexedDB is unavailable (private browsing, tests) everything falls back
+  to memory, so the app still works online — it just cannot survive a reload.
+*/
+
+const DB_NAME = 'senbet-attendance';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('cache')) db.createObjectStore('cache');
+      if (!db.objectStoreNames.contains('queue')) db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+      if (!db.objectStoreNames.contains('failed')) db.createObjectStore('failed', { keyPath: 'seq', autoIncrement: true });
+    };
+    dbPromise = requestToPromise(request).catch((error) => {
+      console.warn('[Offline] IndexedDB unavailable, using memory only', error);
+      return null;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  if (!db) return undefined;
+  const tx = db.transaction(storeName, mode);
+  const result = await requestToPromise(fn(tx.objectStore(storeName)));
+  return result;
+};
+
+const memoryCache = new Map();
+
+export const readCache = async (key) => {
+  try {
+    const value = await withStore('cache', 'readonly', (store) => store.get(key));
+    return value ?? memoryCache.get(key) ?? null;
+  } catch (error) {
+    console.warn('[Offline] could not read cache', key, error);
+    return memoryCache.get(key) ?? null;
+  }
+};
+
+export const writeCache = async (key, value) => {
+  memoryCache.set(key, value);
+  try {
+    await withStore('cache', 'readwrite', (store) => store.put(value, key));
+  } catch (error) {
+    console.warn('[Offline] could not write cache', key, error);
+  }
+};
+
+// Queue adapters share one interface so the sync engine can run against either.
+export const createMemoryQueue = () => {
+  let seq = 0;
+  const items = new Map();
+  return {
+    all: async () => Array.from(items.values()).sort((a, b) => a.seq - b.seq),
+    add: async (op) => {
+      seq += 1;
+      const item = { ...op, seq };
+      items.set(seq, item);
+      return item;
+    },
+    update: async (item) => {
+      items.set(item.seq, item);
+    },
+    remove: async (seqId) => {
+      items.delete(seqId);
+    },
+  };
+};
+
+// `storeName` is 'queue' for pending writes or 'failed' for the dead-letter list.
+export const createIdbQueue = (storeName = 'queue') => {
+  const fallback = createMemoryQueue();
+  const run = async (idbFn, memoryFn) => {
+    const db = await openDb();
+    return db ? idbFn() : memoryFn();
+  };
+  return {
+    all: () => run(() => withStore(storeName, 'readonly', (store) => store.getAll()), fallback.all),
+    add: (op) =>
+      run(
+        async () => {
+          const seq = await withStore(storeName, 'readwrite', (store) => store.add(op));
+          return { ...op, seq };
+        },
+        () => fallback.add(op),
+      ),
+    update: (item) => run(() => withStore(storeName, 'readwrite', (store) => store.put(item)), () => fallback.update(item)),
+    remove: (seqId) => run(() => withStore(storeName, 'readwrite', (store) => store.delete(seqId)), () => fallback.remove(seqId)),
+  };
+};
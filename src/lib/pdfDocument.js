@@ -0,0 +1,241 @@
+import { PDFDocument, rgb } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import ethiopicRegularUrl from '@fontsource/noto-sans-ethiopic/files/noto-sans-ethiopic-ethiopic-400-normal.woff?url';
+import ethiopicBoldUrl from '@fontsource/noto-sans-ethiopic/files/noto-sans-ethiopic-ethiopic-700-normal.woff?url';
+import latinRegularUrl from '@fontsource/noto-sans-ethiopic/files/noto-sans-ethiopic-latin-400-normal.woff?url';
+import latinBoldUrl from '@fontsource/noto-sans-ethiopic/files/noto-sans-ethiopic-latin-700-normal.woff?url';
+import { CHURCH_NAME_AM, SCHOOL_NAME_AM } from '../data/school';
+
+/*
+  Small layout engine on top of pdf-lib for the generated PDFs (see pdfReports.js).
+
+  Fonts: Noto Sans Ethiopic from the fontsource package the app already uses,
+  in its .woff form (fontkit cannot subset the woff2 files correctly; glyphs
+  come out blank). They and this module are not precached: the service worker
+  caches them the first time a PDF is made, so PDFs work offline after that.
+  Fontsource splits the family into an Ethiopic and a Latin file, so every
+  string is drawn as runs, each character in the first font that has a glyph
+  for it. Fonts are subset, which keeps a class list around 40 KB.
+
+  Coordinates are PDF points from the top-left of the content area; the engine
+  flips them to pdf-lib's bottom-left origin.
+*/
+
+const A4 = [595.28, 841.89];
+const MARGIN = 36;
+const FOOTER_SPACE = 24;
+const TEXT_COLOR = rgb(0.1, 0.1, 0.1);
+const RULE_COLOR = rgb(0.6, 0.6, 0.6);
+const HEADER_FILL = rgb(0.93, 0.93, 0.93);
+
+const loadFont = async (doc, url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not load font ${url}`);
+  return doc.embedFont(await response.arrayBuffer(), { subset: true });
+};
+
+const hasGlyph = (font, codePoint) => font.embedder.font.hasGlyphForCodePoint(codePoint);
+
+export const createPdfDocument = async ({ landscape = false, title = '' } = {}) => {
+  const doc = await PDFDocument.create();
+  doc.registerFontkit(fontkit);
+  doc.setTitle(title);
+  doc.setCreator(SCHOOL_NAME_AM);
+  const [ethiopic, ethiopicBold, latin, latinBold] = await Promise.all(
+    [ethiopicRegularUrl, ethiopicBoldUrl, latinRegularUrl, latinBoldUrl].map((url) => loadFont(doc, url)),
+  );
+  const fontSets = { regular: [latin, ethiopic], bold: [latinBold, ethiopicBold] };
+
+  const [pageWidth, pageHeight] = landscape ? [A4[1], A4[0]] : A4;
+  const width = pageWidth - 2 * MARGIN;
+  const bottom = pageHeight - MARGIN - FOOTER_SPACE;
+  let page = null;
+  let y = 0;
+
+  // [{ text, font }] runs; characters no font covers become '?'
+  const runsOf = (text, bold) => {
+    const fonts = fontSets[bold ? 'bold' : 'regular'];
+    const runs = [];
+    for (const char of String(text ?? '')) {
+      const codePoint = char.codePointAt(0);
+      const font = fonts.find((f) => hasGlyph(f, codePoint));
+      const piece = font ? char : '?';
+      const use = font || fonts[0];
+      const last = runs[runs.length - 1];
+      if (last && last.font === use) last.text += piece;
+      else runs.push({ text: piece, font: use });
+    }
+    return runs;
+  };
+
+  const textWidth = (text, size, bold = false) => runsOf(text, bold).reduce((sum, run) => sum + run.font.widthOfTextAtSize(run.text, size), 0);
+
+  const drawText = (text, x, top, { size = 10, bold = false, color = TEXT_COLOR } = {}) => {
+    let cursor = MARGIN + x;
+    runsOf(text, bold).forEach((run) => {
+      page.drawText(run.text, { x: cursor, y: pageHeight - MARGIN - top - size, size, font: run.font, color });
+      cursor += run.font.widthOfTextAtSize(run.text, size);
+    });
+  };
+
+  // greedy word wrap; a single word wider than the line is cut with an ellipsis
+  const wrap = (text, maxWidth, size, bold = false) => {
+    const lines = [];
+    String(text ?? '')
+      .split('\n')
+      .forEach((paragraph) => {
+        let line = '';
+        paragraph.split(' ').forEach((word) => {
+          const candidate = line ? `${line} ${word}` : word;
+          if (!line || textWidth(candidate, size, bold) <= maxWidth) line = candidate;
+          else {
+            lines.push(line);
+            line = word;
+          }
+        });
+        lines.push(line);
+      });
+    return lines.map((line) => {
+      if (textWidth(line, size, bold) <= maxWidth) return line;
+      let cut = line;
+      while (cut && textWidth(`${cut}…`, size, bold) > maxWidth) cut = cut.slice(0, -1);
+      return `${cut}…`;
+    });
+  };
+
+  const line = (x1, top1, x2, top2, thickness = 0.5, color = RULE_COLOR) =>
+    page.drawLine({
+      start: { x: MARGIN + x1, y: pageHeight - MARGIN - top1 },
+      end: { x: MARGIN + x2, y: pageHeight - MARGIN - top2 },
+      thickness,
+      color,
+    });
+
+  const rect = (x, top, w, h, color) => page.drawRectangle({ x: MARGIN + x, y: pageHeight - MARGIN - top - h, width: w, height: h, color });
+
+  const addPage = () => {
+    page = doc.addPage([pageWidth, pageHeight]);
+    y = 0;
+  };
+
+  const ensureSpace = (height) => {
+    if (!page || MARGIN + y + height > bottom) {
+      addPage();
+      return true;
+    }
+    return false;
+  };
+
+  const text = (value, { size = 10, bold = false, gapAfter = 4 } = {}) => {
+    const lines = wrap(value, width, size, bold);
+    lines.forEach((l) => {
+      ensureSpace(size * 1.4);
+      drawText(l, 0, y, { size, bold });
+      y += size * 1.4;
+    });
+    y += gapAfter;
+  };
+
+  // School heading, then the document title and "Class · date range" lines.
+  const heading = ({ title: docTitle, lines = [] }) => {
+    ensureSpace(90);
+    const center = (value, size, bold) => drawText(value, (width - textWidth(value, size, bold)) / 2, y, { size, bold });
+    center(CHURCH_NAME_AM, 10, false);
+    y += 15;
+    center(SCHOOL_NAME_AM, 14, true);
+    y += 22;
+    line(0, y, width, y, 1, TEXT_COLOR);
+    y += 10;
+    text(docTitle, { size: 13, bold: true, gapAfter: 2 });
+    lines.filter(Boolean).forEach((l) => text(l, { size: 10, gapAfter: 0 }));
+    y += 10;
+  };
+
+  /*
+    columns: [{ label, width, align: 'left' | 'center' | 'right' }]; widths are
+    in points, or `flex` shares whatever is left. rows: arrays of cell strings.
+    Rows never split across pages and the header row repeats on every page.
+  */
+  const table = (columns, rows, { size = 9, padding = 3 } = {}) => {
+    const fixed = columns.reduce((sum, c) => sum + (c.width || 0), 0);
+    const flexTotal = columns.reduce((sum, c) => sum + (c.width ? 0 : c.flex || 1), 0);
+    const widths = columns.map((c) => c.width || (Math.max(width - fixed, 0) * (c.flex || 1)) / flexTotal);
+    const lineHeight = size * 1.3;
+
+    const layoutRow = (cells, bold) => {
+      const wrapped = cells.map((cell, i) => wrap(cell, widths[i] - 2 * padding, size, bold));
+      return { wrapped, height: Math.max(...wrapped.map((l) => l.length)) * lineHeight + 2 * padding };
+    };
+
+    const drawRow = ({ wrapped, height }, bold, fill) => {
+      if (fill) rect(0, y, width, height, fill);
+      let x = 0;
+      wrapped.forEach((lines, i) => {
+        lines.forEach((l, n) => {
+          const available = widths[i] - 2 * padding;
+          const offset = columns[i].align === 'center' ? (available - textWidth(l, size, bold)) / 2 : columns[i].align === 'right' ? available - textWidth(l, size, bold) : 0;
+          drawText(l, x + padding + offset, y + padding + n * lineHeight, { size, bold });
+        });
+        x += widths[i];
+      });
+      line(0, y + height, width, y + height);
+      y += height;
+    };
+
+    const header = layoutRow(
+      columns.map((c) => c.label),
+      true,
+    );
+    const drawHeader = () => {
+      line(0, y, width, y);
+      drawRow(header, true, HEADER_FILL);
+    };
+
+    ensureSpace(header.height * 2);
+    drawHeader();
+    rows.forEach((cells) => {
+      const row = layoutRow(cells, false);
+      if (ensureSpace(row.height)) drawHeader();
+      drawRow(row, false);
+    });
+    y += 12;
+  };
+
+  // Blank lines to sign on, e.g. ['Teacher', 'Coordinator'].
+  const signatures = (labels) => {
+    ensureSpace(60);
+    y += 30;
+    const slot = width / labels.length;
+    labels.forEach((label, i) => {
+      const x = i * slot;
+      line(x + 10, y, x + slot - 20, y, 0.75, TEXT_COLOR);
+      drawText(label, x + 10, y + 4, { size: 9 });
+      drawText('Date: ____________', x + 10, y + 18, { size: 9 });
+    });
+    y += 34;
+  };
+
+  // "Title · page n of m" on every page, then the file bytes.
+  const save = async () => {
+    const pages = doc.getPages();
+    const printed = new Date().toLocaleDateString();
+    pages.forEach((p, i) => {
+      page = p;
+      const footer = `${title} · ${printed} · ${i + 1} / ${pages.length}`;
+      drawText(footer, 0, pageHeight - 2 * MARGIN - 10, { size: 8, color: RULE_COLOR });
+    });
+    return doc.save();
+  };
+
+  const download = async (fileName) => {
+    const bytes = await save();
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  return { width, heading, text, table, signatures, textWidth, save, download };
+};
@@ -0,0 +1,210 @@
+import { ATTENDANCE_STATUSES, getStatus, isAbsentStatus } from '../data/attendanceStatuses';
+import { classLabel } from './classCatalog';
+import { describeGuardian } from './guardians';
+import { ETHIOPIAN_MONTHS, formatDate, formatDateRange, toEthiopian } from './ethiopianCalendar';
+
+/*
+  The generated PDFs: class list, attendance history, class report and the
+  monthly register kept on file by the Sunday school office. Each one starts
+  with the school heading and ends with signature lines.
+
+  pdf-lib and the fonts are imported on first use, so they stay out of the
+  main bundle.
+*/
+
+const createPdfDocument = async (options) => (await import('./pdfDocument')).createPdfDocument(options);
+
+const SIGNATURES = ['Teacher', 'Sunday school office'];
+const DATE_COLUMN_WIDTH = 24;
+
+const byRoll = (a, b) => (Number(a.rollNumber) || Infinity) - (Number(b.rollNumber) || Infinity) || a.name.localeCompare(b.name);
+
+const fileSafe = (value) => String(value).replace(/[^\p{L}\p{N}]+/gu, '-');
+
+export const classListPdf = async ({ classId, students, guardiansByStudent = {} }) => {
+  const title = `Class list · ${classLabel(classId)}`;
+  const pdf = await createPdfDocument({ title });
+  pdf.heading({ title: 'Class list', lines: [`Class: ${classLabel(classId)}`, `${students.length} students`] });
+  pdf.table(
+    [
+      { label: 'Roll', width: 34, align: 'right' },
+      { label: 'Name', flex: 2 },
+      { label: 'Age', width: 34, align: 'right' },
+      { label: 'Contacts', flex: 3 },
+    ],
+    [...students].sort(byRoll).map((s) => {
+      const guardians = guardiansByStudent[s.id] || [];
+      const contacts = guardians.length ? guardians.map(describeGuardian) : [s.phone, s.altPhone].filter(Boolean);
+      return [String(s.rollNumber ?? ''), s.name, String(s.age ?? ''), contacts.join('\n')];
+    }),
+  );
+  pdf.signatures(SIGNATURES);
+  await pdf.download(`class-list-${fileSafe(classLabel(classId))}.pdf`);
+};
+
+// One table per block of dates, so long histories still fit the page width.
+export const historyPdf = async ({ classId, rows, dates, calendar }) => {
+  const title = `Attendance history · ${classLabel(classId)}`;
+  const pdf = await createPdfDocument({ landscape: true, title });
+  const ascending = [...dates].sort();
+  pdf.heading({
+    title: 'Attendance history',
+    lines: [`Class: ${classLabel(classId)}`, formatDateRange(ascending[0], ascending[ascending.length - 1], calendar)],
+  });
+  const perTable = Math.max(1, Math.floor((pdf.width - 180) / DATE_COLUMN_WIDTH));
+  for (let start = 0; start < ascending.length; start += perTable) {
+    const block = ascending.slice(start, start + perTable);
+    if (ascending.length > perTable) pdf.text(formatDateRange(block[0], block[block.length - 1], calendar), { bold: true });
+    pdf.table(
+      [{ label: 'Student', flex: 1 }, ...block.map((d) => ({ label: dayMonth(d, calendar), width: DATE_COLUMN_WIDTH, align: 'center' }))],
+      rows.map(({ student, records }) => {
+        const recordMap = Object.fromEntries(records);
+        return [`${student.rollNumber}. ${student.name}`, ...block.map((d) => recordMap[d] ?? '')];
+      }),
+      { size: 8 },
+    );
+  }
+  pdf.text(statusLegend(), { size: 8 });
+  pdf.signatures(SIGNATURES);
+  await pdf.download(`history-${fileSafe(classLabel(classId))}.pdf`);
+};
+
+// `report` is what the dashboard's buildClassReport returns.
+export const classReportPdf = async ({ classId, report, calendar, dateFrom, dateTo }) => {
+  const title = `Class report · ${classLabel(classId)}`;
+  const pdf = await createPdfDocument({ title });
+  pdf.heading({ title: 'Class attendance report', lines: [`Class: ${classLabel(classId)}`, formatDateRange(dateFrom, dateTo, calendar)] });
+  pdf.text(`${report.uniqueDays} class days for ${report.rosterSize} students (${report.markedStudentDays} records). Attendance rate: ${report.attendanceRate}%.`);
+  if (report.cancelledDays) pdf.text(`${report.cancelledDays} cancelled days are left out.`);
+  pdf.table(
+    [
+      { label: 'Status', flex: 1 },
+      { label: 'Days', width: 60, align: 'right' },
+      { label: '%', width: 60, align: 'right' },
+    ],
+    [
+      ...ATTENDANCE_STATUSES.filter((st) => st.enabled || report.counts[st.code] > 0).map((st) => [st.label, String(report.counts[st.code]), `${report.percentages[st.code]}%`]),
+      ['Not marked', String(report.counts.unmarked), ''],
+    ],
+  );
+  if (report.absentDetails.length) {
+    pdf.text('Absent students', { size: 11, bold: true });
+    pdf.table(
+      [
+        { label: 'Roll', width: 34, align: 'right' },
+        { label: 'Student', flex: 2 },
+        { label: 'Phones', flex: 1.5 },
+        { label: 'Days absent', flex: 3 },
+      ],
+      report.absentDetails.map(({ student, dates }) => [
+        String(student.rollNumber ?? ''),
+        student.name,
+        [student.phone, student.altPhone].filter(Boolean).join('\n'),
+        `${dates.length}: ${dates.map((d) => formatDate(d, calendar)).join(', ')}`,
+      ]),
+    );
+  }
+  pdf.signatures(SIGNATURES);
+  await pdf.download(`report-${fileSafe(classLabel(classId))}.pdf`);
+};
+
+// ---------------- monthly register ----------------
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "2018-02" style keys in the teacher's calendar (Ethiopian year/month or Gregorian).
+export const monthKey = (iso, calendar) => {
+  if (calendar !== 'ethiopian') return iso.slice(0, 7);
+  const et = toEthiopian(iso);
+  return `${et.year}-${pad(et.month)}`;
+};
+
+export const monthLabel = (key, calendar) => {
+  const [year, month] = key.split('-').map(Number);
+  if (calendar === 'ethiopian') return `${ETHIOPIAN_MONTHS[month - 1].am} ${year}`;
+  return new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric' }).format(new Date(year, month - 1, 1));
+};
+
+const dayOfMonth = (iso, calendar) => (calendar === 'ethiopian' ? toEthiopian(iso).day : Number(iso.slice(8, 10)));
+
+// "8/2" (day/month) column headings; month names do not fit a date column.
+const dayMonth = (iso, calendar) => (calendar === 'ethiopian' ? `${toEthiopian(iso).day}/${toEthiopian(iso).month}` : `${Number(iso.slice(8, 10))}/${Number(iso.slice(5, 7))}`);
+
+const statusLegend = () =>
+  ATTENDANCE_STATUSES.filter((st) => st.enabled)
+    .map((st) => `${st.code} ${st.label}`)
+    .join(' · ');
+
+// Class days of a month: non-cancelled sessions plus dates that have records.
+const registerDays = ({ classId, students, attendance, sessions, resolver, key, calendar }) => {
+  const days = new Set();
+  const cancelled = new Set();
+  (sessions || []).forEach((s) => {
+    if (s.classId !== classId || monthKey(s.date, calendar) !== key) return;
+    if (s.cancelled) cancelled.add(s.date);
+    else days.add(s.date);
+  });
+  students.forEach((student) =>
+    Object.keys(attendance[student.id] || {}).forEach((date) => {
+      if (!cancelled.has(date) && monthKey(date, calendar) === key && resolver.classOn(student, date) === classId) days.add(date);
+    }),
+  );
+  return [...days].sort();
+};
+
+// Months with any class days, newest first, for the register picker.
+export const registerMonths = ({ classId, students, attendance, sessions, resolver, calendar }) => {
+  const keys = new Set();
+  (sessions || []).forEach((s) => s.classId === classId && !s.cancelled && keys.add(monthKey(s.date, calendar)));
+  students.forEach((student) =>
+    Object.keys(attendance[student.id] || {}).forEach((date) => resolver.classOn(student, date) === classId && keys.add(monthKey(date, calendar))),
+  );
+  return [...keys].sort().reverse();
+};
+
+/*
+  One row per student who was in the class during the month, one column per
+  class day with the status code, then totals. A blank cell is unmarked; a dash
+  means the student was not in this class yet (or any more) on that day.
+*/
+export const monthlyRegisterPdf = async ({ classId, students, attendance, sessions, resolver, monthKey: key, calendar }) => {
+  const days = registerDays({ classId, students, attendance, sessions, resolver, key, calendar });
+  const roster = students.filter((s) => days.some((d) => resolver.classOn(s, d) === classId)).sort(byRoll);
+  const title = `Attendance register · ${classLabel(classId)} · ${monthLabel(key, calendar)}`;
+  const pdf = await createPdfDocument({ landscape: true, title });
+  pdf.heading({
+    title: `Attendance register — ${monthLabel(key, calendar)}`,
+    lines: [`Class: ${classLabel(classId)}`, `${days.length} class days · ${roster.length} students`],
+  });
+
+  const rows = roster.map((student, i) => {
+    const records = attendance[student.id] || {};
+    const totals = { present: 0, absent: 0, excused: 0 };
+    const cells = days.map((d) => {
+      if (resolver.classOn(student, d) !== classId) return '—';
+      const status = getStatus(records[d]);
+      if (!status) return '';
+      if (status.countsAsPresent) totals.present += 1;
+      else if (isAbsentStatus(status.code)) totals.absent += 1;
+      else totals.excused += 1;
+      return status.code;
+    });
+    return [String(i + 1), student.name, ...cells, String(totals.present), String(totals.absent), String(totals.excused)];
+  });
+
+  pdf.table(
+    [
+      { label: '#', width: 22, align: 'right' },
+      { label: 'Name', flex: 1 },
+      ...days.map((d) => ({ label: String(dayOfMonth(d, calendar)), width: DATE_COLUMN_WIDTH, align: 'center' })),
+      { label: 'Present', width: 40, align: 'right' },
+      { label: 'Absent', width: 40, align: 'right' },
+      { label: 'Perm.', width: 40, align: 'right' },
+    ],
+    rows,
+    { size: 8 },
+  );
+  pdf.text(`${statusLegend()} · — not in this class`, { size: 8 });
+  pdf.signatures(SIGNATURES);
+  await pdf.download(`register-${fileSafe(classLabel(classId))}-${key}.pdf`);
+};
@@ -0,0 +1,156 @@
+import * as XLSX from 'xlsx';
+
+/*
+  Roster import helpers: turn a worksheet into preview rows using a column
+  mapping instead of fixed positions. A mapping is { [fieldId]: columnIndex }
+  with -1 for "not in this sheet".
+
+  Templates are saved per device in localStorage and remember both the header
+  text and the column index of each field, so a template still works when a
+  column moves but keeps its header.
+*/
+
+export const IMPORT_FIELDS = [
+  { id: 'rollNumber', label: 'Roll number', aliases: ['roll', 'roll no', 'roll number', 'no', 'no.', '#', 'ተ.ቁ', 'ተ/ቁ', 'ቁጥር', 'መለያ ቁጥር'] },
+  { id: 'name', label: 'Full name', required: true, aliases: ['name', 'full name', 'student', 'student name', 'ስም', 'ሙሉ ስም', 'የተማሪ ስም', 'የተማሪው ስም'] },
+  { id: 'classId', label: 'Class', aliases: ['class', 'grade', 'ክፍል'] },
+  { id: 'age', label: 'Age', aliases: ['age', 'ዕድሜ', 'እድሜ'] },
+  { id: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'mobile', 'tel', 'ስልክ', 'ስልክ ቁጥር', 'የወላጅ ስልክ'] },
+  { id: 'altPhone', label: 'Additional phone', aliases: ['alt phone', 'additional phone', 'phone 2', 'other phone', 'ተጨማሪ ስልክ', 'ሌላ ስልክ', 'ስልክ 2'] },
+  // optional: a primary guardian per row, linked to the student on import (phone column is theirs)
+  { id: 'guardianName', label: 'Guardian name', aliases: ['guardian', 'guardian name', 'parent', 'parent name', 'ወላጅ', 'የወላጅ ስም', 'አሳዳጊ', 'የአሳዳጊ ስም'] },
+  { id: 'guardianRelationship', label: 'Guardian relationship', aliases: ['relationship', 'relation', 'ዝምድና', 'ግንኙነት'] },
+  { id: 'guardianTelegram', label: 'Guardian Telegram', aliases: ['telegram', 'telegram username', 'ቴሌግራም'] },
+];
+
+const TEMPLATE_STORAGE_KEY = 'senbet.importTemplates';
+const HEADER_SCAN_ROWS = 10;
+
+const normalizeHeader = (value) =>
+  String(value ?? '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[:*]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Every row padded to the same number of columns; blank rows are kept so row numbers match Excel.
+export const readSheetRows = (workbook, sheetName) => {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) return [];
+  const aoa = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true, raw: false });
+  const maxCols = aoa.reduce((m, r) => Math.max(m, (r || []).length), 0);
+  return aoa.map((r) => {
+    const row = Array.isArray(r) ? [...r] : [];
+    while (row.length < maxCols) row.push('');
+    return row;
+  });
+};
+
+const scoreHeaderCell = (cell) => {
+  const text = normalizeHeader(cell);
+  if (!text) return null;
+  // exact alias match beats "contains" so "ስልክ 2" is not taken for the main phone
+  const exact = IMPORT_FIELDS.find((f) => f.aliases.some((a) => normalizeHeader(a) === text));
+  if (exact) return { fieldId: exact.id, score: 2 };
+  const partial = IMPORT_FIELDS.find((f) => f.aliases.some((a) => normalizeHeader(a).length > 2 && text.includes(normalizeHeader(a))));
+  return partial ? { fieldId: partial.id, score: 1 } : null;
+};
+
+// Index of the row that looks most like a header within the first rows, or -1.
+export const detectHeaderRow = (rows) => {
+  let best = { index: -1, score: 0 };
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+    const score = row.reduce((sum, cell) => sum + (scoreHeaderCell(cell)?.score || 0), 0);
+    if (score > best.score) best = { index, score };
+  });
+  return best.index;
+};
+
+export const emptyMapping = () => Object.fromEntries(IMPORT_FIELDS.map((f) => [f.id, -1]));
+
+// Suggests a column per field from the header texts; strongest match wins a column.
+export const suggestMapping = (headerRow) => {
+  const mapping = emptyMapping();
+  const taken = new Set();
+  const candidates = (headerRow || [])
+    .map((cell, col) => ({ col, match: scoreHeaderCell(cell) }))
+    .filter((c) => c.match)
+    .sort((a, b) => b.match.score - a.match.score);
+  candidates.forEach(({ col, match }) => {
+    if (mapping[match.fieldId] === -1 && !taken.has(col)) {
+      mapping[match.fieldId] = col;
+      taken.add(col);
+    }
+  });
+  return mapping;
+};
+
+// Legacy layout used before the wizard: roll, name, class, age, phone, alt phone.
+export const positionalMapping = () => ({ rollNumber: 0, name: 1, classId: 2, age: 3, phone: 4, altPhone: 5 });
+
+const isBlankRow = (row) => row.every((cell) => String(cell ?? '').trim() === '');
+
+// Rows below the header mapped to preview objects. `resolveClass` gets the raw class cell.
+export const applyMapping = (rows, headerRowIndex, mapping, { resolveClass, makeId }) =>
+  rows
+    .map((row, idx) => ({ row, excelRow: idx + 1 }))
+    .filter(({ excelRow }) => excelRow - 1 > headerRowIndex)
+    .map(({ row, excelRow }) => {
+      const cell = (fieldId) => (mapping[fieldId] >= 0 ? row[mapping[fieldId]] ?? '' : '');
+      return {
+        __rowIndex: excelRow,
+        __blank: isBlankRow(row),
+        id: makeId(excelRow),
+        rollNumber: cell('rollNumber'),
+        name: cell('name'),
+        classId: resolveClass(cell('classId')),
+        age: cell('age'),
+        phone: cell('phone'),
+        altPhone: cell('altPhone'),
+        guardianName: cell('guardianName'),
+        guardianRelationship: cell('guardianRelationship'),
+        guardianTelegram: cell('guardianTelegram'),
+      };
+    });
+
+// ---------------- templates ----------------
+
+export const loadTemplates = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TEMPLATE_STORAGE_KEY) || '[]');
+  } catch {
+    return [];
+  }
+};
+
+export const saveTemplate = (name, { sheetName, headerRowIndex, mapping, headerRow }) => {
+  const template = {
+    name,
+    sheetName,
+    headerRowIndex,
+    columns: Object.fromEntries(
+      Object.entries(mapping).map(([fieldId, col]) => [fieldId, { index: col, header: col >= 0 ? normalizeHeader(headerRow?.[col]) : '' }]),
+    ),
+  };
+  const templates = [...loadTemplates().filter((t) => t.name !== name), template];
+  localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+export const deleteTemplate = (name) => {
+  const templates = loadTemplates().filter((t) => t.name !== name);
+  localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+// Template -> mapping for the given header row: same header text first, saved index otherwise.
+export const mappingFromTemplate = (template, headerRow) => {
+  const headers = (headerRow || []).map(normalizeHeader);
+  const mapping = emptyMapping();
+  Object.entries(template.columns || {}).forEach(([fieldId, { index, header }]) => {
+    const byHeader = header ? headers.indexOf(header) : -1;
+    mapping[fieldId] = byHeader >= 0 ? byHeader : index;
+  });
+  return mapping;
+};
@@ -0,0 +1,29 @@
+import { supabase } from './supabaseClient';
+
+/*
+  Roster order is stored as the roll number: the list is always fetched
+  ordered by roll_number, so renumbering 1..n after a drag (or an
+  alphabetical sort) is what makes the order stick.
+*/
+
+// Ethiopic letters are encoded in fidel order (ሀ ለ ሐ መ …), which the Amharic
+// collator follows; Latin names sort after them.
+const amharicCollator = new Intl.Collator(['am', 'en'], { sensitivity: 'base', numeric: true });
+
+export const sortByAmharicName = (students) => [...students].sort((a, b) => amharicCollator.compare(a.name || '', b.name || ''));
+
+export const renumberRoster = (students) => students.map((s, idx) => ({ ...s, rollNumber: idx + 1 }));
+
+// Only the students whose roll number actually changes need to be written.
+export const changedRolls = (before, after) => {
+  const previous = Object.fromEntries(before.map((s) => [s.id, String(s.rollNumber ?? '')]));
+  return after.filter((s) => previous[s.id] !== String(s.rollNumber ?? ''));
+};
+
+// One upsert for the whole class instead of a request per student.
+export const saveRollNumbers = async (students, mapToDb) => {
+  if (!students.length) return;
+  const rows = students.map((s) => ({ id: s.id, ...mapToDb(s) }));
+  const { error } = await supabase.from('students').upsert(rows, { onConflict: 'id' });
+  if (error) throw error;
+};
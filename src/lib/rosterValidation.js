@@ -0,0 +1,103 @@
+/*
+  Validation for roster rows before they are saved (upload preview and the
+  student form). Problems are returned per field as { level, message }:
+  'error' blocks saving, 'warning' is only highlighted (e.g. an age outside the
+  class's usual range — some children are placed in a class for other reasons).
+*/
+
+// "Age 4 - 6" -> { min: 4, max: 6 }, "Age 9" -> { min: 9, max: 9 }
+export const parseAgeRange = (description) => {
+  const numbers = String(description || '').match(/\d+/g);
+  if (!numbers) return null;
+  const [min, max = min] = numbers.map(Number);
+  return { min, max };
+};
+
+// A class's age range: the explicit min/max columns, else parsed from the description.
+export const classAgeRange = (klass) => {
+  if (!klass) return null;
+  if (klass.minAge != null && klass.minAge !== '') {
+    return { min: Number(klass.minAge), max: Number(klass.maxAge ?? klass.minAge) };
+  }
+  return parseAgeRange(klass.description);
+};
+
+// Local Ethiopian mobile numbers are 10 digits starting 09 (Ethio telecom) or
+// 07 (Safaricom), or +251 followed by the 9 digits without the leading 0.
+const PHONE_PATTERN = /^(0[79]\d{8}|\+251[79]\d{8})$/;
+
+// Strips spaces/dashes and restores the leading 0 Excel drops from numeric cells.
+export const normalizePhone = (value) => {
+  const compact = String(value ?? '').replace(/[\s\-().]/g, '');
+  if (/^[79]\d{8}$/.test(compact)) return `0${compact}`;
+  if (/^251[79]\d{8}$/.test(compact)) return `+${compact}`;
+  return compact;
+};
+
+export const isValidPhone = (value) => PHONE_PATTERN.test(normalizePhone(value));
+
+const isBlank = (value) => String(value ?? '').trim() === '';
+
+export const validateStudentRow = (row, { classes = [] } = {}) => {
+  const problems = {};
+
+  if (isBlank(row.name)) problems.name = { level: 'error', message: 'Name is required.' };
+
+  if (classes.length && !classes.some((k) => k.id === row.classId)) {
+    problems.classId = { level: 'error', message: 'Class not recognised — pick a class for this upload.' };
+  }
+
+  if (!isBlank(row.rollNumber) && !/^\d+$/.test(String(row.rollNumber).trim())) {
+    problems.rollNumber = { level: 'error', message: 'Roll number must be a whole number.' };
+  }
+
+  if (!isBlank(row.age)) {
+    const age = Number(String(row.age).trim());
+    if (!Number.isInteger(age) || age <= 0) {
+      problems.age = { level: 'error', message: 'Age must be a number.' };
+    } else {
+      const klass = classes.find((k) => k.id === row.classId);
+      const range = classAgeRange(klass);
+      if (range && (age < range.min || age > range.max)) {
+        problems.age = { level: 'warning', message: `Outside the usual range for ${klass.label} (${klass.description}).` };
+      }
+    }
+  }
+
+  if (isBlank(row.phone)) {
+    problems.phone = { level: 'warning', message: 'No phone number.' };
+  } else if (!isValidPhone(row.phone)) {
+    problems.phone = { level: 'error', message: 'Use 09…, 07… or +251… (10 digits).' };
+  }
+
+  if (!isBlank(row.altPhone) && !isValidPhone(row.altPhone)) {
+    problems.altPhone = { level: 'error', message: 'Use 09…, 07… or +251… (10 digits).' };
+  }
+
+  return problems;
+};
+
+// { [row.id]: problems } for a whole preview, including duplicate roll numbers
+// inside the file (per class, since one file may hold several classes).
+export const validateRows = (rows, options) => {
+  const rollOwners = {};
+  rows.forEach((row) => {
+    if (isBlank(row.rollNumber)) return;
+    const key = `${row.classId}|${String(row.rollNumber).trim()}`;
+    (rollOwners[key] = rollOwners[key] || []).push(row.__rowIndex);
+  });
+
+  return Object.fromEntries(
+    rows.map((row) => {
+      const problems = validateStudentRow(row, options);
+      const owners = isBlank(row.rollNumber) ? [] : rollOwners[`${row.classId}|${String(row.rollNumber).trim()}`];
+      if (!problems.rollNumber && owners.length > 1) {
+        const others = owners.filter((r) => r !== row.__rowIndex);
+        problems.rollNumber = { level: 'error', message: `Roll number also used on row ${others.join(', ')}.` };
+      }
+      return [row.id, problems];
+    }),
+  );
+};
+
+export const hasErrors = (problems) => Object.values(problems || {}).some((p) => p.level === 'error');
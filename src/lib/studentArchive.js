@@ -0,0 +1,65 @@
+import { supabase } from './supabaseClient';
+import { mapStudentFromDb } from './students';
+
+/*
+  Students are archived instead of deleted, so their attendance history stays
+  intact and a mistaken tap can be undone.
+
+  students (added columns):
+    archived_at (timestamptz, null = active), archive_reason (text),
+    archived_by (uuid -> auth.users)
+
+  'deleted' is the reason used for bulk deletions: those rows sit in the trash
+  for TRASH_RETENTION_DAYS and are then removed for good (with their
+  attendance_records) by purgeExpiredTrash.
+*/
+
+export const ARCHIVE_REASONS = [
+  { id: 'graduated', label: 'Graduated' },
+  { id: 'moved', label: 'Moved to another church' },
+  { id: 'left', label: 'Left / stopped coming' },
+];
+
+export const TRASH_REASON = 'deleted';
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const archiveReasonLabel = (reason) =>
+  reason === TRASH_REASON ? 'Deleted (in trash)' : ARCHIVE_REASONS.find((r) => r.id === reason)?.label ?? reason ?? '—';
+
+export const isArchived = (student) => Boolean(student?.archivedAt);
+
+export const isInTrash = (student) => isArchived(student) && student.archiveReason === TRASH_REASON;
+
+export const trashExpiresAt = (student) => new Date(new Date(student.archivedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Marks the students archived; returns the values to merge into local state.
+export const archiveStudents = async (ids, reason, user) => {
+  const changes = { archived_at: new Date().toISOString(), archive_reason: reason, archived_by: user?.id ?? null };
+  const { error } = await supabase.from('students').update(changes).in('id', ids);
+  if (error) throw error;
+  return { archivedAt: changes.archived_at, archiveReason: reason };
+};
+
+export const restoreStudents = async (ids) => {
+  const { error } = await supabase.from('students').update({ archived_at: null, archive_reason: null, archived_by: null }).in('id', ids);
+  if (error) throw error;
+  return { archivedAt: null, archiveReason: null };
+};
+
+// Permanently removes trashed students older than the retention period; returns them as they were.
+export const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+  const { data, error } = await supabase.from('students').select('*').eq('archive_reason', TRASH_REASON).lt('archived_at', cutoff);
+  if (error) throw error;
+  const purged = (data || []).map(mapStudentFromDb);
+  const ids = purged.map((s) => s.id);
+  if (!ids.length) return [];
+
+  const { error: attendanceError } = await supabase.from('attendance_records').delete().in('student_id', ids);
+  if (attendanceError) throw attendanceError;
+  const { error: deleteError } = await supabase.from('students').delete().in('id', ids);
+  if (deleteError) throw deleteError;
+  return purged;
+};
@@ -0,0 +1,66 @@
+import QRCode from 'qrcode';
+import { classLabel } from './classCatalog';
+
+/*
+  Student ID cards and scan-to-check-in. A card's QR code holds
+  "senbet:<student id>"; the prefix keeps a stray QR code (a URL, another
+  school's card) from being read as a student. Typed codes may leave it off.
+*/
+
+const CARD_PREFIX = 'senbet:';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const cardCode = (student) => `${CARD_PREFIX}${student.id}`;
+
+// Student id from a scanned or typed code, or null when it is not one of ours.
+export const parseCardCode = (text) => {
+  const value = String(text ?? '').trim();
+  if (value.toLowerCase().startsWith(CARD_PREFIX)) return value.slice(CARD_PREFIX.length).trim() || null;
+  return UUID_PATTERN.test(value) ? value : null;
+};
+
+// SVG markup for the card's QR code (medium error correction survives a worn card).
+export const cardQrSvg = (student) => QRCode.toString(cardCode(student), { type: 'svg', errorCorrectionLevel: 'M', margin: 1 });
+
+/*
+  What a scan means for the class being marked:
+    { ok: true, student } - mark them present
+    { ok: false, reason, student? } - unknown code, archived, or another class
+  Marking someone into the wrong class would put a record on a roster they are
+  not on, so a card from another class is refused rather than marked.
+*/
+export const checkScan = (studentId, { students, classId }) => {
+  if (!studentId) return { ok: false, reason: 'Not a student card.' };
+  const student = students.find((s) => s.id === studentId);
+  if (!student) return { ok: false, reason: 'This card is not on any roster you can mark.' };
+  if (student.archivedAt) return { ok: false, student, reason: `${student.name} is archived.` };
+  if (student.classId !== classId) return { ok: false, student, reason: `${student.name} is in ${classLabel(student.classId)}, not this class.` };
+  return { ok: true, student };
+};
+
+let audioContext = null;
+
+// Short beep (high for ok, low for a refusal) plus a vibration where supported.
+export const scanFeedback = (ok) => {
+  try {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (AudioCtx) {
+      audioContext = audioContext || new AudioCtx();
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = ok ? 880 : 220;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain).connect(audioContext.destination);
+      oscillator.start();
+      oscillator.stop(audioContext.currentTime + (ok ? 0.12 : 0.35));
+    }
+    navigator.vibrate?.(ok ? 60 : [80, 60, 80]);
+  } catch (error) {
+    console.warn('[Scan] feedback unavailable', error);
+  }
+};
+
+// The Shape Detection API is in Chrome / Edge on Android and desktop; elsewhere
+// the scanner falls back to typing the code.
+export const canScanWithCamera = () =>
+  typeof window !== 'undefined' && 'BarcodeDetector' in window && Boolean(navigator.mediaDevices?.getUserMedia);
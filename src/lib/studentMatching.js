@@ -0,0 +1,109 @@
+import { normalizePhone } from './rosterValidation';
+
+/*
+  Duplicate detection for students. Two records are compared on:
+    name  – normalized Amharic spelling (see normalizeAmharicName)
+    phone – any of phone / alt phone in common
+    roll  – same roll number in the same class
+  A name plus any other signal is a "strong" match; a name alone or a phone
+  alone is "possible" (siblings share a parent's phone); roll alone is ignored
+  because roll numbers are reused after students leave.
+*/
+
+// Ge'ez letters that are written differently but pronounced the same in
+// Amharic (ሀ/ሐ/ኀ, ሰ/ሠ, አ/ዐ, ጸ/ፀ). Each row is 8 code points: base + 7 orders.
+const HOMOPHONE_ROWS = [
+  [0x1210, 0x1200], // ሐ -> ሀ
+  [0x1280, 0x1200], // ኀ -> ሀ
+  [0x1220, 0x1230], // ሠ -> ሰ
+  [0x12d0, 0x12a0], // ዐ -> አ
+  [0x1340, 0x1338], // ፀ -> ጸ
+];
+
+// 1st and 4th order of ሀ/አ are spoken alike too (ሀና / ሃና, አበበ / ኣበበ).
+const VOWEL_ALIASES = { 'ሃ': 'ሀ', 'ኣ': 'አ' };
+
+const foldHomophone = (ch) => {
+  const code = ch.codePointAt(0);
+  for (const [from, to] of HOMOPHONE_ROWS) {
+    if (code >= from && code < from + 8) return String.fromCodePoint(to + (code - from));
+  }
+  return ch;
+};
+
+export const normalizeAmharicName = (name) =>
+  Array.from(
+    String(name ?? '')
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[.,'"’\-_/\\()፡።]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim(),
+  )
+    .map(foldHomophone)
+    .map((ch) => VOWEL_ALIASES[ch] || ch)
+    .join('');
+
+const phonesOf = (student) => [student.phone, student.altPhone].map(normalizePhone).filter(Boolean);
+
+export const compareStudents = (a, b) => {
+  const reasons = [];
+  const nameA = normalizeAmharicName(a.name);
+  if (nameA && nameA === normalizeAmharicName(b.name)) reasons.push('name');
+  const phonesB = phonesOf(b);
+  if (phonesOf(a).some((p) => phonesB.includes(p))) reasons.push('phone');
+  if (a.classId === b.classId && String(a.rollNumber ?? '').trim() !== '' && String(a.rollNumber).trim() === String(b.rollNumber ?? '').trim()) {
+    reasons.push('roll');
+  }
+
+  let strength = null;
+  if (reasons.includes('name') && reasons.length > 1) strength = 'strong';
+  else if (reasons.includes('name') || reasons.includes('phone')) strength = 'possible';
+  return { reasons, strength };
+};
+
+const STRENGTH_ORDER = { strong: 2, possible: 1 };
+
+// Existing students that look like `candidate`, best match first.
+export const findMatches = (candidate, students) =>
+  (students || [])
+    .filter((s) => s.id !== candidate.id)
+    .map((student) => ({ student, ...compareStudents(candidate, student) }))
+    .filter((m) => m.strength)
+    .sort((a, b) => STRENGTH_ORDER[b.strength] - STRENGTH_ORDER[a.strength] || b.reasons.length - a.reasons.length);
+
+export const REASON_LABELS = { name: 'same name', phone: 'same phone', roll: 'same roll in class' };
+
+export const describeMatch = (match) => match.reasons.map((r) => REASON_LABELS[r]).join(', ');
+
+// Pairs of students in the roster that look like the same child.
+// Only name matches are listed; shared phones alone are usually siblings.
+export const findDuplicateGroups = (students) => {
+  const byName = {};
+  (students || []).forEach((s) => {
+    const key = normalizeAmharicName(s.name);
+    if (key) (byName[key] = byName[key] || []).push(s);
+  });
+
+  const pairs = [];
+  Object.values(byName).forEach((group) => {
+    for (let i = 0; i < group.length; i += 1) {
+      for (let j = i + 1; j < group.length; j += 1) {
+        const { reasons, strength } = compareStudents(group[i], group[j]);
+        pairs.push({ a: group[i], b: group[j], reasons, strength });
+      }
+    }
+  });
+  return pairs.sort((x, y) => STRENGTH_ORDER[y.strength] - STRENGTH_ORDER[x.strength]);
+};
+
+// What to do with an uploaded row: no strong match -> new; identical -> skip; otherwise update.
+// A possible match (same name or a shared phone only) is often a sibling, so it
+// stays 'new' and the teacher switches it to update from the preview if needed.
+export const suggestImportAction = (row, match) => {
+  if (match?.strength !== 'strong') return 'new';
+  const same = ['name', 'age', 'phone', 'altPhone', 'rollNumber'].every(
+    (f) => String(row[f] ?? '').trim() === String(match.student[f] ?? '').trim(),
+  );
+  return same ? 'skip' : 'update';
+};
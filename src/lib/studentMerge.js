@@ -0,0 +1,55 @@
+import { supabase } from './supabaseClient';
+import { copyGuardianLinks } from './guardians';
+
+// Fields of `keep` that are empty get the value from `remove`.
+export const planMergedStudent = (keep, remove) => {
+  const merged = { ...keep };
+  ['rollNumber', 'age', 'phone', 'altPhone'].forEach((field) => {
+    if (String(merged[field] ?? '').trim() === '' && String(remove[field] ?? '').trim() !== '') merged[field] = remove[field];
+  });
+  // a second phone number is worth keeping even when both records have one
+  if (merged.phone && remove.phone && merged.phone !== remove.phone && !merged.altPhone) merged.altPhone = remove.phone;
+  return merged;
+};
+
+// Attendance of `remove` moved onto `keep`; on dates both have, keep's record wins.
+export const planMergedAttendance = (keepHistory = {}, removeHistory = {}) => {
+  const moved = Object.entries(removeHistory).filter(([date]) => !keepHistory[date]);
+  return { moved, merged: { ...keepHistory, ...Object.fromEntries(moved) } };
+};
+
+/*
+  Merges two student records: copies missing details and guardian links onto
+  `keep`, then one database function moves the duplicate's whole attendance
+  history (every term, not just the loaded one) and deletes it. Moved rows keep
+  their class_id, so reports still count them under the class of that day; on
+  dates both students have a record, keep's wins and the duplicate's is dropped.
+
+  create function merge_students(keep_id uuid, remove_id uuid) returns void
+  language plpgsql as $$
+  begin
+    update attendance_records r set student_id = keep_id
+    where r.student_id = remove_id
+      and not exists (select 1 from attendance_records k where k.student_id = keep_id and k.date = r.date);
+    delete from attendance_records where student_id = remove_id;
+    delete from students where id = remove_id;
+  end $$;
+
+  The steps before it only add to `keep`, so a failure part-way loses nothing.
+  `attendance` is the loaded map; the returned `attendance` is keep's merged
+  history for it.
+*/
+export const mergeStudents = async ({ keep, remove, attendance, mapToDb, mapFromDb }) => {
+  const mergedStudent = planMergedStudent(keep, remove);
+  const { merged } = planMergedAttendance(attendance[keep.id], attendance[remove.id]);
+
+  const { data, error } = await supabase.from('students').update(mapToDb(mergedStudent)).eq('id', keep.id).select().single();
+  if (error) throw error;
+
+  await copyGuardianLinks(remove.id, keep.id);
+
+  const { error: mergeError } = await supabase.rpc('merge_students', { keep_id: keep.id, remove_id: remove.id });
+  if (mergeError) throw mergeError;
+
+  return { student: mapFromDb(data), attendance: merged };
+};
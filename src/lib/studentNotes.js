@@ -0,0 +1,38 @@
+import { supabase } from './supabaseClient';
+
+/*
+  Free-text notes on a student (parent meetings, health, follow-ups):
+    student_notes: id (uuid), student_id (uuid -> students, on delete cascade),
+                   body (text), created_by (uuid -> auth.users),
+                   author_name (text), created_at (timestamptz)
+*/
+
+export const mapNoteFromDb = (row) => ({
+  id: row.id,
+  studentId: row.student_id,
+  body: row.body ?? '',
+  authorName: row.author_name ?? '',
+  createdBy: row.created_by,
+  createdAt: row.created_at,
+});
+
+export const fetchNotes = async (studentId) => {
+  const { data, error } = await supabase.from('student_notes').select('*').eq('student_id', studentId).order('created_at', { ascending: false });
+  if (error) throw error;
+  return (data || []).map(mapNoteFromDb);
+};
+
+export const addNote = async (studentId, body, { user, profile }) => {
+  const { data, error } = await supabase
+    .from('student_notes')
+    .insert({ student_id: studentId, body, created_by: user?.id ?? null, author_name: profile?.fullName || user?.email || null })
+    .select()
+    .single();
+  if (error) throw error;
+  return mapNoteFromDb(data);
+};
+
+export const deleteNote = async (noteId) => {
+  const { error } = await supabase.from('student_notes').delete().eq('id', noteId);
+  if (error) throw error;
+};
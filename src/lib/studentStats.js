@@ -0,0 +1,114 @@
+import { ATTENDANCE_STATUSES, getStatus } from '../data/attendanceStatuses';
+import { ETHIOPIAN_MONTHS, addDaysIso, ethiopianMonthLength, fromEthiopian, toEthiopian } from './ethiopianCalendar';
+
+/*
+  Per-student attendance summaries for the profile page. A student's timeline
+  is every class day of the class they were in at the time: dates with a
+  record, plus closed sessions without one (absent, as in the class report).
+  Cancelled days and still-open sessions without a mark are left out, and so
+  are sessions from before the student joined (closing a session marks the
+  roster of the day, so a later enrolment has no record there on purpose) or
+  after they were archived (graduated, left).
+*/
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local ISO date the student was added (created_at is a UTC timestamp), or null.
+export const joinedOn = (student) => {
+  if (!student?.createdAt) return null;
+  const d = new Date(student.createdAt);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// { since, until }: ISO dates the student was on a roster, either may be null.
+// The archive date is cut the same way as History and Reports do.
+export const enrolment = (student) => ({ since: joinedOn(student), until: student?.archivedAt ? student.archivedAt.slice(0, 10) : null });
+
+// [{ date, code }] in date order. Unrecorded sessions outside `enrolment(student)` are dropped.
+export const buildTimeline = (records, sessions, classOn, { since = null, until = null } = {}) => {
+  const byDate = { ...records };
+  (sessions || []).forEach((session) => {
+    if (session.cancelled || session.status !== 'closed' || byDate[session.date]) return;
+    if ((since && session.date < since) || (until && session.date > until)) return;
+    if (session.classId === classOn(session.date)) byDate[session.date] = 'A';
+  });
+  const cancelled = new Set((sessions || []).filter((s) => s.cancelled && s.classId === classOn(s.date)).map((s) => s.date));
+  return Object.entries(byDate)
+    .filter(([date]) => !cancelled.has(date))
+    .map(([date, code]) => ({ date, code }))
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+};
+
+// Consecutive class days present (late counts); permission days neither break
+// nor extend a streak.
+export const computeStreaks = (timeline) => {
+  let current = 0;
+  let longest = 0;
+  timeline.forEach(({ code }) => {
+    const status = getStatus(code);
+    if (!status) return;
+    if (status.countsAsPresent) {
+      current += 1;
+      longest = Math.max(longest, current);
+    } else if (!status.excused) {
+      current = 0;
+    }
+  });
+  return { current, longest };
+};
+
+export const summarize = (timeline) => {
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map((s) => [s.code, 0]));
+  timeline.forEach(({ code }) => {
+    counts[code] = (counts[code] || 0) + 1;
+  });
+  const present = ATTENDANCE_STATUSES.filter((s) => s.countsAsPresent).reduce((sum, s) => sum + counts[s.code], 0);
+  return { days: timeline.length, counts, rate: timeline.length ? Math.round((present / timeline.length) * 100) : null };
+};
+
+// One summary per term that has class days, newest year first.
+export const summarizeByTerm = (timeline, academicYears) =>
+  academicYears.flatMap((year) =>
+    year.terms
+      .map((term) => ({
+        year: year.year,
+        term,
+        ...summarize(timeline.filter(({ date }) => date >= term.startDate && date <= term.endDate)),
+      }))
+      .filter((row) => row.days > 0),
+  );
+
+export const excusedDays = (timeline) => timeline.filter(({ code }) => getStatus(code)?.excused);
+
+// Heat-map rows for a date range: one row per month (Ethiopian or Gregorian),
+// each a list of { date, day } cells.
+export const heatmapMonths = (from, to, calendar) => {
+  const months = [];
+  let date = from;
+  while (date <= to) {
+    let key;
+    let label;
+    let day;
+    if (calendar === 'ethiopian') {
+      const et = toEthiopian(date);
+      key = `${et.year}-${et.month}`;
+      label = `${ETHIOPIAN_MONTHS[et.month - 1].am} ${et.year}`;
+      day = et.day;
+    } else {
+      const [y, m, d] = date.split('-').map(Number);
+      key = `${y}-${m}`;
+      label = new Intl.DateTimeFormat('en-US', { month: 'short', year: 'numeric' }).format(new Date(y, m - 1, 1));
+      day = d;
+    }
+    if (months[months.length - 1]?.key !== key) months.push({ key, label, cells: [] });
+    months[months.length - 1].cells.push({ date, day });
+    date = addDaysIso(date, 1);
+  }
+  return months;
+};
+
+// The Ethiopian year containing `date`, as an ISO range.
+export const ethiopianYearOf = (date) => {
+  const { year } = toEthiopian(date);
+  return { from: fromEthiopian({ year, month: 1, day: 1 }), to: fromEthiopian({ year, month: 13, day: ethiopianMonthLength(year, 13) }) };
+};
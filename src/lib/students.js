@@ -0,0 +1,49 @@
+import { supabase } from './supabaseClient';
+
+// students row <-> the editable model used across the dashboard and profile page.
+export const mapStudentFromDb = (row) => ({
+  id: row.id,
+  rollNumber: row.roll_number ?? '',
+  name: row.full_name ?? '',
+  classId: row.class_id,
+  age: row.age ?? '',
+  phone: row.phone ?? '',
+  altPhone: row.alt_phone ?? '',
+  archivedAt: row.archived_at ?? null,
+  archiveReason: row.archive_reason ?? null,
+  createdAt: row.created_at ?? null,
+});
+
+// map Editable model -> DB payload (for upsert/insert)
+export const mapStudentToDb = (student) => ({
+  full_name: student.name || null,
+  class_id: student.classId || null,
+  roll_number: student.rollNumber === '' ? null : Number(student.rollNumber) || null,
+  age: student.age === '' ? null : Number(student.age) || null,
+  phone: student.phone || null,
+  alt_phone: student.altPhone || null,
+});
+
+export const fetchStudent = async (id) => {
+  const { data, error } = await supabase.from('students').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  return data ? mapStudentFromDb(data) : null;
+};
+
+// Active students of one class in roll order (ID card sheets).
+export const fetchClassStudents = async (classId) => {
+  const { data, error } = await supabase.from('students').select('*').eq('class_id', classId).is('archived_at', null).order('roll_number', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(mapStudentFromDb);
+};
+
+// { [date]: statusCode } for one student, all years.
+export const fetchStudentAttendance = async (id, normalizeStatus) => {
+  const { data, error } = await supabase.from('attendance_records').select('date, status').eq('student_id', id);
+  if (error) throw error;
+  return (data || []).reduce((acc, row) => {
+    const code = normalizeStatus(row.status);
+    if (row.date && code) acc[row.date] = code;
+    return acc;
+  }, {});
+};
@@ -0,0 +1,261 @@
+/*
+  Offline attendance sync.
+
+  Marks are written to a local queue first and replayed against Supabase in
+  order whenever we are online. Only the latest queued change per
+  student/date is kept. Each op carries the time it was made on the device
+  (`markedAt`) and the teacher who made it (`markedBy`); they are stored in
+  attendance_records.updated_at / marked_by.
+
+  Conflicts: if the server already has a record for the same student/date
+  written by another teacher *after* our mark, the server copy wins and the
+  op is reported in `conflicts` so the UI can show the newer status.
+  Otherwise our mark wins (last writer by device time).
+
+  A class session opened while offline is queued as an 'open-session' op ahead
+  of its marks. It only creates the session: if someone else opened, closed or
+  cancelled that class day in the meantime, their session is kept. Runs that
+  opened sessions report how many in `openedSessions`.
+
+  Consecutive marks for the same date ("mark all present") are replayed as one
+  read and one upsert; if that batch fails for any reason other than the
+  network, its ops are retried one by one so a single bad row cannot hold up
+  the rest.
+
+  An op that keeps failing for any reason other than the network (a rejected
+  row, a permission error) is moved to the `failed` queue after `maxAttempts`
+  tries, so it stops blocking the rest but is not lost: the teacher can see
+  the list, retry it (`retryFailed`) or drop it (`discardFailed`).
+
+  `client` is anything with the supabase-js query API (see
+  localSupabaseClient.js for an in-memory stand-in); `queue` and `failed` are
+  queue adapters from offlineStore.js. `onPushed([{ op, previous }])` runs
+  after ops are written to the server, once per request: one entry for a
+  single op, all written ops of a batch together (the audit log hooks in there,
+  so a batch becomes one audit insert). `previous` is the server's status
+  before the write, or null.
+*/
+
+import { createMemoryQueue } from './offlineStore';
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// supabase-js reports fetch failures as an error without a Postgres code.
+export const isNetworkError = (error) => Boolean(error) && !error.code && /fetch|network|timeout|offline/i.test(String(error.message || error));
+
+const opKey = (op) => (op.type === 'open-session' ? `session|${op.classId}|${op.date}` : `${op.studentId}|${op.date}`);
+
+const isRemoteNewer = (remote, op) =>
+  Boolean(remote?.updated_at) &&
+  Boolean(remote.marked_by) &&
+  remote.marked_by !== op.markedBy &&
+  new Date(remote.updated_at).getTime() > new Date(op.markedAt).getTime();
+
+export const createSyncEngine = ({
+  client,
+  queue,
+  failed = createMemoryQueue(),
+  isOnline = () => (typeof navigator === 'undefined' ? true : navigator.onLine),
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  onPushed = async () => {},
+}) => {
+  const listeners = new Set();
+  let flushing = null;
+
+  const notify = async () => {
+    const [items, dead] = await Promise.all([queue.all(), failed.all()]);
+    listeners.forEach((fn) => fn(items.length, dead.length));
+  };
+
+  // one op or an array of them; queued in order after dropping older ops for the same keys
+  const enqueue = async (opOrOps) => {
+    const ops = Array.isArray(opOrOps) ? opOrOps : [opOrOps];
+    const keys = new Set(ops.map(opKey));
+    const items = await queue.all();
+    for (const item of items) {
+      if (keys.has(opKey(item))) await queue.remove(item.seq);
+    }
+    const added = [];
+    for (const op of ops) added.push(await queue.add({ ...op, attempts: 0 }));
+    await notify();
+    return Array.isArray(opOrOps) ? added : added[0];
+  };
+
+  const toRecord = (op) => ({
+    student_id: op.studentId,
+    class_id: op.classId,
+    date: op.date,
+    status: op.status,
+    updated_at: op.markedAt,
+    marked_by: op.markedBy,
+  });
+
+  const pushSession = async (op) => {
+    const { error } = await client.from('class_sessions').upsert(
+      {
+        class_id: op.classId,
+        date: op.date,
+        status: 'open',
+        cancelled: false,
+        teacher_id: op.markedBy,
+        teacher_email: op.markedByEmail ?? null,
+        opened_at: op.markedAt,
+      },
+      { onConflict: 'class_id,date', ignoreDuplicates: true },
+    );
+    if (error) throw error;
+    return { session: true };
+  };
+
+  const pushOne = async (op) => {
+    if (op.type === 'open-session') return pushSession(op);
+    const match = { student_id: op.studentId, date: op.date };
+    const { data: remote, error: readError } = await client
+      .from('attendance_records')
+      .select('status, updated_at, marked_by')
+      .match(match)
+      .maybeSingle();
+    if (readError) throw readError;
+
+    if (isRemoteNewer(remote, op)) {
+      return { conflict: { op, remote: { status: remote.status, updatedAt: remote.updated_at, markedBy: remote.marked_by } } };
+    }
+
+    if (op.type === 'clear') {
+      if (!remote) return {};
+      const { error } = await client.from('attendance_records').delete().match(match);
+      if (error) throw error;
+      await onPushed([{ op, previous: remote.status }]);
+      return {};
+    }
+
+    const { error } = await client.from('attendance_records').upsert(toRecord(op));
+    if (error) throw error;
+    await onPushed([{ op, previous: remote?.status ?? null }]);
+    return {};
+  };
+
+  // marks that share a date: same conflict rule as pushOne, one request each way
+  const pushMarks = async (ops) => {
+    const { data, error: readError } = await client
+      .from('attendance_records')
+      .select('student_id, status, updated_at, marked_by')
+      .eq('date', ops[0].date)
+      .in('student_id', ops.map((op) => op.studentId));
+    if (readError) throw readError;
+    const remoteByStudent = Object.fromEntries((data || []).map((row) => [row.student_id, row]));
+
+    const conflicts = [];
+    const toWrite = [];
+    ops.forEach((op) => {
+      const remote = remoteByStudent[op.studentId];
+      if (isRemoteNewer(remote, op)) conflicts.push({ op, remote: { status: remote.status, updatedAt: remote.updated_at, markedBy: remote.marked_by } });
+      else toWrite.push(op);
+    });
+    if (toWrite.length) {
+      const { error } = await client.from('attendance_records').upsert(toWrite.map(toRecord));
+      if (error) throw error;
+      await onPushed(toWrite.map((op) => ({ op, previous: remoteByStudent[op.studentId]?.status ?? null })));
+    }
+    return { synced: toWrite.length, conflicts };
+  };
+
+  const batchOf = (items, start) => {
+    const first = items[start];
+    let end = start + 1;
+    if (first.type === 'mark') {
+      while (end < items.length && items[end].type === 'mark' && items[end].date === first.date) end += 1;
+    }
+    return items.slice(start, end);
+  };
+
+  const run = async () => {
+    const result = { synced: 0, openedSessions: 0, conflicts: [], failed: [] };
+    if (!isOnline()) return result;
+
+    const items = await queue.all();
+    let offline = false;
+    for (let i = 0; i < items.length && !offline; ) {
+      const batch = batchOf(items, i);
+      i += batch.length;
+      if (batch.length === 1) {
+        offline = await pushSingles(batch, result);
+        continue;
+      }
+      try {
+        const outcome = await pushMarks(batch);
+        result.synced += outcome.synced;
+        result.conflicts.push(...outcome.conflicts);
+        for (const item of batch) await queue.remove(item.seq);
+      } catch (error) {
+        offline = isNetworkError(error) || (await pushSingles(batch, result));
+      }
+    }
+
+    await notify();
+    return result;
+  };
+
+  // Replays ops one at a time; true when the connection dropped.
+  const pushSingles = async (items, result) => {
+    for (const item of items) {
+      try {
+        const outcome = await pushOne(item);
+        if (outcome.conflict) result.conflicts.push(outcome.conflict);
+        else if (outcome.session) result.openedSessions += 1;
+        else result.synced += 1;
+        await queue.remove(item.seq);
+      } catch (error) {
+        // connection dropped mid-replay: keep this and everything after it for next time
+        if (isNetworkError(error)) return true;
+        const attempts = (item.attempts || 0) + 1;
+        if (attempts >= maxAttempts) {
+          console.error('[Sync] giving up on queued mark', item, error);
+          result.failed.push({ op: item, error });
+          const { seq, ...op } = item;
+          await failed.add({ ...op, attempts, lastError: error.message || String(error), failedAt: new Date().toISOString() });
+          await queue.remove(seq);
+        } else {
+          await queue.update({ ...item, attempts, lastError: error.message || String(error) });
+        }
+      }
+    }
+    return false;
+  };
+
+  // concurrent callers share the flush already in progress
+  const flush = () => {
+    if (!flushing) flushing = run().finally(() => (flushing = null));
+    return flushing;
+  };
+
+  const pending = async () => queue.all();
+
+  const failedOps = async () => failed.all();
+
+  // Puts failed ops (all, or the given seqs) back in the queue with a fresh
+  // attempt count. One whose student/date was marked again since stays out:
+  // the newer queued mark wins. Call flush() afterwards.
+  const retryFailed = async (seqs) => {
+    const dead = (await failed.all()).filter((item) => !seqs || seqs.includes(item.seq));
+    const queued = new Set((await queue.all()).map(opKey));
+    for (const { seq, attempts, lastError, failedAt, ...op } of dead) {
+      if (!queued.has(opKey(op))) await queue.add({ ...op, attempts: 0 });
+      await failed.remove(seq);
+    }
+    await notify();
+  };
+
+  const discardFailed = async (seqs) => {
+    for (const seq of seqs) await failed.remove(seq);
+    await notify();
+  };
+
+  const subscribe = (fn) => {
+    listeners.add(fn);
+    notify();
+    return () => listeners.delete(fn);
+  };
+
+  return { enqueue, flush, pending, failedOps, retryFailed, discardFailed, subscribe };
+};
@@ -0,0 +1,98 @@
+import { supabase } from './supabaseClient';
+
+/*
+  Teacher profiles live in the `teacher_profiles` table, one row per auth user:
+    id (uuid, = auth.users.id), email (text), full_name (text),
+    role (text: 'admin' | 'class_teacher' | 'viewer'), class_ids (text[]),
+    approved (boolean), created_at (timestamptz)
+
+  A profile row is created (unapproved) the first time a teacher signs in and an
+  admin approves it and assigns classes. The first admin has to be promoted
+  directly in Supabase. Hiding buttons here is only UX — row level security on
+  students / attendance_records must enforce the same rules.
+*/
+
+export const ROLES = [
+  { id: 'admin', label: 'Admin', copy: 'All classes, approves teachers' },
+  { id: 'class_teacher', label: 'Class teacher', copy: 'Takes attendance for assigned classes' },
+  { id: 'viewer', label: 'Read-only viewer', copy: 'Can look at assigned classes' },
+];
+
+export const mapProfileFromDb = (row) => ({
+  id: row.id,
+  email: row.email ?? '',
+  fullName: row.full_name ?? '',
+  role: row.role || 'class_teacher',
+  classIds: row.class_ids || [],
+  approved: Boolean(row.approved),
+  createdAt: row.created_at,
+});
+
+export const mapProfileToDb = (profile) => ({
+  full_name: profile.fullName || null,
+  role: profile.role,
+  class_ids: profile.classIds || [],
+  approved: Boolean(profile.approved),
+});
+
+// Loads the signed-in teacher's profile, creating a pending one on first login.
+export const fetchOrCreateProfile = async (user) => {
+  const { data, error } = await supabase.from('teacher_profiles').select('*').eq('id', user.id).maybeSingle();
+  if (error) throw error;
+  if (data) return mapProfileFromDb(data);
+
+  const { data: created, error: insertError } = await supabase
+    .from('teacher_profiles')
+    .insert({ id: user.id, email: user.email, role: 'class_teacher', class_ids: [], approved: false })
+    .select()
+    .single();
+  if (insertError) throw insertError;
+  return mapProfileFromDb(created);
+};
+
+export const fetchAllProfiles = async () => {
+  const { data, error } = await supabase.from('teacher_profiles').select('*').order('created_at', { ascending: true });
+  if (error) throw error;
+  return (data || []).map(mapProfileFromDb);
+};
+
+export const saveProfile = async (profile) => {
+  const { data, error } = await supabase.from('teacher_profiles').update(mapProfileToDb(profile)).eq('id', profile.id).select().single();
+  if (error) throw error;
+  return mapProfileFromDb(data);
+};
+
+// Everything the dashboard needs to decide what to show for this teacher.
+export const buildPermissions = (profile) => {
+  const role = profile?.role;
+  const isAdmin = role === 'admin';
+  const assigned = new Set(profile?.classIds || []);
+  const canSeeClass = (classId) => isAdmin || assigned.has(classId);
+  const canWriteClass = (classId) => isAdmin || (role === 'class_teacher' && assigned.has(classId));
+
+  return {
+    role,
+    isAdmin,
+    readOnly: role === 'viewer',
+    canSeeClass,
+    // marking attendance and adding/editing students
+    canMark: canWriteClass,
+    canEditStudents: canWriteClass,
+    canUpload: isAdmin || (role === 'class_teacher' && assigned.size > 0),
+    // removing students and wiping a class are admin-only
+    canDeleteStudents: isAdmin,
+    filterClasses: (classes) => classes.filter((k) => canSeeClass(k.id)),
+    filterWritableClasses: (classes) => classes.filter((k) => canWriteClass(k.id)),
+  };
+};
+
+// Same visibility, nothing writable — used while browsing a past academic year.
+export const readOnlyPermissions = (permissions) => ({
+  ...permissions,
+  readOnly: true,
+  canMark: () => false,
+  canEditStudents: () => false,
+  canUpload: false,
+  canDeleteStudents: false,
+  filterWritableClasses: () => [],
+});
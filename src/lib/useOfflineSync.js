@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { supabase } from './supabaseClient';
+import { createIdbQueue } from './offlineStore';
+import { createSyncEngine } from './syncEngine';
+
+const RETRY_INTERVAL_MS = 30000;
+
+// React glue around the sync engine: tracks connectivity and the pending
+// count, replays the queue when the device comes back online (and every 30s
+// while anything is pending), and hands each non-empty result to `onResult`.
+// `onPushed` is passed through to the engine (called with the ops each request wrote).
+// `queueChange` takes one op or an array of them (queued and sent as a batch).
+// Ops the engine gave up on are counted in `failedCount`; `failedOps`,
+// `retryFailed(seqs?)` and `discardFailed(seqs)` manage that list.
+export const useOfflineSync = ({ onResult, onPushed } = {}) => {
+  const pushedRef = useRef(onPushed);
+  pushedRef.current = onPushed;
+  const engine = useMemo(
+    () =>
+      createSyncEngine({
+        client: supabase,
+        queue: createIdbQueue(),
+        failed: createIdbQueue('failed'),
+        onPushed: async (pushed) => {
+          try {
+            await pushedRef.current?.(pushed);
+          } catch (error) {
+            console.error('[Sync] onPushed failed', error);
+          }
+        },
+      }),
+    [],
+  );
+  const [online, setOnline] = useState(() => (typeof navigator === 'undefined' ? true : navigator.onLine));
+  const [pendingCount, setPendingCount] = useState(0);
+  const [failedCount, setFailedCount] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const resultRef = useRef(onResult);
+  resultRef.current = onResult;
+
+  const syncNow = useCallback(async () => {
+    setSyncing(true);
+    try {
+      const result = await engine.flush();
+      if (result.synced || result.openedSessions || result.conflicts.length || result.failed.length) resultRef.current?.(result);
+      return result;
+    } finally {
+      setSyncing(false);
+    }
+  }, [engine]);
+
+  useEffect(
+    () =>
+      engine.subscribe((pending, dead) => {
+        setPendingCount(pending);
+        setFailedCount(dead);
+      }),
+    [engine],
+  );
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      syncNow();
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    // replay whatever was left from the last visit
+    syncNow();
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncNow]);
+
+  useEffect(() => {
+    if (!online || pendingCount === 0) return undefined;
+    const t = setInterval(syncNow, RETRY_INTERVAL_MS);
+    return () => clearInterval(t);
+  }, [online, pendingCount, syncNow]);
+
+  const queueChange = useCallback(
+    async (op) => {
+      await engine.enqueue(op);
+      if (navigator.onLine) syncNow();
+    },
+    [engine, syncNow],
+  );
+
+  const retryFailed = useCallback(
+    async (seqs) => {
+      await engine.retryFailed(seqs);
+      if (navigator.onLine) return syncNow();
+      return null;
+    },
+    [engine, syncNow],
+  );
+
+  return {
+    online,
+    pendingCount,
+    failedCount,
+    syncing,
+    queueChange,
+    syncNow,
+    pendingOps: engine.pending,
+    failedOps: engine.failedOps,
+    retryFailed,
+    discardFailed: engine.discardFailed,
+  };
+};
@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from 'react';
+import { supabase } from './supabaseClient';
+
+/*
+  Supabase Realtime glue for the dashboard. Needs Realtime enabled on
+  attendance_records and students (Database → Replication); row level
+  security applies to the change feed as it does to queries.
+
+  useLiveChanges: postgres_changes on both tables, handed to the callbacks as
+  supabase-js payloads ({ eventType, new, old }). Deletes only carry the
+  primary key (student_id + date / id) unless the table has REPLICA IDENTITY FULL.
+  Events missed while disconnected are not replayed, so `onResubscribe` runs
+  after every reconnect to reload.
+
+  usePresence: who else has the dashboard open and on which class/date/view.
+*/
+
+export const useLiveChanges = ({ enabled, onAttendanceChange, onStudentChange, onResubscribe }) => {
+  const handlers = useRef({ onAttendanceChange, onStudentChange, onResubscribe });
+  handlers.current = { onAttendanceChange, onStudentChange, onResubscribe };
+  const [status, setStatus] = useState('CLOSED');
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let subscribedOnce = false;
+    const channel = supabase
+      .channel('dashboard-changes')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'attendance_records' }, (payload) => handlers.current.onAttendanceChange?.(payload))
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'students' }, (payload) => handlers.current.onStudentChange?.(payload))
+      .subscribe((next) => {
+        setStatus(next);
+        if (next !== 'SUBSCRIBED') return;
+        if (subscribedOnce) handlers.current.onResubscribe?.();
+        subscribedOnce = true;
+      });
+    return () => {
+      supabase.removeChannel(channel);
+      setStatus('CLOSED');
+    };
+  }, [enabled]);
+
+  return status;
+};
+
+// `me` is { userId, name }; `where` is what this device is looking at. Returns
+// the other teachers' presence entries ({ userId, name, ...where }).
+export const usePresence = ({ enabled, me, where }) => {
+  const channelRef = useRef(null);
+  const whereRef = useRef(where);
+  whereRef.current = where;
+  const [peers, setPeers] = useState([]);
+
+  useEffect(() => {
+    if (!enabled || !me.userId) return undefined;
+    const channel = supabase.channel('dashboard-presence', { config: { presence: { key: me.userId } } });
+    channel
+      .on('presence', { event: 'sync' }, () => {
+        const state = channel.presenceState();
+        setPeers(Object.entries(state).flatMap(([key, entries]) => (key === me.userId ? [] : entries.slice(0, 1))));
+      })
+      .subscribe(async (status) => {
+        if (status !== 'SUBSCRIBED') return;
+        channelRef.current = channel;
+        await channel.track({ ...me, ...whereRef.current });
+      });
+    return () => {
+      channelRef.current = null;
+      supabase.removeChannel(channel);
+      setPeers([]);
+    };
+  }, [enabled, me.userId, me.name]);
+
+  // keyed on the fields: `me` and `where` are new objects on every render
+  useEffect(() => {
+    channelRef.current?.track({ ...me, ...where });
+  }, [me.userId, me.name, where.classId, where.date, where.view]);
+
+  return peers;
+};
@@ -0,0 +1,619 @@
+// src/pages/AdminPage.jsx
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ROLES, fetchAllProfiles, saveProfile } from '../lib/teacherProfiles';
+import { useAuth } from '../components/AuthProvider';
+import { useClasses } from '../components/ClassesProvider';
+import { describeAgeRange, newClassId, saveClass, saveClassOrder, seedClasses } from '../lib/classCatalog';
+import DateInput from '../components/DateInput';
+import { createAcademicYear, currentEthiopianYear, deleteTerm, fetchAcademicYears, saveTerm } from '../lib/academicTerms';
+import { formatDate, formatDateRange, todayIso } from '../lib/ethiopianCalendar';
+import { AUDIT_PAGE_SIZE, actionLabel, describeChanges, fetchAuditLog } from '../lib/auditLog';
+
+/*
+  Admin screen: approve teachers who signed up and decide what each one can do,
+  set up classes and academic years / terms, and review the activity log.
+  Only reachable through <RequireAuth role="admin">.
+*/
+
+const AdminPage = () => {
+  const { user, refreshProfile } = useAuth();
+  const { classes } = useClasses();
+  const [profiles, setProfiles] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [toast, setToast] = useState('');
+
+  const loadProfiles = useCallback(async () => {
+    setLoading(true);
+    try {
+      setProfiles(await fetchAllProfiles());
+    } catch (error) {
+      console.error('Failed to load teacher profiles', error);
+      setToast('Could not load teachers.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  useEffect(() => {
+    if (!toast) return undefined;
+    const t = setTimeout(() => setToast(''), 3500);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  // pending sign-ups first, then everyone else in sign-up order
+  const ordered = useMemo(() => [...profiles].sort((a, b) => Number(a.approved) - Number(b.approved)), [profiles]);
+  const pendingCount = profiles.filter((p) => !p.approved).length;
+
+  const draftFor = (profile) => drafts[profile.id] || profile;
+
+  const updateDraft = (profile, patch) => {
+    setDrafts((prev) => ({ ...prev, [profile.id]: { ...draftFor(profile), ...patch } }));
+  };
+
+  const toggleClass = (profile, classId) => {
+    const current = draftFor(profile).classIds;
+    const next = current.includes(classId) ? current.filter((id) => id !== classId) : [...current, classId];
+    updateDraft(profile, { classIds: next });
+  };
+
+  const handleSave = async (profile, patch = {}) => {
+    const draft = { ...draftFor(profile), ...patch };
+    if (draft.id === user?.id && draft.role !== 'admin') {
+      setToast('You cannot remove your own admin role.');
+      return;
+    }
+    try {
+      const saved = await saveProfile(draft);
+      setProfiles((prev) => prev.map((p) => (p.id === saved.id ? saved : p)));
+      setDrafts((prev) => {
+        const next = { ...prev };
+        delete next[saved.id];
+        return next;
+      });
+      if (saved.id === user?.id) refreshProfile();
+      setToast(`Saved ${saved.email}.`);
+    } catch (error) {
+      console.error('Failed to save teacher profile', error);
+      setToast(error.message || 'Could not save teacher.');
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <h1 style={styles.title}>Teachers &amp; class assignments</h1>
+        <Link to="/app" style={styles.backLink}>
+          ← Back to dashboard
+        </Link>
+      </header>
+
+      {pendingCount > 0 && (
+        <p style={styles.pendingNote}>
+          <strong>{pendingCount}</strong> new sign-up{pendingCount === 1 ? '' : 's'} waiting for approval.
+        </p>
+      )}
+
+      {loading ? (
+        <p>Loading teachers…</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr style={styles.tableHeader}>
+              <th style={styles.th}>Teacher</th>
+              <th style={styles.th}>Role</th>
+              <th style={styles.th}>Classes</th>
+              <th style={styles.th}>Status</th>
+              <th style={styles.th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {ordered.map((profile) => {
+              const draft = draftFor(profile);
+              const dirty = Boolean(drafts[profile.id]);
+              return (
+                <tr key={profile.id} style={styles.tableRow}>
+                  <td style={styles.td}>
+                    <input
+                      type="text"
+                      placeholder="Full name"
+                      value={draft.fullName}
+                      onChange={(e) => updateDraft(profile, { fullName: e.target.value })}
+                      style={styles.input}
+                    />
+                    <div style={styles.meta}>{profile.email}</div>
+                  </td>
+                  <td style={styles.td}>
+                    <select value={draft.role} onChange={(e) => updateDraft(profile, { role: e.target.value })} style={styles.input}>
+                      {ROLES.map((r) => (
+                        <option key={r.id} value={r.id}>
+                          {r.label}
+                        </option>
+                      ))}
+                    </select>
+                    <div style={styles.meta}>{ROLES.find((r) => r.id === draft.role)?.copy}</div>
+                  </td>
+                  <td style={styles.td}>
+                    {draft.role === 'admin' ? (
+                      <span style={styles.meta}>All classes</span>
+                    ) : (
+                      <div style={styles.classList}>
+                        {classes.map((k) => (
+                          <label key={k.id} style={styles.classOption}>
+                            <input type="checkbox" checked={draft.classIds.includes(k.id)} onChange={() => toggleClass(profile, k.id)} />
+                            {k.label} <span style={styles.meta}>{k.description}</span>
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                  <td style={styles.td}>{profile.approved ? 'Approved' : <strong style={styles.pending}>Pending</strong>}</td>
+                  <td style={styles.td}>
+                    <div style={styles.buttonGroup}>
+                      {!profile.approved && (
+                        <button onClick={() => handleSave(profile, { approved: true })} style={styles.buttonPrimary}>
+                          Approve
+                        </button>
+                      )}
+                      {profile.approved && profile.id !== user?.id && (
+                        <button onClick={() => handleSave(profile, { approved: false })} style={styles.buttonDanger}>
+                          Revoke
+                        </button>
+                      )}
+                      <button onClick={() => handleSave(profile)} disabled={!dirty} style={styles.buttonSecondary}>
+                        Save
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <ClassesPanel
+        teachers={profiles.filter((p) => p.role === 'class_teacher')}
+        onToggleTeacher={(profile, classId) => {
+          const current = profile.classIds;
+          handleSave(profile, { classIds: current.includes(classId) ? current.filter((id) => id !== classId) : [...current, classId] });
+        }}
+        onToast={setToast}
+      />
+
+      <AcademicYearsPanel onToast={setToast} />
+
+      <ActivityPanel teachers={profiles} onToast={setToast} />
+
+      {toast && <div style={styles.toast}>{toast}</div>}
+    </div>
+  );
+};
+
+const EMPTY_CLASS = { label: '', description: '', minAge: '', maxAge: '' };
+
+// Create, rename, reorder and retire classes. Order is the promotion corridor.
+const ClassesPanel = ({ teachers, onToggleTeacher, onToast }) => {
+  const { allClasses, seeded, replaceClasses } = useClasses();
+  const [drafts, setDrafts] = useState({});
+  const [newClass, setNewClass] = useState(EMPTY_CLASS);
+  const ordered = [...allClasses].sort((a, b) => a.position - b.position);
+
+  const draftFor = (klass) => drafts[klass.id] || klass;
+  const updateDraft = (klass, patch) => setDrafts((prev) => ({ ...prev, [klass.id]: { ...draftFor(klass), ...patch } }));
+
+  const withDescription = (klass) => ({ ...klass, description: klass.description || describeAgeRange(klass.minAge, klass.maxAge) });
+
+  const store = async (klass, message) => {
+    if (!klass.label.trim()) {
+      onToast('A class needs a name.');
+      return false;
+    }
+    try {
+      const saved = await saveClass(withDescription(klass));
+      replaceClasses([...allClasses.filter((k) => k.id !== saved.id), saved]);
+      setDrafts((prev) => {
+        const next = { ...prev };
+        delete next[saved.id];
+        return next;
+      });
+      onToast(message || `Saved ${saved.label}.`);
+      return true;
+    } catch (error) {
+      console.error('Failed to save class', error);
+      onToast(error.message || 'Could not save the class.');
+      return false;
+    }
+  };
+
+  const handleSeed = async () => {
+    try {
+      replaceClasses(await seedClasses());
+      onToast('Classes table created from the built-in list.');
+    } catch (error) {
+      console.error('Failed to seed classes', error);
+      onToast(error.message || 'Could not create the classes.');
+    }
+  };
+
+  const handleMove = async (index, delta) => {
+    const next = [...ordered];
+    const [item] = next.splice(index, 1);
+    next.splice(index + delta, 0, item);
+    try {
+      replaceClasses(await saveClassOrder(next));
+    } catch (error) {
+      console.error('Failed to reorder classes', error);
+      onToast('Could not save the new order.');
+    }
+  };
+
+  const handleAdd = async () => {
+    if (await store({ ...newClass, id: newClassId(), position: ordered.length, retired: false }, `Added ${newClass.label}.`)) setNewClass(EMPTY_CLASS);
+  };
+
+  return (
+    <section style={styles.panel}>
+      <h2 style={styles.subtitle}>Classes</h2>
+      {!seeded ? (
+        <p style={styles.pendingNote}>
+          The app is using the built-in class list. Create the classes table from it to start editing.{' '}
+          <button onClick={handleSeed} style={styles.buttonPrimary}>
+            Seed classes
+          </button>
+        </p>
+      ) : (
+        <>
+          <table style={styles.table}>
+            <thead>
+              <tr style={styles.tableHeader}>
+                <th style={styles.th}>Order</th>
+                <th style={styles.th}>Name</th>
+                <th style={styles.th}>Description</th>
+                <th style={styles.th}>Ages</th>
+                <th style={styles.th}>Teachers</th>
+                <th style={styles.th}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ordered.map((klass, index) => {
+                const draft = draftFor(klass);
+                return (
+                  <tr key={klass.id} style={{ ...styles.tableRow, ...(klass.retired ? { opacity: 0.5 } : {}) }}>
+                    <td style={styles.td}>
+                      <div style={styles.buttonGroup}>
+                        <button onClick={() => handleMove(index, -1)} disabled={index === 0} style={styles.buttonSecondary}>
+                          ↑
+                        </button>
+                        <button onClick={() => handleMove(index, 1)} disabled={index === ordered.length - 1} style={styles.buttonSecondary}>
+                          ↓
+                        </button>
+                      </div>
+                    </td>
+                    <td style={styles.td}>
+                      <input value={draft.label} onChange={(e) => updateDraft(klass, { label: e.target.value })} style={styles.input} />
+                    </td>
+                    <td style={styles.td}>
+                      <input value={draft.description} onChange={(e) => updateDraft(klass, { description: e.target.value })} style={styles.input} />
+                    </td>
+                    <td style={styles.td}>
+                      <div style={styles.buttonGroup}>
+                        <input type="number" placeholder="from" value={draft.minAge ?? ''} onChange={(e) => updateDraft(klass, { minAge: e.target.value })} style={styles.input} />
+                        <input type="number" placeholder="to" value={draft.maxAge ?? ''} onChange={(e) => updateDraft(klass, { maxAge: e.target.value })} style={styles.input} />
+                      </div>
+                    </td>
+                    <td style={styles.td}>
+                      <div style={styles.classList}>
+                        {teachers.length === 0 && <span style={styles.meta}>No class teachers yet</span>}
+                        {teachers.map((t) => (
+                          <label key={t.id} style={styles.classOption}>
+                            <input type="checkbox" checked={t.classIds.includes(klass.id)} onChange={() => onToggleTeacher(t, klass.id)} />
+                            {t.fullName || t.email}
+                          </label>
+                        ))}
+                      </div>
+                    </td>
+                    <td style={styles.td}>
+                      <div style={styles.buttonGroup}>
+                        <button onClick={() => store(draft)} disabled={!drafts[klass.id]} style={styles.buttonSecondary}>
+                          Save
+                        </button>
+                        <button
+                          onClick={() => store({ ...klass, retired: !klass.retired }, klass.retired ? `${klass.label} is active again.` : `${klass.label} retired.`)}
+                          style={klass.retired ? styles.buttonSecondary : styles.buttonDanger}
+                        >
+                          {klass.retired ? 'Restore' : 'Retire'}
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p style={styles.meta}>Retired classes disappear from pickers and promotion, but their past attendance stays in reports.</p>
+
+          <div style={styles.buttonGroup}>
+            <input placeholder="New class name" value={newClass.label} onChange={(e) => setNewClass((c) => ({ ...c, label: e.target.value }))} style={styles.input} />
+            <input type="number" placeholder="Age from" value={newClass.minAge} onChange={(e) => setNewClass((c) => ({ ...c, minAge: e.target.value }))} style={{ ...styles.input, width: '100px' }} />
+            <input type="number" placeholder="Age to" value={newClass.maxAge} onChange={(e) => setNewClass((c) => ({ ...c, maxAge: e.target.value }))} style={{ ...styles.input, width: '100px' }} />
+            <button onClick={handleAdd} disabled={!newClass.label.trim()} style={styles.buttonPrimary}>
+              Add class
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+// Years and their terms; the dashboard's term switcher lists what is set up here.
+const AcademicYearsPanel = ({ onToast }) => {
+  const calendar = localStorage.getItem('senbet.calendar') || 'ethiopian';
+  const [years, setYears] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [newYear, setNewYear] = useState('');
+
+  useEffect(() => {
+    fetchAcademicYears()
+      .then(setYears)
+      .catch((error) => {
+        console.error('Failed to load academic years', error);
+        onToast('Could not load academic years.');
+      });
+  }, [onToast]);
+
+  const suggestedYear = years.length ? years[0].year + 1 : currentEthiopianYear(todayIso());
+  const draftFor = (term) => drafts[term.id || term.key] || term;
+  const updateDraft = (term, patch) => setDrafts((prev) => ({ ...prev, [term.id || term.key]: { ...draftFor(term), ...patch } }));
+
+  const replaceTerms = (year, update) => setYears((prev) => prev.map((y) => (y.year === year ? { ...y, terms: update(y.terms) } : y)));
+
+  const handleAddYear = async () => {
+    const year = Number(newYear || suggestedYear);
+    if (years.some((y) => y.year === year)) {
+      onToast(`${year} already exists.`);
+      return;
+    }
+    try {
+      const created = await createAcademicYear(year);
+      setYears((prev) => [...prev, created].sort((a, b) => b.year - a.year));
+      setNewYear('');
+      onToast(`Added ${year} ዓ.ም with two terms.`);
+    } catch (error) {
+      console.error('Failed to add academic year', error);
+      onToast(error.message || 'Could not add the year.');
+    }
+  };
+
+  const handleSaveTerm = async (term) => {
+    const draft = draftFor(term);
+    if (!draft.name.trim() || !draft.startDate || !draft.endDate || draft.startDate > draft.endDate) {
+      onToast('A term needs a name and a start date before its end date.');
+      return;
+    }
+    try {
+      const saved = await saveTerm(draft);
+      replaceTerms(term.year, (terms) => [...terms.filter((t) => t !== term && t.id !== saved.id), saved].sort((a, b) => (a.startDate < b.startDate ? -1 : 1)));
+      setDrafts((prev) => {
+        const next = { ...prev };
+        delete next[term.id || term.key];
+        return next;
+      });
+      onToast(`Saved ${saved.name}.`);
+    } catch (error) {
+      console.error('Failed to save term', error);
+      onToast(error.message || 'Could not save the term.');
+    }
+  };
+
+  const handleDeleteTerm = async (term) => {
+    if (term.id) {
+      if (!window.confirm(`Delete ${term.name}? Attendance is not affected.`)) return;
+      try {
+        await deleteTerm(term.id);
+      } catch (error) {
+        console.error('Failed to delete term', error);
+        onToast('Could not delete the term.');
+        return;
+      }
+    }
+    replaceTerms(term.year, (terms) => terms.filter((t) => t !== term));
+  };
+
+  const addTerm = (year) =>
+    replaceTerms(year.year, (terms) => [...terms, { key: `new-${Date.now()}`, year: year.year, name: '', startDate: year.startDate, endDate: year.endDate }]);
+
+  return (
+    <section style={styles.panel}>
+      <h2 style={styles.subtitle}>Academic years &amp; terms</h2>
+      <div style={styles.buttonGroup}>
+        <input type="number" placeholder={String(suggestedYear)} value={newYear} onChange={(e) => setNewYear(e.target.value)} style={{ ...styles.input, width: '120px' }} />
+        <button onClick={handleAddYear} style={styles.buttonPrimary}>
+          Add year
+        </button>
+      </div>
+
+      {years.map((year) => (
+        <div key={year.year} style={styles.yearBlock}>
+          <strong>{year.year} ዓ.ም</strong> <span style={styles.meta}>{formatDateRange(year.startDate, year.endDate, calendar)}</span>
+          <table style={styles.table}>
+            <tbody>
+              {year.terms.map((term) => {
+                const draft = draftFor(term);
+                const dirty = !term.id || Boolean(drafts[term.id]);
+                return (
+                  <tr key={term.id || term.key} style={styles.tableRow}>
+                    <td style={styles.td}>
+                      <input type="text" placeholder="Term name" value={draft.name} onChange={(e) => updateDraft(term, { name: e.target.value })} style={styles.input} />
+                    </td>
+                    <td style={styles.td}>
+                      <DateInput value={draft.startDate} onChange={(iso) => updateDraft(term, { startDate: iso })} calendar={calendar} style={styles.input} />
+                    </td>
+                    <td style={styles.td}>
+                      <DateInput value={draft.endDate} onChange={(iso) => updateDraft(term, { endDate: iso })} calendar={calendar} style={styles.input} />
+                    </td>
+                    <td style={styles.td}>
+                      <div style={styles.buttonGroup}>
+                        <button onClick={() => handleSaveTerm(term)} disabled={!dirty} style={styles.buttonSecondary}>
+                          Save
+                        </button>
+                        <button onClick={() => handleDeleteTerm(term)} style={styles.buttonDanger}>
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <button onClick={() => addTerm(year)} style={styles.buttonSecondary}>
+            + Add term
+          </button>
+        </div>
+      ))}
+    </section>
+  );
+};
+
+// Audit log of attendance and roster changes, filterable by teacher, class and date.
+const ActivityPanel = ({ teachers, onToast }) => {
+  const calendar = localStorage.getItem('senbet.calendar') || 'ethiopian';
+  const { allClasses } = useClasses();
+  const [filters, setFilters] = useState({ actorId: '', classId: '', from: '', to: '' });
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const load = useCallback(
+    async (before) => {
+      setLoading(true);
+      try {
+        const page = await fetchAuditLog({ ...filters, before });
+        setEntries((prev) => (before ? [...prev, ...page] : page));
+        setHasMore(page.length === AUDIT_PAGE_SIZE);
+      } catch (error) {
+        console.error('Failed to load activity', error);
+        onToast('Could not load activity.');
+      } finally {
+        setLoading(false);
+      }
+    },
+    [filters, onToast],
+  );
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const setFilter = (patch) => setFilters((prev) => ({ ...prev, ...patch }));
+
+  return (
+    <section style={styles.panel}>
+      <h2 style={styles.subtitle}>Activity</h2>
+      <div style={styles.buttonGroup}>
+        <select value={filters.actorId} onChange={(e) => setFilter({ actorId: e.target.value })} style={styles.input}>
+          <option value="">All teachers</option>
+          {teachers.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.fullName || t.email}
+            </option>
+          ))}
+        </select>
+        <select value={filters.classId} onChange={(e) => setFilter({ classId: e.target.value })} style={styles.input}>
+          <option value="">All classes</option>
+          {allClasses.map((k) => (
+            <option key={k.id} value={k.id}>
+              {k.label}
+            </option>
+          ))}
+        </select>
+        <DateInput value={filters.from} onChange={(iso) => setFilter({ from: iso })} calendar={calendar} allowEmpty style={styles.input} />
+        <DateInput value={filters.to} onChange={(iso) => setFilter({ to: iso })} calendar={calendar} allowEmpty style={styles.input} />
+        {(filters.from || filters.to) && (
+          <button onClick={() => setFilter({ from: '', to: '' })} style={styles.buttonSecondary}>
+            Any date
+          </button>
+        )}
+      </div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr style={styles.tableHeader}>
+            <th style={styles.th}>When</th>
+            <th style={styles.th}>Teacher</th>
+            <th style={styles.th}>Action</th>
+            <th style={styles.th}>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => (
+            <tr key={entry.id} style={styles.tableRow}>
+              <td style={styles.td}>
+                {formatDate(entry.createdAt.slice(0, 10), calendar, { withYear: true })}
+                <div style={styles.meta}>{new Date(entry.createdAt).toLocaleTimeString()}</div>
+              </td>
+              <td style={styles.td}>{entry.actorName || '—'}</td>
+              <td style={styles.td}>
+                {actionLabel(entry.action)}
+                {entry.studentId && (
+                  <div>
+                    <Link to={`/app/students/${entry.studentId}`} style={styles.meta}>
+                      Student profile
+                    </Link>
+                  </div>
+                )}
+              </td>
+              <td style={styles.td}>
+                {describeChanges(entry).map((line) => (
+                  <div key={line}>{line}</div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {!loading && entries.length === 0 && <p style={styles.meta}>No activity for these filters.</p>}
+      {hasMore && (
+        <button onClick={() => load(entries[entries.length - 1])} disabled={loading} style={styles.buttonSecondary}>
+          {loading ? 'Loading…' : 'Load older'}
+        </button>
+      )}
+    </section>
+  );
+};
+
+// ---------------- styles ----------------
+const styles = {
+  container: { maxWidth: '1200px', margin: '0 auto', padding: '20px', fontFamily: 'Arial, sans-serif' },
+  header: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' },
+  title: { fontSize: '20px', fontWeight: 'bold', margin: 0 },
+  backLink: { fontSize: '14px', color: '#1976d2' },
+  pendingNote: { backgroundColor: '#fff8e1', border: '1px solid #ffe082', borderRadius: '4px', padding: '10px 15px' },
+  pending: { color: '#e65100' },
+  table: { width: '100%', borderCollapse: 'collapse', marginTop: '15px', backgroundColor: '#fff' },
+  tableHeader: { backgroundColor: '#f5f5f5' },
+  th: { padding: '10px', textAlign: 'left', fontWeight: 'bold', borderBottom: '2px solid #ddd', fontSize: '12px' },
+  tableRow: { borderBottom: '1px solid #eee', verticalAlign: 'top' },
+  td: { padding: '10px', fontSize: '12px' },
+  input: { width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '14px' },
+  meta: { fontSize: '12px', color: '#999', marginTop: '4px' },
+  classList: { display: 'flex', flexDirection: 'column', gap: '4px' },
+  classOption: { display: 'flex', alignItems: 'center', gap: '6px' },
+  buttonGroup: { display: 'flex', gap: '5px' },
+  panel: { marginTop: '30px' },
+  subtitle: { fontSize: '16px', fontWeight: 'bold', margin: '0 0 10px' },
+  yearBlock: { marginTop: '15px' },
+  buttonPrimary: { padding: '6px 12px', border: 'none', borderRadius: '4px', backgroundColor: '#4caf50', color: '#fff', cursor: 'pointer', fontSize: '12px', fontWeight: 'bold' },
+  buttonSecondary: { padding: '6px 12px', border: '1px solid #ddd', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '12px' },
+  buttonDanger: { padding: '6px 12px', border: '1px solid #ff6b6b', borderRadius: '4px', cursor: 'pointer', backgroundColor: '#fff', color: '#ff6b6b', fontSize: '12px' },
+  toast: { position: 'fixed', bottom: '20px', right: '20px', backgroundColor: '#4caf50', color: '#fff', padding: '15px 20px', borderRadius: '4px', boxShadow: '0 2px 8px rgba(0,0,0,0.2)', zIndex: 2000 },
+};
+
+export default AdminPage;
@@ -1,13 +1,32 @@
-import { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { supabase } from '../lib/supabaseClient';
+import { useAuth } from '../components/AuthProvider';
+
+// Where to go after login: the page RequireAuth bounced us from, or the dashboard.
+const resolveRedirect = (state) => {
+  const from = state?.from;
+  if (!from?.pathname || from.pathname === '/auth') return '/app';
+  return `${from.pathname}${from.search || ''}${from.hash || ''}`;
+};
 
 const AuthPage = () => {
   const navigate = useNavigate();
+  const location = useLocation();
+  const { session } = useAuth();
+  const redirectTo = resolveRedirect(location.state);
   const [mode, setMode] = useState('signin');
   const [form, setForm] = useState({ email: '', password: '' });
   const [loading, setLoading] = useState(false);
   const [feedback, setFeedback] = useState('');
+  const [notice, setNotice] = useState(
+    location.state?.reason === 'expired' ? 'Your session has expired. Please sign in again.' : '',
+  );
+
+  // Already signed in (or just signed in): continue to the remembered page.
+  useEffect(() => {
+    if (session) navigate(redirectTo, { replace: true });
+  }, [session, redirectTo, navigate]);
 
   const handleChange = (evt) => {
     setForm((prev) => ({ ...prev, [evt.target.name]: evt.target.value }));
@@ -17,16 +36,23 @@ const AuthPage = () => {
     evt.preventDefault();
     setLoading(true);
     setFeedback('');
+    setNotice('');
 
     try {
       if (mode === 'signin') {
         const { error } = await supabase.auth.signInWithPassword(form);
         if (error) throw error;
       } else {
-        const { error } = await supabase.auth.signUp(form);
+        const { data, error } = await supabase.auth.signUp(form);
         if (error) throw error;
+        // With email confirmation enabled Supabase returns no session yet.
+        if (!data.session) {
+          setNotice('Account created. Check your email to confirm it, then sign in.');
+          setMode('signin');
+          return;
+        }
       }
-      navigate('/app');
+      navigate(redirectTo, { replace: true });
     } catch (error) {
       setFeedback(error.message);
     } finally {
@@ -64,6 +90,7 @@ const AuthPage = () => {
             placeholder="••••••••"
           />
         </label>
+        {notice && <p className="hint">{notice}</p>}
         {feedback && <p className="error-text">{feedback}</p>}
         <button className="btn btn-primary" disabled={loading}>
           {loading ? 'Please wait…' : mode === 'signin' ? 'Sign in' : 'Sign up'}
@@ -1,15 +1,101 @@
 // src/pages/DashboardPage.jsx
-import React, { useMemo, useState, useEffect, useCallback } from 'react';
+import React, { useMemo, useState, useEffect, useCallback, useRef } from 'react';
 import * as XLSX from 'xlsx';
-import { CLASS_CORRIDOR } from '../data/classConfig';
+import { Link, useNavigate } from 'react-router-dom';
+import { ATTENDANCE_STATUSES, MARKING_STATUSES, getStatus, isAbsentStatus, normalizeStatusCode } from '../data/attendanceStatuses';
 import { supabase } from '../lib/supabaseClient';
+import { useAuth } from '../components/AuthProvider';
+import { useClasses } from '../components/ClassesProvider';
+import { classLabel, matchClassName } from '../lib/classCatalog';
+import { ROLES, fetchAllProfiles, readOnlyPermissions } from '../lib/teacherProfiles';
+import { CALENDARS, addDaysIso, formatDate, formatDateRange, todayIso } from '../lib/ethiopianCalendar';
+import DateInput from '../components/DateInput';
+import { mapStudentFromDb, mapStudentToDb } from '../lib/students';
+import {
+  CHANNELS,
+  LANGUAGES,
+  RELATIONSHIPS,
+  allGuardians,
+  describeGuardian,
+  emptyGuardian,
+  fetchGuardiansByStudent,
+  findGuardianByPhone,
+  importGuardians,
+  matchRelationship,
+  relationshipLabel,
+  saveStudentGuardian,
+  unlinkGuardian,
+} from '../lib/guardians';
+import { hasErrors, normalizePhone, validateRows } from '../lib/rosterValidation';
+import { describeMatch, findDuplicateGroups, findMatches, suggestImportAction } from '../lib/studentMatching';
+import { mergeStudents } from '../lib/studentMerge';
+import { joinedOn } from '../lib/studentStats';
+import { changedRolls, renumberRoster, saveRollNumbers, sortByAmharicName } from '../lib/rosterOrder';
+import {
+  ARCHIVE_REASONS,
+  TRASH_REASON,
+  TRASH_RETENTION_DAYS,
+  archiveReasonLabel,
+  archiveStudents,
+  isArchived,
+  isInTrash,
+  purgeExpiredTrash,
+  restoreStudents,
+  trashExpiresAt,
+} from '../lib/studentArchive';
+import {
+  CURRENT_CLASS_ONLY,
+  GRADUATE,
+  HOLD,
+  applyPromotions,
+  createClassResolver,
+  fetchClassHistory,
+  promotedStudent,
+  proposePromotions,
+  summarizePlan,
+} from '../lib/classPromotion';
+import { clampToScope, defaultScopeKey, fetchAcademicYears, isArchiveScope, isDateInScope, resolveScope } from '../lib/academicTerms';
+import {
+  IMPORT_FIELDS,
+  applyMapping,
+  deleteTemplate,
+  detectHeaderRow,
+  emptyMapping,
+  loadTemplates,
+  mappingFromTemplate,
+  positionalMapping,
+  readSheetRows,
+  saveTemplate,
+  suggestMapping,
+} from '../lib/rosterImport';
+import {
+  CALL_OUTCOMES,
+  buildFollowUpQueue,
+  fetchFollowUps,
+  findAbsenceRuns,
+  loadThreshold,
+  logFollowUpCall,
+  outcomeLabel,
+  saveThreshold,
+  setFollowUpStatus,
+} from '../lib/followUps';
+import { TEMPLATES, buildMessages, fetchNotificationLog, isLiveMessaging, mockProvider, sendMessages } from '../lib/notifications';
+import { actionLabel, attendanceEntry, describeChanges, fetchAuditLog, recordAudit, studentEntry } from '../lib/auditLog';
+import { readCache, writeCache } from '../lib/offlineStore';
+import { useOfflineSync } from '../lib/useOfflineSync';
+import { useLiveChanges, usePresence } from '../lib/useRealtime';
+import { classListPdf, classReportPdf, historyPdf, monthLabel, monthlyRegisterPdf, registerMonths } from '../lib/pdfReports';
+import { canScanWithCamera, checkScan, parseCardCode, scanFeedback } from '../lib/studentCards';
+import { cancelSession, closeSession, fetchSessions, findSession, openSession, reopenSession, saveSessionNotes, sessionsByDate } from '../lib/classSessions';
 
 /*
   This file is a complete DashboardPage.jsx tailored to your Supabase schema:
-  students columns: id (uuid), full_name (text), class_id (text), roll_number (integer), age (integer), phone (text), alt_phone (text), created_at (timestamptz)
+  students columns: id (uuid), full_name (text), class_id (text), roll_number (integer), age (integer), phone (text), alt_phone (text), created_at (timestamptz),
+  archived_at / archive_reason / archived_by (see lib/studentArchive.js)
 
   Key changes:
-  - Robust Excel parsing: preserves blank rows, normalizes row lengths, keeps header removal explicit.
+  - Robust Excel parsing: preserves blank rows, normalizes row lengths; sheet, header row and column
+    mapping are chosen in the import wizard (see lib/rosterImport.js).
   - commitUpload: batch insert; on batch error, fallback to per-row inserts to capture which rows fail and why.
   - All console logs marked with [Upload] to make debugging simple.
 */
@@ -19,35 +105,130 @@ const ACTIONS = [
   { id: 'upload', label: 'Upload', copy: 'Import Amharic Excel files' },
   { id: 'history', label: 'History', copy: 'Review daily records' },
   { id: 'reports', label: 'Reports', copy: 'Monitor trends & ratios' },
+  { id: 'archived', label: 'Archived', copy: 'Past students & trash' },
 ];
 
-const markingStatusOptions = [
-  { code: 'P', label: 'Present' },
-  { code: 'PR', label: 'Permission' },
-];
+const CALENDAR_STORAGE_KEY = 'senbet.calendar';
 
 const DashboardPage = () => {
+  const navigate = useNavigate();
+  const { user, profile, permissions: accountPermissions, signOut } = useAuth();
+
+  // academic year / term the dashboard is scoped to; a past one is read-only
+  const [academicYears, setAcademicYears] = useState([]);
+  const [scopeKey, setScopeKey] = useState(null);
+  const scope = useMemo(
+    () => resolveScope(scopeKey ?? defaultScopeKey(academicYears, todayIso()), academicYears),
+    [scopeKey, academicYears],
+  );
+  const archiveMode = isArchiveScope(scope, todayIso());
+  const permissions = useMemo(() => (archiveMode ? readOnlyPermissions(accountPermissions) : accountPermissions), [archiveMode, accountPermissions]);
+
+  // classes this teacher may look at / write to, in corridor order
+  const { classes: corridor } = useClasses();
+  const classes = useMemo(() => permissions.filterClasses(corridor), [permissions, corridor]);
+  const writableClasses = useMemo(() => permissions.filterWritableClasses(corridor), [permissions, corridor]);
+  const actions = useMemo(() => ACTIONS.filter((a) => a.id !== 'upload' || permissions.canUpload), [permissions]);
+
   // --- page state
   const [activeView, setActiveView] = useState('classes');
-  const [selectedClass, setSelectedClass] = useState(CLASS_CORRIDOR[0].id);
-  const [historyClass, setHistoryClass] = useState(CLASS_CORRIDOR[0].id);
-  const [reportClass, setReportClass] = useState(CLASS_CORRIDOR[0].id);
+  const [selectedClass, setSelectedClass] = useState(() => classes[0]?.id ?? null);
+  const [historyClass, setHistoryClass] = useState(() => classes[0]?.id ?? null);
+  const [reportClass, setReportClass] = useState(() => classes[0]?.id ?? null);
+
+  // the first render still sees the built-in class list; once the real one
+  // loads (or a class is retired) move any selection that is gone to the first class
+  useEffect(() => {
+    const keep = (id) => (classes.some((k) => k.id === id) ? id : (classes[0]?.id ?? null));
+    setSelectedClass(keep);
+    setHistoryClass(keep);
+    setReportClass(keep);
+  }, [classes]);
 
   const [students, setStudents] = useState([]);
   const [attendance, setAttendance] = useState({});
+  // who wrote each record last: { 'studentId|date': { by, at } }
+  const [markInfo, setMarkInfo] = useState({});
+  const [teacherNames, setTeacherNames] = useState({});
+  const [sessions, setSessions] = useState([]);
+  const [classHistory, setClassHistory] = useState([]);
+  // { [studentId]: guardians }, primary contact first (see lib/guardians.js)
+  const [guardiansByStudent, setGuardiansByStudent] = useState({});
+  const [followUps, setFollowUps] = useState([]);
+  // consecutive absences before a student is flagged for a call (per device)
+  const [followUpThreshold, setFollowUpThreshold] = useState(loadThreshold);
   const [uploadPreview, setUploadPreview] = useState([]);
-  const [uploadClass, setUploadClass] = useState(CLASS_CORRIDOR[0].id);
+  const [uploadClass, setUploadClass] = useState(() => writableClasses[0]?.id ?? null);
+  const [importSource, setImportSource] = useState(null);
+  // rows the server rejected in the last upload, with its error message
+  const [uploadFailures, setUploadFailures] = useState([]);
 
   const [searchTerm, setSearchTerm] = useState('');
-  const [selectedDate, setSelectedDate] = useState(() => new Date().toISOString().split('T')[0]);
+  const [selectedDate, setSelectedDate] = useState(todayIso);
+  // display calendar only — dates are always stored as ISO Gregorian
+  const [calendar, setCalendar] = useState(() => localStorage.getItem(CALENDAR_STORAGE_KEY) || 'ethiopian');
 
   const [editDraft, setEditDraft] = useState(null);
   const [selectedSearchStudent, setSelectedSearchStudent] = useState(null);
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+  const [showFailedSync, setShowFailedSync] = useState(false);
+  // roster of a class as it was before the last reorder, for a single-step undo
+  const [reorderUndo, setReorderUndo] = useState(null);
+  // { students, reason, bulk } while the archive / move-to-trash dialog is open
+  const [archiveDraft, setArchiveDraft] = useState(null);
+  const [showPromotion, setShowPromotion] = useState(false);
+  // { items: [{ student, dates }], templateId } while the notify dialog is open
+  const [notifyDraft, setNotifyDraft] = useState(null);
 
   const [toast, setToast] = useState('');
   const [reportDateFrom, setReportDateFrom] = useState('');
   const [reportDateTo, setReportDateTo] = useState('');
 
+  // --- offline queue: marks are saved on the device first and synced in the background
+  const handleSyncResult = useCallback(({ conflicts, failed, openedSessions }) => {
+    if (openedSessions) {
+      fetchSessions()
+        .then((loaded) => {
+          setSessions(loaded);
+          writeCache('sessions', loaded);
+        })
+        .catch((error) => console.error('Failed to load sessions', error));
+    }
+    if (conflicts.length) {
+      setAttendance((prev) =>
+        conflicts.reduce((acc, { op, remote }) => updateAttendanceLocal(acc, op.studentId, op.date, normalizeStatusCode(remote.status)), prev),
+      );
+      setMarkInfo((prev) => ({
+        ...prev,
+        ...Object.fromEntries(conflicts.map(({ op, remote }) => [`${op.studentId}|${op.date}`, { by: remote.markedBy, at: remote.updatedAt }])),
+      }));
+      setToast(`${conflicts.length} mark(s) were changed by another teacher later — kept their version.`);
+    }
+    if (failed.length) {
+      setToast(`${failed.length} mark(s) could not be saved: ${failed[0].error.message || 'unknown error'}. They are kept under "Not synced" to retry.`);
+    }
+  }, []);
+  // every change to attendance or the roster is written to the audit log (lib/auditLog.js)
+  const audit = useCallback((entries) => recordAudit(entries, { user, profile }), [user, profile]);
+  // queued marks are audited when they reach the server, against what was there
+  // before; a batch ("mark all present") is one audit insert
+  const handlePushed = (pushed) => {
+    const entries = pushed
+      .map(({ op, previous }) => ({ op, before: normalizeStatusCode(previous), after: op.type === 'clear' ? null : op.status }))
+      .filter(({ before, after }) => before !== after)
+      .map(({ op, before, after }) => attendanceEntry(op, before, after));
+    return entries.length ? audit(entries) : undefined;
+  };
+  const { online, pendingCount, failedCount, syncing, queueChange, syncNow, pendingOps, failedOps, retryFailed, discardFailed } = useOfflineSync({
+    onResult: handleSyncResult,
+    onPushed: handlePushed,
+  });
+  const hydrated = useRef(false);
+  // class/date sessions queued for opening while offline (see ensureOpenSession)
+  const queuedSessions = useRef(new Set());
+  const [cacheLoaded, setCacheLoaded] = useState(false);
+
   // --- fetch from supabase
  // --- fetch all students from supabase
 const fetchStudents = useCallback(async () => {
@@ -63,7 +244,7 @@ const fetchStudents = useCallback(async () => {
 
     if (error) {
       console.error('Failed to load students', error);
-      setToast('Could not load students from Supabase.');
+      setToast(navigator.onLine ? 'Could not load students from Supabase.' : 'Offline — showing the roster saved on this device.');
       return;
     }
 
@@ -76,23 +257,232 @@ const fetchStudents = useCallback(async () => {
   }
 
   setStudents(allStudents);
+  writeCache('students', allStudents);
 }, []);
 
   
+  // only the selected term / year is loaded
   const fetchAttendance = useCallback(async () => {
-    const { data, error } = await supabase.from('attendance_records').select('*');
+    let query = supabase.from('attendance_records').select('*');
+    if (scope.from) query = query.gte('date', scope.from);
+    if (scope.to) query = query.lte('date', scope.to);
+    const { data, error } = await query;
     if (error) {
       console.error('Failed to load attendance', error);
-      setToast('Could not load attendance records.');
+      if (navigator.onLine) setToast('Could not load attendance records.');
+      return;
+    }
+    // marks still waiting in the queue are newer than what the server has
+    setAttendance(applyPendingOps(buildAttendanceMap(data || []), await pendingOps()));
+    setMarkInfo(buildMarkInfo(data || []));
+  }, [pendingOps, scope.from, scope.to]);
+
+  const fetchClassSessions = useCallback(async () => {
+    try {
+      const loaded = await fetchSessions();
+      setSessions(loaded);
+      writeCache('sessions', loaded);
+    } catch (error) {
+      console.error('Failed to load sessions', error);
+      if (navigator.onLine) setToast('Could not load class sessions.');
+    }
+  }, []);
+
+  const fetchYears = useCallback(async () => {
+    try {
+      const loaded = await fetchAcademicYears();
+      setAcademicYears(loaded);
+      writeCache('academicYears', loaded);
+    } catch (error) {
+      console.error('Failed to load academic years', error);
+    }
+  }, []);
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const loaded = await fetchClassHistory();
+      setClassHistory(loaded);
+      writeCache('classHistory', loaded);
+    } catch (error) {
+      console.error('Failed to load class history', error);
+    }
+  }, []);
+
+  const fetchGuardians = useCallback(async () => {
+    try {
+      const loaded = await fetchGuardiansByStudent();
+      setGuardiansByStudent(loaded);
+      writeCache('guardians', loaded);
+    } catch (error) {
+      console.error('Failed to load guardians', error);
+    }
+  }, []);
+
+  const fetchFollowUpList = useCallback(async () => {
+    try {
+      const loaded = await fetchFollowUps();
+      setFollowUps(loaded);
+      writeCache('followUps', loaded);
+    } catch (error) {
+      console.error('Failed to load follow-ups', error);
+    }
+  }, []);
+
+  // show what this device saved last time, then refresh from Supabase
+  useEffect(() => {
+    let active = true;
+    (async () => {
+      const [cachedStudents, cachedAttendance, cachedSessions, cachedHistory, cachedYears, cachedGuardians, cachedFollowUps] = await Promise.all([
+        readCache('students'),
+        readCache('attendance'),
+        readCache('sessions'),
+        readCache('classHistory'),
+        readCache('academicYears'),
+        readCache('guardians'),
+        readCache('followUps'),
+      ]);
+      if (!active) return;
+      if (cachedStudents) setStudents(cachedStudents);
+      if (cachedAttendance) setAttendance(cachedAttendance);
+      if (cachedSessions) setSessions(cachedSessions);
+      if (cachedHistory) setClassHistory(cachedHistory);
+      if (cachedYears) setAcademicYears(cachedYears);
+      if (cachedGuardians) setGuardiansByStudent(cachedGuardians);
+      if (cachedFollowUps) setFollowUps(cachedFollowUps);
+      hydrated.current = true;
+      setCacheLoaded(true);
+      fetchStudents();
+      fetchClassSessions();
+      fetchHistory();
+      fetchYears();
+      fetchGuardians();
+      fetchFollowUpList();
+    })();
+    return () => {
+      active = false;
+    };
+  }, [fetchStudents, fetchClassSessions, fetchHistory, fetchYears, fetchGuardians, fetchFollowUpList]);
+
+  // attendance is (re)loaded after the cache and whenever the term changes
+  useEffect(() => {
+    if (cacheLoaded) fetchAttendance();
+  }, [cacheLoaded, fetchAttendance]);
+
+  // Switching term from the header moves the day picker and report range into it.
+  const changeScope = (key) => {
+    const next = resolveScope(key ?? defaultScopeKey(academicYears, todayIso()), academicYears);
+    setScopeKey(key);
+    setSelectedDate(clampToScope(next, todayIso()));
+    setReportDateFrom(next.from);
+    setReportDateTo(next.to);
+  };
+
+  // Attendance is only loaded for the scope, so the report range stays inside it
+  // (an empty bound means the scope's own start / end).
+  const changeReportDateFrom = (date) => setReportDateFrom(clampToScope(scope, date || scope.from));
+  const changeReportDateTo = (date) => setReportDateTo(clampToScope(scope, date || scope.to));
+
+  // When the scope changes by itself (years loading, the default term rolling
+  // over) only values that fell outside it are moved. Keyed on the range, not
+  // the object, which is rebuilt every time the years reload.
+  useEffect(() => {
+    setSelectedDate((date) => (isDateInScope(scope, date) ? date : clampToScope(scope, todayIso())));
+    setReportDateFrom((date) => (date && isDateInScope(scope, date) ? date : scope.from));
+    setReportDateTo((date) => (date && isDateInScope(scope, date) ? date : scope.to));
+  }, [scope.key, scope.from, scope.to]);
+
+  useEffect(() => {
+    if (hydrated.current) writeCache('attendance', attendance);
+  }, [attendance]);
+
+  // names for "marked by"; teachers who may not list profiles still see names from presence
+  useEffect(() => {
+    fetchAllProfiles()
+      .then((profiles) => setTeacherNames(Object.fromEntries(profiles.map((p) => [p.id, p.fullName || p.email]))))
+      .catch((error) => console.warn('Teacher names not available', error));
+  }, []);
+
+  // --- live updates from other teachers
+  // A change to a record we still have queued is left alone: the sync engine
+  // settles that one when it pushes (see syncEngine.js).
+  const handleRemoteAttendance = useCallback(
+    async ({ eventType, new: row, old }) => {
+      const record = eventType === 'DELETE' ? old : row;
+      if (!record?.student_id || !record.date || !isDateInScope(scope, record.date)) return;
+      const pending = await pendingOps();
+      if (pending.some((op) => op.studentId === record.student_id && op.date === record.date)) return;
+      const key = `${record.student_id}|${record.date}`;
+      if (eventType === 'DELETE') {
+        setAttendance((prev) => removeAttendanceLocal(prev, record.student_id, record.date));
+        setMarkInfo(({ [key]: removed, ...rest }) => rest);
+        return;
+      }
+      const status = normalizeStatusCode(row.status);
+      if (!status) return;
+      setAttendance((prev) => (prev[row.student_id]?.[row.date] === status ? prev : updateAttendanceLocal(prev, row.student_id, row.date, status)));
+      setMarkInfo((prev) => ({ ...prev, [key]: { by: row.marked_by, at: row.updated_at } }));
+    },
+    [scope, pendingOps],
+  );
+
+  const handleRemoteStudent = useCallback(({ eventType, new: row, old }) => {
+    if (eventType === 'DELETE') {
+      setStudents((prev) => prev.filter((s) => s.id !== old?.id));
       return;
     }
-    setAttendance(buildAttendanceMap(data || []));
+    const student = mapStudentFromDb(row);
+    setStudents((prev) => (prev.some((s) => s.id === student.id) ? prev.map((s) => (s.id === student.id ? student : s)) : [...prev, student]));
   }, []);
 
+  const liveStatus = useLiveChanges({
+    enabled: online && cacheLoaded,
+    onAttendanceChange: handleRemoteAttendance,
+    onStudentChange: handleRemoteStudent,
+    onResubscribe: () => {
+      fetchStudents();
+      fetchAttendance();
+    },
+  });
+
+  const peers = usePresence({
+    enabled: online,
+    me: { userId: user?.id ?? null, name: profile?.fullName || user?.email || '' },
+    where: { classId: selectedClass, date: selectedDate, view: activeView },
+  });
+  // other teachers on the Classes view of the same class and day right now
+  const coMarkers = peers.filter((p) => p.view === 'classes' && p.classId === selectedClass && p.date === selectedDate).map((p) => p.name);
+
+  const teacherName = (userId) => {
+    if (!userId) return '';
+    if (userId === user?.id) return 'you';
+    return teacherNames[userId] || peers.find((p) => p.userId === userId)?.name || 'another teacher';
+  };
+  const lastMarkedBy = (studentId) => {
+    const info = markInfo[`${studentId}|${selectedDate}`];
+    return info?.by ? { name: teacherName(info.by), at: info.at } : null;
+  };
+
+  // bulk deletions older than the retention period are removed for good
+  useEffect(() => {
+    if (!permissions.canDeleteStudents || !navigator.onLine) return;
+    purgeExpiredTrash()
+      .then((purged) => {
+        if (!purged.length) return;
+        const ids = new Set(purged.map((s) => s.id));
+        setStudents((prev) => prev.filter((s) => !ids.has(s.id)));
+        audit(purged.map((s) => studentEntry('student.delete', s, null)));
+        console.log(`[Trash] purged ${purged.length} students deleted more than ${TRASH_RETENTION_DAYS} days ago`);
+      })
+      .catch((error) => console.error('Failed to empty expired trash', error));
+  }, [permissions, audit]);
+
+  useEffect(() => {
+    localStorage.setItem(CALENDAR_STORAGE_KEY, calendar);
+  }, [calendar]);
+
   useEffect(() => {
-    fetchStudents();
-    fetchAttendance();
-  }, [fetchStudents, fetchAttendance]);
+    saveThreshold(followUpThreshold);
+  }, [followUpThreshold]);
 
   useEffect(() => {
     if (!toast) return undefined;
@@ -101,63 +491,182 @@ const fetchStudents = useCallback(async () => {
   }, [toast]);
 
   // --- search and filter
+  // students outside the teacher's assigned classes never reach the UI;
+  // archived ones only show in the Archived view and in History / Reports for
+  // the days before they were archived
+  const seenStudents = useMemo(() => students.filter((s) => permissions.canSeeClass(s.classId)), [students, permissions]);
+  const visibleStudents = useMemo(() => seenStudents.filter((s) => !isArchived(s)), [seenStudents]);
+  const archivedStudents = useMemo(() => seenStudents.filter(isArchived), [seenStudents]);
+  const historyStudents = useMemo(() => seenStudents.filter((s) => !isInTrash(s)), [seenStudents]);
+  // which class a student was in on a given date, so past years report under the old class
+  const classResolver = useMemo(() => createClassResolver(classHistory), [classHistory]);
+  // the same, but archived students (graduates, leavers) are in no class after their archive date
+  const historyResolver = useMemo(
+    () => ({
+      ...classResolver,
+      classOn: (student, date) => (student.archivedAt && date > student.archivedAt.slice(0, 10) ? null : classResolver.classOn(student, date)),
+    }),
+    [classResolver],
+  );
+
   const filteredStudents = useMemo(() => {
     const q = (searchTerm || '').trim().toLowerCase();
-    return students.filter((s) => {
+    return visibleStudents.filter((s) => {
       const matchesClass = s.classId === selectedClass;
       if (!q) return matchesClass;
       const hay = `${s.name} ${s.rollNumber} ${s.phone} ${s.altPhone}`.toLowerCase();
       return matchesClass && hay.includes(q);
     });
-  }, [students, selectedClass, searchTerm]);
+  }, [visibleStudents, selectedClass, searchTerm]);
 
   const globalSearchHits = useMemo(() => {
     const q = (searchTerm || '').trim().toLowerCase();
     if (q.length < 2) return [];
-    return students.filter((s) => {
+    return visibleStudents.filter((s) => {
       const hay = `${s.name} ${s.rollNumber} ${s.phone} ${s.altPhone}`.toLowerCase().normalize('NFKD');
       return hay.includes(q.normalize('NFKD'));
     });
-  }, [students, searchTerm]);
+  }, [visibleStudents, searchTerm]);
+
+  // absence follow-ups across the teacher's classes; the count is badged on "Classes".
+  // Only sessions in the term whose attendance is loaded: outside it every
+  // closed session would look like an unmarked absence.
+  const scopedSessions = useMemo(() => sessions.filter((s) => isDateInScope(scope, s.date)), [sessions, scope]);
+  const followUpQueue = useMemo(
+    () => buildFollowUpQueue(findAbsenceRuns(visibleStudents, attendance, scopedSessions, classResolver, followUpThreshold), followUps, visibleStudents),
+    [visibleStudents, attendance, scopedSessions, classResolver, followUpThreshold, followUps],
+  );
+  const openFollowUpCount = followUpQueue.filter((item) => item.status === 'open').length;
+
+  // full roster of the selected class, independent of the search box
+  const classRoster = useMemo(() => visibleStudents.filter((s) => s.classId === selectedClass), [visibleStudents, selectedClass]);
+  const currentSession = findSession(sessions, selectedClass, selectedDate);
+
+  // --- session helpers
+  const storeSession = (session) =>
+    setSessions((prev) => [...prev.filter((s) => !(s.classId === session.classId && s.date === session.date)), session]);
+
+  const runSessionAction = async (action, successMessage) => {
+    try {
+      const session = await action();
+      storeSession(session);
+      if (successMessage) setToast(successMessage);
+      return session;
+    } catch (error) {
+      console.error('Session update failed', error);
+      setToast(error.message || 'Could not update the session.');
+      return null;
+    }
+  };
+
+  const handleOpenSession = () => runSessionAction(() => openSession(selectedClass, selectedDate, user), 'Session opened.');
+
+  const handleCancelSession = () => {
+    const reason = window.prompt('Why is there no class on this day? (holiday, fasting, ...)', 'Holiday');
+    if (reason === null) return;
+    runSessionAction(() => cancelSession(selectedClass, selectedDate, reason, user), 'Day marked as no class.');
+  };
+
+  const handleReopenSession = () => currentSession && runSessionAction(() => reopenSession(currentSession.id), 'Session reopened.');
+
+  const handleSaveSessionNotes = (notes) => currentSession && runSessionAction(() => saveSessionNotes(currentSession.id, notes), 'Notes saved.');
+
+  const handleCloseSession = async () => {
+    if (!currentSession) return;
+    const unmarked = classRoster.filter((s) => !attendance[s.id]?.[selectedDate]);
+    if (unmarked.length && !window.confirm(`${unmarked.length} students are not marked yet and will be recorded as absent. Close the session?`)) return;
+    const closed = await runSessionAction(() => closeSession(currentSession, unmarked.map((s) => s.id)), 'Session closed.');
+    if (closed) {
+      setAttendance((prev) => unmarked.reduce((acc, s) => updateAttendanceLocal(acc, s.id, selectedDate, 'A'), prev));
+      audit(unmarked.map((s) => attendanceEntry({ studentId: s.id, classId: s.classId, date: selectedDate }, null, 'A')));
+      const absent = classRoster.filter((s) => unmarked.includes(s) || isAbsentStatus(attendance[s.id]?.[selectedDate]));
+      if (absent.length && window.confirm(`${absent.length} students were absent. Notify their guardians?`)) {
+        setNotifyDraft({ items: absent.map((student) => ({ student, dates: [selectedDate] })), templateId: 'absent' });
+      }
+    }
+  };
+
+  // Marking needs an open session for that class/date; the first mark opens one.
+  const ensureOpenSession = async (classId) => {
+    const session = findSession(sessions, classId, selectedDate);
+    if (session?.cancelled) {
+      setToast('There is no class on this day. Undo the cancellation first.');
+      return false;
+    }
+    if (session?.status === 'closed') {
+      setToast('This session is closed. Reopen it to change attendance.');
+      return false;
+    }
+    if (session) return true;
+    // offline: keep marking and queue the session ahead of the marks, once per class/date
+    if (!online) {
+      const key = `${classId}|${selectedDate}`;
+      if (!queuedSessions.current.has(key)) {
+        queuedSessions.current.add(key);
+        await queueChange({ type: 'open-session', classId, date: selectedDate, markedAt: new Date().toISOString(), markedBy: user?.id ?? null, markedByEmail: user?.email ?? null });
+      }
+      return true;
+    }
+    return Boolean(await runSessionAction(() => openSession(classId, selectedDate, user)));
+  };
 
   // --- attendance helpers
+  // marks from search results can target any visible class, so resolve it per student
+  const classOfStudent = (studentId) => students.find((s) => s.id === studentId)?.classId ?? selectedClass;
+
+  // true once the mark is saved on the device; false when it was refused
+  // (no permission, closed or cancelled session)
   const markAttendance = async (studentId, status) => {
+    const classId = classOfStudent(studentId);
+    if (!permissions.canMark(classId)) return false;
+    if (!(await ensureOpenSession(classId))) return false;
+    const markedAt = new Date().toISOString();
     setAttendance((prev) => updateAttendanceLocal(prev, studentId, selectedDate, status));
-    const { error } = await supabase.from('attendance_records').upsert({
-      student_id: studentId,
-      class_id: selectedClass,
+    setMarkInfo((prev) => ({ ...prev, [`${studentId}|${selectedDate}`]: { by: user?.id ?? null, at: markedAt } }));
+    await queueChange({
+      type: 'mark',
+      studentId,
+      classId,
       date: selectedDate,
       status,
+      markedAt,
+      markedBy: user?.id ?? null,
     });
-    if (error) {
-      console.error('Failed to save attendance', error);
-      setToast('Could not save attendance.');
-      fetchAttendance();
-    }
+    return true;
+  };
+
+  // "Mark all present": everyone in the list still unmarked on selectedDate, in
+  // one queued batch, so the teacher only has to tap the exceptions afterwards.
+  const markAllPresent = async (studentIds) => {
+    const ids = studentIds.filter((id) => !attendance[id]?.[selectedDate]);
+    if (!ids.length || !permissions.canMark(selectedClass)) return;
+    if (!(await ensureOpenSession(selectedClass))) return;
+    const markedAt = new Date().toISOString();
+    const by = user?.id ?? null;
+    setAttendance((prev) => ids.reduce((acc, id) => updateAttendanceLocal(acc, id, selectedDate, 'P'), prev));
+    setMarkInfo((prev) => ({ ...prev, ...Object.fromEntries(ids.map((id) => [`${id}|${selectedDate}`, { by, at: markedAt }])) }));
+    await queueChange(ids.map((id) => ({ type: 'mark', studentId: id, classId: classOfStudent(id), date: selectedDate, status: 'P', markedAt, markedBy: by })));
+    setToast(`Marked ${ids.length} student${ids.length === 1 ? '' : 's'} present. Now tap the exceptions.`);
   };
 
   const clearAttendance = async (studentId) => {
+    const classId = classOfStudent(studentId);
+    if (!permissions.canMark(classId)) return;
+    if (!(await ensureOpenSession(classId))) return;
     setAttendance((prev) => removeAttendanceLocal(prev, studentId, selectedDate));
-    const { error } = await supabase.from('attendance_records').delete().match({ student_id: studentId, date: selectedDate });
-    if (error) {
-      console.error('Failed to clear attendance', error);
-      setToast('Could not clear attendance.');
-      fetchAttendance();
-    }
+    await queueChange({
+      type: 'clear',
+      studentId,
+      classId,
+      date: selectedDate,
+      markedAt: new Date().toISOString(),
+      markedBy: user?.id ?? null,
+    });
   };
 
   // ---------------- Excel parsing ----------------
 
-  // normalize AOA rows so every row has same columns
-  const normalizeRows = (rows, maxCols) => {
-    return rows.map((r) => {
-      const row = Array.isArray(r) ? [...r] : [];
-      while (row.length < maxCols) row.push('');
-      return row;
-    });
-  };
-
-  // robust handler: reads every row, preserves blanks, normalizes columns
+  // reads the workbook; the import wizard then picks sheet, header row and columns
   const handleExcelUpload = async (evt) => {
     const file = evt.target.files?.[0];
     if (!file) return;
@@ -165,71 +674,99 @@ const fetchStudents = useCallback(async () => {
       console.log('[Upload] reading file:', file.name, 'size:', file.size);
       const buffer = await file.arrayBuffer();
       const workbook = XLSX.read(buffer, { type: 'array' });
+      console.log('[Upload] sheets:', workbook.SheetNames);
 
-      const sheetName = workbook.SheetNames[0];
-      const sheet = workbook.Sheets[sheetName];
-
-      console.log('[Upload] sheetName:', sheetName, ' !ref:', sheet?.['!ref']);
-
-      // header: 1 => returns array-of-arrays. defval:'' preserves empty cells. blankrows:true preserves empty rows.
-      const aoa = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true, raw: false });
-      console.log('[Upload] raw rows (AOA.length):', aoa.length);
-
-      // compute max cols and normalize
-      const maxCols = aoa.reduce((m, r) => Math.max(m, (r || []).length), 0);
-      const fixed = normalizeRows(aoa, maxCols);
-
-      // we assume first row is header; keep rest as body. If your files don't have headers, change accordingly.
-      const body = fixed.slice(1);
-
-      const parsed = body.map((row, idx) => ({
-        // keep original row number for debugging (row index in Excel)
-        __rowIndex: (idx + 2),
-        id: safeId(idx),
-        rollNumber: row[0] ?? '',
-        name: row[1] ?? '',
-        classId: uploadClass || matchClass(row[2]),
-        age: row[3] ?? '',
-        phone: row[4] ?? '',
-        altPhone: row[5] ?? '',
-      }));
-
-      console.log('[Upload] parsed rows (including blanks):', parsed.length);
-      console.log('[Upload] sample head:', parsed.slice(0, 3));
-      console.log('[Upload] sample tail:', parsed.slice(-3));
-
-      setUploadPreview(parsed);
+      setImportSource({ fileName: file.name, workbook });
+      setUploadPreview([]);
       setActiveView('upload');
-      setToast(`Loaded ${parsed.length} rows from Excel.`);
+      setToast('Check the sheet and column mapping, then continue to the preview.');
     } catch (err) {
       console.error('[Upload] Error parsing Excel:', err);
       setToast('Error reading Excel file. Check console.');
+    } finally {
+      // allow picking the same file again after cancelling
+      evt.target.value = '';
     }
   };
 
+  const handleApplyImport = (parsed) => {
+    const rows = parsed
+      .filter((row) => !row.__blank)
+      .map((row) => ({ ...row, phone: normalizePhone(row.phone), altPhone: normalizePhone(row.altPhone) }))
+      .map((row) => {
+        const [best] = findMatches(row, students);
+        const match = best ? { studentId: best.student.id, student: best.student, reasons: best.reasons, strength: best.strength } : null;
+        return { ...row, __match: match, __action: suggestImportAction(row, best) };
+      });
+    const skipped = parsed.length - rows.length;
+    console.log('[Upload] parsed rows:', rows.length, 'blank rows skipped:', skipped);
+    console.log('[Upload] sample head:', rows.slice(0, 3));
+    setUploadPreview(rows);
+    setUploadFailures([]);
+    setImportSource(null);
+    setToast(`Loaded ${rows.length} rows from Excel${skipped ? ` (${skipped} blank rows skipped)` : ''}.`);
+  };
+
+  const handlePreviewEdit = (rowId, field, value) => {
+    setUploadPreview((prev) => prev.map((row) => (row.id === rowId ? { ...row, [field]: value } : row)));
+  };
+
+  const removeInvalidPreviewRows = () => {
+    const problems = validateRows(uploadPreview, { classes: writableClasses });
+    setUploadPreview((prev) => prev.filter((row) => row.__action === 'skip' || !hasErrors(problems[row.id])));
+  };
+
   // ---------------- commit upload ----------------
   // This will:
   // 1) attempt batch insert for speed
   // 2) if batch fails, try per-row insert to get exact failing rows and insert rest
   const commitUpload = async () => {
+    if (!permissions.canMark(uploadClass)) {
+      setToast('You cannot upload students to this class.');
+      return;
+    }
     if (!uploadPreview.length) {
       setToast('No rows to upload.');
       return;
     }
+    const toSave = uploadPreview.filter((row) => row.__action !== 'skip');
+    const problems = validateRows(toSave, { classes: writableClasses });
+    if (toSave.some((row) => hasErrors(problems[row.id]))) {
+      setToast('Fix the highlighted cells (or remove those rows) before saving.');
+      return;
+    }
+    setUploadFailures([]);
 
-    setToast(`Uploading ${uploadPreview.length} rows...`);
-    console.log(`[Upload] starting upload of ${uploadPreview.length} rows`);
+    // rows matched to an existing student and marked "update" are updated in place
+    const toUpdate = toSave.filter((row) => row.__action === 'update' && row.__match);
+    const toInsert = toSave.filter((row) => !(row.__action === 'update' && row.__match));
+    const skippedCount = uploadPreview.length - toSave.length;
+
+    setToast(`Uploading ${toSave.length} rows...`);
+    console.log(`[Upload] starting upload: insert=${toInsert.length}, update=${toUpdate.length}, skip=${skippedCount}`);
 
     const BATCH_SIZE = 50;
     const batches = [];
-    for (let i = 0; i < uploadPreview.length; i += BATCH_SIZE) {
-      batches.push(uploadPreview.slice(i, i + BATCH_SIZE));
+    for (let i = 0; i < toInsert.length; i += BATCH_SIZE) {
+      batches.push(toInsert.slice(i, i + BATCH_SIZE));
     }
 
     let successCount = 0;
     let failedRows = [];
 
     const insertedStudents = [];
+    const updatedStudents = [];
+
+    for (const original of toUpdate) {
+      const { data, error } = await supabase.from('students').update(mapToDbRow(original)).eq('id', original.__match.studentId).select().single();
+      if (error) {
+        console.error(`[Upload] row ${original.__rowIndex} update failed:`, error);
+        failedRows.push({ row: original.__rowIndex, original, error });
+      } else {
+        successCount += 1;
+        updatedStudents.push(mapStudentFromDb(data));
+      }
+    }
 
     for (let batchIndex = 0; batchIndex < batches.length; batchIndex++) {
       const batch = batches[batchIndex];
@@ -251,14 +788,14 @@ const fetchStudents = useCallback(async () => {
               const { data: singleData, error: singleError } = await supabase.from('students').insert(singlePayload).select();
               if (singleError) {
                 console.error(`[Upload] row ${original.__rowIndex} failed:`, singleError);
-                failedRows.push({ row: original.__rowIndex, error: singleError });
+                failedRows.push({ row: original.__rowIndex, original, error: singleError });
               } else {
                 successCount += 1;
                 if (singleData) insertedStudents.push(...singleData.map(mapStudentFromDb));
               }
             } catch (ex) {
               console.error(`[Upload] unexpected error inserting row ${original.__rowIndex}:`, ex);
-              failedRows.push({ row: original.__rowIndex, error: ex });
+              failedRows.push({ row: original.__rowIndex, original, error: ex });
             }
             // small delay to avoid overload
             await new Promise((r) => setTimeout(r, 100));
@@ -280,14 +817,14 @@ const fetchStudents = useCallback(async () => {
             const { data: singleData, error: singleError } = await supabase.from('students').insert(singlePayload).select();
             if (singleError) {
               console.error(`[Upload] row ${original.__rowIndex} failed on fallback:`, singleError);
-              failedRows.push({ row: original.__rowIndex, error: singleError });
+              failedRows.push({ row: original.__rowIndex, original, error: singleError });
             } else {
               successCount += 1;
               if (singleData) insertedStudents.push(...singleData.map(mapStudentFromDb));
             }
           } catch (ex2) {
             console.error(`[Upload] unexpected error inserting row ${original.__rowIndex}:`, ex2);
-            failedRows.push({ row: original.__rowIndex, error: ex2 });
+            failedRows.push({ row: original.__rowIndex, original, error: ex2 });
           }
           await new Promise((r) => setTimeout(r, 100));
         }
@@ -296,31 +833,202 @@ const fetchStudents = useCallback(async () => {
       await new Promise((r) => setTimeout(r, 300));
     }
 
-    if (insertedStudents.length > 0) {
-      setStudents((prev) => [...prev, ...insertedStudents]);
+    if (insertedStudents.length > 0 || updatedStudents.length > 0) {
+      const updatedById = Object.fromEntries(updatedStudents.map((s) => [s.id, s]));
+      setStudents((prev) => [...prev.map((s) => updatedById[s.id] || s), ...insertedStudents]);
+      audit([
+        ...updatedStudents.map((s) => studentEntry('student.import', students.find((old) => old.id === s.id), s)),
+        ...insertedStudents.map((s) => studentEntry('student.import', null, s)),
+      ]);
     }
+    const guardianNote = (await linkImportedGuardians(toSave, failedRows, insertedStudents)) ? '' : ' Some guardians could not be linked.';
 
     if (failedRows.length > 0) {
-      setToast(`Uploaded ${successCount}/${uploadPreview.length} rows. ${failedRows.length} rows failed — see console for details.`);
+      setToast(`Uploaded ${successCount}/${toSave.length} rows. ${failedRows.length} rows failed — see the list below.${guardianNote}`);
       console.warn('[Upload] failed rows:', failedRows);
+      // keep only the failed rows in the preview so they can be fixed and retried
+      setUploadPreview(failedRows.map((f) => f.original));
+      setUploadFailures(failedRows.map((f) => ({ ...f.original, error: f.error?.message || String(f.error) })));
     } else {
-      setToast(`All ${successCount} rows uploaded successfully!`);
+      setToast(`All ${successCount} rows uploaded successfully!${skippedCount ? ` ${skippedCount} duplicates skipped.` : ''}${guardianNote}`);
       setUploadPreview([]);
     }
 
     console.log(`[Upload] finished: success=${successCount}, failed=${failedRows.length}`);
   };
 
+  // rows with a guardian column get that guardian as the student's primary contact;
+  // inserted rows are found again by name and class (the insert does not echo row ids).
+  // Returns false if linking failed; the students themselves are saved either way.
+  const linkImportedGuardians = async (savedRows, failedRows, insertedStudents) => {
+    const failed = new Set(failedRows.map((f) => f.original));
+    const unclaimed = [...insertedStudents];
+    const pairs = savedRows
+      .filter((row) => !failed.has(row) && String(row.guardianName ?? '').trim())
+      .map((row) => {
+        if (row.__action === 'update' && row.__match) return { studentId: row.__match.studentId, row };
+        const { full_name: name, class_id: classId } = mapToDbRow(row);
+        const index = unclaimed.findIndex((s) => s.name === name && s.classId === classId);
+        return index < 0 ? null : { studentId: unclaimed.splice(index, 1)[0].id, row };
+      })
+      .filter(Boolean);
+    if (!pairs.length) return true;
+    try {
+      const linked = await importGuardians(pairs, allGuardians(guardiansByStudent));
+      setGuardiansByStudent((prev) => {
+        const next = { ...prev };
+        Object.entries(linked).forEach(([studentId, list]) => {
+          const ids = new Set(list.map((g) => g.id));
+          next[studentId] = [...list, ...(prev[studentId] || []).filter((g) => !ids.has(g.id)).map((g) => ({ ...g, isPrimary: false }))];
+        });
+        return next;
+      });
+      console.log(`[Upload] linked guardians for ${pairs.length} rows`);
+      return true;
+    } catch (error) {
+      console.error('[Upload] linking guardians failed', error);
+      fetchGuardians(); // some links may have been saved before the error
+      return false;
+    }
+  };
+
   // ---------------- other actions ----------------
-  const handleStudentDelete = async (studentId) => {
-    const { error } = await supabase.from('students').delete().eq('id', studentId);
-    if (error) {
-      console.error('Failed to delete student', error);
-      setToast('Unable to delete student.');
+  const updateStudentsLocally = (ids, changes) => {
+    const targets = new Set(ids);
+    setStudents((prev) => prev.map((s) => (targets.has(s.id) ? { ...s, ...changes } : s)));
+  };
+
+  const handleArchiveStudents = async ({ students: targets, reason, bulk }) => {
+    const allowed = bulk ? permissions.canDeleteStudents : targets.every((s) => permissions.canEditStudents(s.classId));
+    if (!allowed) {
+      setToast('You cannot remove students from this class.');
       return;
     }
-    setStudents((prev) => prev.filter((s) => s.id !== studentId));
-    setToast('Student removed from roster.');
+    const ids = targets.map((s) => s.id);
+    try {
+      const changes = await archiveStudents(ids, bulk ? TRASH_REASON : reason, user);
+      updateStudentsLocally(ids, changes);
+      audit(targets.map((s) => studentEntry('student.archive', s, { ...s, ...changes })));
+      setArchiveDraft(null);
+      setToast(
+        bulk
+          ? `${ids.length} students moved to the trash. Restore them from Archived within ${TRASH_RETENTION_DAYS} days.`
+          : `${targets[0].name} archived (${archiveReasonLabel(reason)}).`,
+      );
+    } catch (error) {
+      console.error('Failed to archive students', error);
+      setToast('Unable to archive students.');
+    }
+  };
+
+  const handleRestoreStudents = async (targets) => {
+    const ids = targets.filter((s) => permissions.canEditStudents(s.classId)).map((s) => s.id);
+    if (!ids.length) return;
+    try {
+      const changes = await restoreStudents(ids);
+      updateStudentsLocally(ids, changes);
+      audit(targets.filter((s) => ids.includes(s.id)).map((s) => studentEntry('student.restore', s, { ...s, ...changes })));
+      setToast(`${ids.length === 1 ? targets[0].name : `${ids.length} students`} restored to the roster.`);
+    } catch (error) {
+      console.error('Failed to restore students', error);
+      setToast('Unable to restore students.');
+    }
+  };
+
+  // ---------------- roster order ----------------
+  // Writes a class's new order (as roll numbers) in one request; optimistic, reverted on failure.
+  const writeRosterOrder = async (classId, nextRoster, previous) => {
+    const changed = changedRolls(previous, nextRoster);
+    if (!changed.length) return 'unchanged';
+    const inNext = new Set(nextRoster.map((s) => s.id));
+    const restore = Object.fromEntries(previous.map((s) => [s.id, s]));
+    setStudents((prev) => [...prev.filter((s) => s.classId !== classId), ...nextRoster, ...prev.filter((s) => s.classId === classId && !inNext.has(s.id))]);
+    try {
+      await saveRollNumbers(changed, mapStudentToDb);
+      audit(changed.map((s) => studentEntry('student.renumber', restore[s.id], s)));
+      return 'saved';
+    } catch (error) {
+      console.error('Failed to save roster order', error);
+      setStudents((prev) => prev.map((s) => restore[s.id] || s));
+      setToast('Unable to save the new order.');
+      return 'failed';
+    }
+  };
+
+  const reorderClass = async (ordered, successMessage) => {
+    if (!permissions.canEditStudents(selectedClass)) return;
+    const previous = classRoster;
+    const result = await writeRosterOrder(selectedClass, renumberRoster(ordered), previous);
+    if (result === 'saved') {
+      setReorderUndo({ classId: selectedClass, students: previous });
+      setToast(successMessage);
+    } else if (result === 'unchanged') {
+      setToast('Roll numbers already match this order.');
+    }
+  };
+
+  const handleReorder = (ordered) => reorderClass(ordered, 'Roster order saved.');
+
+  const handleAutoNumber = () => {
+    if (!window.confirm('Renumber every student in this class alphabetically (ሀ–ፐ)?')) return;
+    reorderClass(sortByAmharicName(classRoster), 'Roll numbers reassigned alphabetically.');
+  };
+
+  // puts back the roll numbers from before the last reorder (other edits made since are kept)
+  const handleUndoReorder = async () => {
+    if (!reorderUndo) return;
+    const { classId, students: before } = reorderUndo;
+    const current = visibleStudents.filter((s) => s.classId === classId);
+    const currentById = Object.fromEntries(current.map((s) => [s.id, s]));
+    const restored = before.filter((s) => currentById[s.id]).map((s) => ({ ...currentById[s.id], rollNumber: s.rollNumber }));
+    const result = await writeRosterOrder(classId, restored, current);
+    if (result !== 'failed') {
+      setReorderUndo(null);
+      setToast('Previous order restored.');
+    }
+  };
+
+  // ---------------- year-end promotion ----------------
+  const handleApplyPromotion = async (plan, { promotedOn, bumpAge }) => {
+    if (!plan.every(({ student }) => permissions.canEditStudents(student.classId))) {
+      setToast('You cannot promote students from this class.');
+      return false;
+    }
+    try {
+      await applyPromotions(plan, { promotedOn, bumpAge });
+    } catch (error) {
+      console.error('Failed to apply promotion', error);
+      setToast('Promotion failed — nothing was changed.');
+      return false;
+    }
+    const byId = Object.fromEntries(plan.map((entry) => [entry.student.id, promotedStudent(entry, { bumpAge })]));
+    setStudents((prev) => prev.map((s) => byId[s.id] || s));
+    audit(plan.map(({ student }) => studentEntry('student.promote', student, byId[student.id])));
+    const until = addDaysIso(promotedOn, -1);
+    const moved = plan.filter(({ student, target }) => target !== HOLD && target !== student.classId);
+    setClassHistory((prev) => [...prev, ...moved.map(({ student }) => ({ studentId: student.id, classId: student.classId, until }))]);
+    const { promoted, held, graduated } = summarizePlan(plan);
+    setToast(`Promotion saved: ${promoted} promoted, ${graduated} graduated, ${held} held back.`);
+    return true;
+  };
+
+  const handleMergeStudents = async (keep, remove) => {
+    if (!permissions.canDeleteStudents) return;
+    try {
+      const result = await mergeStudents({ keep, remove, attendance, mapToDb: mapStudentToDb, mapFromDb: mapStudentFromDb });
+      audit([studentEntry('student.update', keep, result.student), { ...studentEntry('student.merge', remove, null), after: { mergedInto: keep.id } }]);
+      setStudents((prev) => prev.filter((s) => s.id !== remove.id).map((s) => (s.id === keep.id ? result.student : s)));
+      setAttendance((prev) => {
+        const next = { ...prev, [keep.id]: result.attendance };
+        delete next[remove.id];
+        return next;
+      });
+      fetchGuardians();
+      setToast(`Merged ${remove.name} into ${keep.name}.`);
+    } catch (error) {
+      console.error('Failed to merge students', error);
+      setToast('Unable to merge students. Nothing was deleted; try again.');
+    }
   };
 
   const handleEditChange = (evt) => {
@@ -331,16 +1039,35 @@ const fetchStudents = useCallback(async () => {
   const handleEditSubmit = async (evt) => {
     evt.preventDefault();
     if (!editDraft) return;
+    if (!permissions.canEditStudents(editDraft.classId)) {
+      setToast('You cannot edit students in this class.');
+      return;
+    }
+    if (!editDraft.id) {
+      const [match] = findMatches(editDraft, students);
+      if (
+        match &&
+        !window.confirm(
+          `${match.student.name} (${resolveClassLabel(match.student.classId)}, ${match.student.phone || 'no phone'}) looks like the same student (${describeMatch(match)}). Add a new student anyway?`,
+        )
+      ) {
+        return;
+      }
+    }
     const payload = mapStudentToDb(editDraft);
     try {
       if (editDraft.id) {
         const { data, error } = await supabase.from('students').update(payload).eq('id', editDraft.id).select().single();
         if (error) throw error;
-        setStudents((prev) => prev.map((s) => (s.id === editDraft.id ? mapStudentFromDb(data) : s)));
+        const saved = mapStudentFromDb(data);
+        setStudents((prev) => prev.map((s) => (s.id === editDraft.id ? saved : s)));
+        audit(studentEntry('student.update', students.find((s) => s.id === editDraft.id), saved));
       } else {
         const { data, error } = await supabase.from('students').insert(payload).select().single();
         if (error) throw error;
-        setStudents((prev) => [...prev, mapStudentFromDb(data)]);
+        const saved = mapStudentFromDb(data);
+        setStudents((prev) => [...prev, saved]);
+        audit(studentEntry('student.create', null, saved));
       }
       setToast('Student details saved.');
       setEditDraft(null);
@@ -352,10 +1079,100 @@ const fetchStudents = useCallback(async () => {
 
   const startEdit = (student) => setEditDraft(student);
 
+  // A guardian shared by siblings is one record: edits to it show up on every child.
+  const handleSaveGuardian = async (student, guardian) => {
+    if (!permissions.canEditStudents(student.classId)) {
+      setToast('You cannot edit students in this class.');
+      return false;
+    }
+    try {
+      const saved = await saveStudentGuardian(student.id, guardian);
+      setGuardiansByStudent((prev) => {
+        const next = Object.fromEntries(
+          Object.entries(prev).map(([studentId, list]) => [studentId, list.map((g) => (g.id === saved.id ? { ...g, ...saved, relationship: g.relationship, isPrimary: g.isPrimary } : g))]),
+        );
+        const others = (next[student.id] || []).filter((g) => g.id !== saved.id).map((g) => (saved.isPrimary ? { ...g, isPrimary: false } : g));
+        next[student.id] = saved.isPrimary ? [saved, ...others] : [...others, saved];
+        return next;
+      });
+      setToast(`${saved.name} saved.`);
+      return true;
+    } catch (error) {
+      console.error('Failed to save guardian', error);
+      setToast(error.message || 'Could not save guardian.');
+      return false;
+    }
+  };
+
+  // `build` is one of the pdfReports.js generators, bound to its options
+  const handlePdf = async (build) => {
+    setToast('Preparing PDF…');
+    try {
+      await build();
+      setToast('PDF downloaded.');
+    } catch (error) {
+      console.error('[PDF] could not create the document', error);
+      setToast('Could not create the PDF. Check your connection and try again.');
+    }
+  };
+
+  const handleSendNotifications = async (messages, onProgress) => {
+    if (!messages.every((m) => permissions.canMark(m.student.classId))) {
+      setToast('You cannot message guardians in this class.');
+      return null;
+    }
+    const { results, logged } = await sendMessages(messages, { user, profile }, onProgress);
+    const failed = results.filter((r) => r.status === 'failed').length;
+    setToast(
+      `${results.length - failed} of ${results.length} messages sent.${failed ? ` ${failed} failed.` : ''}${logged ? '' : ' The message log could not be saved.'}`,
+    );
+    return results;
+  };
+
+  const storeFollowUp = (followUp) => setFollowUps((prev) => [followUp, ...prev.filter((f) => f.id !== followUp.id)]);
+
+  const handleLogCall = async (item, call) => {
+    if (!permissions.canMark(item.student.classId)) {
+      setToast('You cannot follow up students in this class.');
+      return false;
+    }
+    try {
+      storeFollowUp(await logFollowUpCall(item, call, { user, profile }));
+      setToast(`Call logged for ${item.student.name}${call.close ? ' — follow-up closed.' : '.'}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to log follow-up call', error);
+      setToast(error.message || 'Could not log the call.');
+      return false;
+    }
+  };
+
+  const handleFollowUpStatus = async (item, status) => {
+    if (!item.followUp || !permissions.canMark(item.student.classId)) return;
+    try {
+      storeFollowUp(await setFollowUpStatus(item.followUp, status));
+    } catch (error) {
+      console.error('Failed to update follow-up', error);
+      setToast('Could not update the follow-up.');
+    }
+  };
+
+  const handleRemoveGuardian = async (student, guardian) => {
+    if (!permissions.canEditStudents(student.classId)) return;
+    if (!window.confirm(`Remove ${guardian.name} from ${student.name}'s contacts?`)) return;
+    try {
+      await unlinkGuardian(student.id, guardian.id);
+      setGuardiansByStudent((prev) => ({ ...prev, [student.id]: (prev[student.id] || []).filter((g) => g.id !== guardian.id) }));
+    } catch (error) {
+      console.error('Failed to remove guardian', error);
+      setToast('Could not remove guardian.');
+    }
+  };
+
   const addEmptyStudent = () =>
     setEditDraft({
       id: null,
-      rollNumber: students.length + 1,
+      rollNumber: classRoster.length + 1,
       name: '',
       classId: selectedClass,
       age: '',
@@ -363,6 +1180,11 @@ const fetchStudents = useCallback(async () => {
       altPhone: '',
     });
 
+  const handleSignOut = async () => {
+    await signOut();
+    navigate('/auth', { replace: true });
+  };
+
   // ---------------- render ----------------
   return (
     <div style={styles.container}>
@@ -370,8 +1192,65 @@ const fetchStudents = useCallback(async () => {
         <h1 style={styles.title}>
           የፍኖተ ሎዛ ቅድስት ማርያም ቤተ ክርስቲያን - Attendance
         </h1>
+        <div style={styles.userBar}>
+          <span style={styles.meta}>
+            Signed in as <strong>{profile?.fullName || user?.email}</strong> · {resolveRoleLabel(profile?.role)}
+          </span>
+          <span style={{ ...styles.syncBadge, ...(online ? {} : styles.syncBadgeOffline) }} title="Marks are saved on this device and synced automatically">
+            {online ? 'Online' : 'Offline'}
+            {pendingCount > 0 && ` · ${pendingCount} pending`}
+          </span>
+          {online && (
+            <span
+              style={{ ...styles.syncBadge, ...(liveStatus === 'SUBSCRIBED' ? {} : styles.syncBadgeOffline) }}
+              title="Marks made by other teachers appear here as they happen"
+            >
+              {liveStatus === 'SUBSCRIBED' ? 'Live' : 'Connecting live updates…'}
+            </span>
+          )}
+          {pendingCount > 0 && online && (
+            <button onClick={syncNow} disabled={syncing} style={styles.closeButton}>
+              {syncing ? 'Syncing…' : 'Sync now'}
+            </button>
+          )}
+          {failedCount > 0 && (
+            <button onClick={() => setShowFailedSync(true)} style={{ ...styles.closeButton, ...styles.syncBadgeOffline }} title="Changes the server kept rejecting">
+              {failedCount} not synced
+            </button>
+          )}
+          <select value={scope.key} onChange={(e) => changeScope(e.target.value)} style={styles.closeButton} title="Academic year / term">
+            {academicYears.map((year) => (
+              <optgroup key={year.year} label={`${year.year} ዓ.ም`}>
+                <option value={`year:${year.year}`}>{year.year} ዓ.ም — whole year</option>
+                {year.terms.map((term) => (
+                  <option key={term.id} value={`term:${term.id}`}>
+                    {term.name}
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+            <option value="all">All time</option>
+          </select>
+          {permissions.isAdmin && (
+            <Link to="/app/admin" style={styles.closeButton}>
+              Manage teachers
+            </Link>
+          )}
+          <button onClick={handleSignOut} style={styles.closeButton}>
+            Sign out
+          </button>
+        </div>
       </header>
 
+      {archiveMode && (
+        <div style={styles.archiveBanner}>
+          Browsing <strong>{scope.label}</strong> ({formatDateRange(scope.from, scope.to, calendar)}) — read-only.{' '}
+          <button onClick={() => changeScope(null)} style={styles.closeButton}>
+            Back to the current term
+          </button>
+        </div>
+      )}
+
       <div style={styles.toolbar}>
         <input
           type="text"
@@ -380,12 +1259,14 @@ const fetchStudents = useCallback(async () => {
           onChange={(e) => setSearchTerm(e.target.value)}
           style={styles.searchInput}
         />
-        <input
-          type="date"
-          value={selectedDate}
-          onChange={(e) => setSelectedDate(e.target.value)}
-          style={styles.dateInput}
-        />
+        <DateInput value={selectedDate} onChange={(iso) => iso && setSelectedDate(clampToScope(scope, iso))} calendar={calendar} style={styles.dateInput} />
+        <select value={calendar} onChange={(e) => setCalendar(e.target.value)} style={styles.dateInput} title="Calendar">
+          {CALENDARS.map((c) => (
+            <option key={c.id} value={c.id}>
+              {c.label}
+            </option>
+          ))}
+        </select>
       </div>
 
       {globalSearchHits.length > 0 && (
@@ -409,32 +1290,32 @@ const fetchStudents = useCallback(async () => {
                   </div>
                   <div style={styles.meta}>{student.phone}</div>
                 </div>
-                <div style={styles.buttonGroup}>
-                  {markingStatusOptions.map((option) => (
+                {permissions.canMark(student.classId) && (
+                  <div style={styles.buttonGroup}>
+                    {MARKING_STATUSES.map((option) => (
+                      <button
+                        key={option.code}
+                        title={option.label}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          markAttendance(student.id, option.code);
+                        }}
+                        style={statusButtonStyle(option, status === option.code)}
+                      >
+                        {option.code}
+                      </button>
+                    ))}
                     <button
-                      key={option.code}
                       onClick={(e) => {
                         e.stopPropagation();
-                        markAttendance(student.id, option.code);
-                      }}
-                      style={{
-                        ...styles.button,
-                        ...(status === option.code ? styles.buttonActive : {}),
+                        clearAttendance(student.id);
                       }}
+                      style={styles.buttonDanger}
                     >
-                      {option.code}
+                      Undo
                     </button>
-                  ))}
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      clearAttendance(student.id);
-                    }}
-                    style={styles.buttonDanger}
-                  >
-                    Undo
-                  </button>
-                </div>
+                  </div>
+                )}
               </div>
             );
           })}
@@ -470,15 +1351,40 @@ const fetchStudents = useCallback(async () => {
                 <strong>Alt Phone:</strong> {selectedSearchStudent.altPhone}
               </div>
             </div>
-            <button onClick={() => startEdit(selectedSearchStudent)} style={styles.buttonPrimary}>
-              Edit Student
-            </button>
+            <GuardiansEditor
+              guardians={guardiansByStudent[selectedSearchStudent.id] || []}
+              known={allGuardians(guardiansByStudent)}
+              canEdit={permissions.canEditStudents(selectedSearchStudent.classId)}
+              onSave={(guardian) => handleSaveGuardian(selectedSearchStudent, guardian)}
+              onRemove={(guardian) => handleRemoveGuardian(selectedSearchStudent, guardian)}
+            />
+            <ChangeHistory key={selectedSearchStudent.id} studentId={selectedSearchStudent.id} />
+            <div style={styles.buttonGroup}>
+              <Link to={`/app/students/${selectedSearchStudent.id}`} style={styles.buttonSecondary}>
+                Open profile
+              </Link>
+              {permissions.canEditStudents(selectedSearchStudent.classId) && (
+                <button onClick={() => startEdit(selectedSearchStudent)} style={styles.buttonPrimary}>
+                  Edit Student
+                </button>
+              )}
+            </div>
           </div>
         </div>
       )}
 
+      {notifyDraft && (
+        <NotifyModal
+          draft={notifyDraft}
+          guardiansByStudent={guardiansByStudent}
+          calendar={calendar}
+          onSend={handleSendNotifications}
+          onClose={() => setNotifyDraft(null)}
+        />
+      )}
+
       <div style={styles.actionBar}>
-        {ACTIONS.map((action) => (
+        {actions.map((action) => (
           <button
             key={action.id}
             onClick={() => setActiveView(action.id)}
@@ -487,7 +1393,14 @@ const fetchStudents = useCallback(async () => {
               ...(activeView === action.id ? styles.actionButtonActive : {}),
             }}
           >
-            <div style={styles.actionLabel}>{action.label}</div>
+            <div style={styles.actionLabel}>
+              {action.label}
+              {action.id === 'classes' && openFollowUpCount > 0 && (
+                <span style={styles.followUpBadge} title={`${openFollowUpCount} open absence follow-ups`}>
+                  {openFollowUpCount}
+                </span>
+              )}
+            </div>
             <div style={styles.actionCopy}>{action.copy}</div>
           </button>
         ))}
@@ -496,48 +1409,117 @@ const fetchStudents = useCallback(async () => {
       <div style={styles.content}>
         {activeView === 'classes' && (
           <ClassSection
+            classes={classes}
+            canMark={permissions.canMark(selectedClass)}
+            canEdit={permissions.canEditStudents(selectedClass)}
+            canDelete={permissions.canDeleteStudents}
             selectedClass={selectedClass}
             onSelectClass={setSelectedClass}
             students={filteredStudents}
+            rosterSize={classRoster.length}
+            unmarkedCount={classRoster.filter((s) => !attendance[s.id]?.[selectedDate]).length}
+            session={currentSession}
+            onOpenSession={handleOpenSession}
+            onCloseSession={handleCloseSession}
+            onCancelSession={handleCancelSession}
+            onReopenSession={handleReopenSession}
+            onSaveSessionNotes={handleSaveSessionNotes}
             onMark={markAttendance}
+            onMarkAllPresent={markAllPresent}
+            onScan={() => setShowScanner(true)}
             onClear={clearAttendance}
             attendance={attendance}
+            lastMarkedBy={lastMarkedBy}
+            coMarkers={coMarkers}
             selectedDate={selectedDate}
             onEdit={startEdit}
-            onDelete={handleStudentDelete}
+            onArchive={(student) => setArchiveDraft({ students: [student], reason: ARCHIVE_REASONS[0].id, bulk: false })}
+            onTrashClass={() => setArchiveDraft({ students: classRoster, reason: TRASH_REASON, bulk: true })}
             onAdd={addEmptyStudent}
+            onFindDuplicates={() => setShowDuplicates(true)}
+            onPromote={writableClasses.length ? () => setShowPromotion(true) : null}
+            onReorder={handleReorder}
+            onAutoNumber={handleAutoNumber}
+            onUndoReorder={reorderUndo?.classId === selectedClass ? handleUndoReorder : null}
+            guardiansByStudent={guardiansByStudent}
+            onPdf={handlePdf}
+          />
+        )}
+
+        {activeView === 'classes' && (
+          <FollowUpSection
+            queue={followUpQueue}
+            selectedClass={selectedClass}
+            threshold={followUpThreshold}
+            onThresholdChange={setFollowUpThreshold}
+            canAct={(item) => permissions.canMark(item.student.classId)}
+            guardiansByStudent={guardiansByStudent}
+            calendar={calendar}
+            onLogCall={handleLogCall}
+            onSetStatus={handleFollowUpStatus}
           />
         )}
 
-        {activeView === 'upload' && (
+        {activeView === 'upload' && permissions.canUpload && (
           <UploadSection
+            classes={writableClasses}
             preview={uploadPreview}
             onCommit={commitUpload}
-            onDiscard={() => setUploadPreview([])}
+            onDiscard={() => {
+              setUploadPreview([]);
+              setUploadFailures([]);
+            }}
+            onEditRow={handlePreviewEdit}
+            onRemoveInvalid={removeInvalidPreviewRows}
+            failures={uploadFailures}
             uploadClass={uploadClass}
             onSelectClass={setUploadClass}
             onFile={handleExcelUpload}
+            importSource={importSource}
+            onApplyImport={handleApplyImport}
+            onCancelImport={() => setImportSource(null)}
           />
         )}
 
         {activeView === 'history' && (
           <HistorySection
+            classes={classes}
             historyClass={historyClass}
             onSelectClass={setHistoryClass}
-            historyRows={buildHistoryRows(students, attendance, historyClass)}
+            historyRows={buildHistoryRows(historyStudents, attendance, historyClass, historyResolver, (date) => isDateInScope(scope, date))}
+            sessionMap={sessionsByDate(sessions, historyClass)}
+            calendar={calendar}
+            onPdf={handlePdf}
           />
         )}
 
         {activeView === 'reports' && (
           <ReportsSection
-            students={students}
+            classes={classes}
+            students={historyStudents}
+            classResolver={historyResolver}
             attendance={attendance}
+            sessions={sessions}
             reportClass={reportClass}
             onSelectClass={setReportClass}
+            calendar={calendar}
             reportDateFrom={reportDateFrom}
             reportDateTo={reportDateTo}
-            onDateFromChange={setReportDateFrom}
-            onDateToChange={setReportDateTo}
+            onDateFromChange={changeReportDateFrom}
+            onDateToChange={changeReportDateTo}
+            onNotify={permissions.canMark(reportClass) ? setNotifyDraft : null}
+            onPdf={handlePdf}
+            academicYears={academicYears}
+          />
+        )}
+
+        {activeView === 'archived' && (
+          <ArchivedSection
+            classes={classes}
+            students={archivedStudents}
+            canRestore={(s) => permissions.canEditStudents(s.classId)}
+            onRestore={handleRestoreStudents}
+            calendar={calendar}
           />
         )}
       </div>
@@ -566,7 +1548,7 @@ const fetchStudents = useCallback(async () => {
               <label style={styles.label}>
                 Class
                 <select name="classId" value={editDraft.classId} onChange={handleEditChange} style={styles.input}>
-                  {CLASS_CORRIDOR.map((klass) => (
+                  {writableClasses.map((klass) => (
                     <option key={klass.id} value={klass.id}>
                       {klass.label}
                     </option>
@@ -602,6 +1584,59 @@ const fetchStudents = useCallback(async () => {
         </div>
       )}
 
+      {showFailedSync && (
+        <FailedSyncModal
+          students={students}
+          calendar={calendar}
+          loadOps={failedOps}
+          onRetry={retryFailed}
+          onDiscard={discardFailed}
+          online={online}
+          onClose={() => setShowFailedSync(false)}
+        />
+      )}
+
+      {archiveDraft && (
+        <ArchiveModal
+          draft={archiveDraft}
+          classLabel={resolveClassLabel(selectedClass)}
+          onChange={setArchiveDraft}
+          onConfirm={() => handleArchiveStudents(archiveDraft)}
+          onCancel={() => setArchiveDraft(null)}
+        />
+      )}
+
+      {showPromotion && (
+        <PromotionWizard
+          classes={writableClasses}
+          corridor={corridor}
+          students={visibleStudents.filter((s) => permissions.canEditStudents(s.classId))}
+          calendar={calendar}
+          onApply={handleApplyPromotion}
+          onClose={() => setShowPromotion(false)}
+        />
+      )}
+
+      {showScanner && selectedClass && (
+        <ScannerModal
+          students={visibleStudents}
+          classId={selectedClass}
+          attendance={attendance}
+          selectedDate={selectedDate}
+          onMark={markAttendance}
+          onClose={() => setShowScanner(false)}
+        />
+      )}
+
+      {showDuplicates && (
+        <DuplicatesModal
+          students={visibleStudents}
+          attendance={attendance}
+          onMerge={handleMergeStudents}
+          onClose={() => setShowDuplicates(false)}
+        />
+      )}
+
       {toast && <div style={styles.toast}>{toast}</div>}
     </div>
   );
@@ -609,33 +1644,399 @@ const fetchStudents = useCallback(async () => {
 
 // ---------------- Subcomponents ----------------
 
+const StatusBadge = ({ code }) => {
+  if (!code) return '—';
+  const status = getStatus(code);
+  if (!status) return code;
+  return (
+    <span title={status.label} style={{ ...styles.statusBadge, backgroundColor: status.color }}>
+      {status.code}
+    </span>
+  );
+};
+
+const SessionBar = ({ session, date, canManage, unmarkedCount, rosterSize, onOpen, onClose, onCancel, onReopen, onSaveNotes }) => {
+  const [notes, setNotes] = useState(session?.notes ?? '');
+  useEffect(() => setNotes(session?.notes ?? ''), [session]);
+
+  if (!session) {
+    return (
+      <div style={styles.sessionBar}>
+        <span>No session has been opened for this day.</span>
+        {canManage && (
+          <div style={styles.buttonGroup}>
+            <button onClick={onOpen} style={styles.buttonPrimary}>
+              {date === todayIso() ? "Open today's session" : 'Open session'}
+            </button>
+            <button onClick={onCancel} style={styles.buttonSecondary}>
+              No class (holiday)
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (session.cancelled) {
+    return (
+      <div style={{ ...styles.sessionBar, ...styles.sessionCancelled }}>
+        <span>
+          <strong>No class</strong>
+          {session.cancelReason ? ` · ${session.cancelReason}` : ''} — this day is left out of reports.
+        </span>
+        {canManage && (
+          <button onClick={onReopen} style={styles.buttonSecondary}>
+            Undo
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  const isOpen = session.status === 'open';
+  return (
+    <div style={{ ...styles.sessionBar, ...(isOpen ? styles.sessionOpen : {}) }}>
+      <div style={{ flex: 1 }}>
+        <div>
+          <strong>{isOpen ? 'Session open' : 'Session closed'}</strong>
+          {session.teacherEmail ? ` · ${session.teacherEmail}` : ''} · {rosterSize - unmarkedCount}/{rosterSize} marked
+        </div>
+        <textarea
+          placeholder="Session notes (lesson, visitors, ...)"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          onBlur={() => notes !== session.notes && onSaveNotes(notes)}
+          disabled={!canManage}
+          rows={2}
+          style={styles.input}
+        />
+      </div>
+      {canManage &&
+        (isOpen ? (
+          <button onClick={onClose} style={styles.buttonPrimary}>
+            Finish &amp; close
+          </button>
+        ) : (
+          <button onClick={onReopen} style={styles.buttonSecondary}>
+            Reopen
+          </button>
+        ))}
+    </div>
+  );
+};
+
+const promotionTargetLabel = (target) => (target === HOLD ? 'Hold back' : target === GRADUATE ? 'Graduate' : resolveClassLabel(target));
+
+// Proposes moving everyone one class up; teachers adjust individual rows, then
+// the whole plan is saved at once.
+const PromotionWizard = ({ classes, corridor, students, calendar, onApply, onClose }) => {
+  const [plan, setPlan] = useState(() => proposePromotions(students, corridor));
+  const [classFilter, setClassFilter] = useState('all');
+  const [promotedOn, setPromotedOn] = useState(todayIso);
+  const [bumpAge, setBumpAge] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const shown = plan.filter(({ student }) => classFilter === 'all' || student.classId === classFilter);
+  const summary = summarizePlan(plan);
+  const suggestions = plan.filter((entry) => entry.ageSuggestion).length;
+
+  const setTarget = (studentId, target) => setPlan((prev) => prev.map((entry) => (entry.student.id === studentId ? { ...entry, target } : entry)));
+
+  const apply = async () => {
+    if (!window.confirm(`Promote ${summary.promoted}, graduate ${summary.graduated} and hold back ${summary.held} students? Roll numbers of moved students are cleared.`)) return;
+    setBusy(true);
+    const ok = await onApply(plan, { promotedOn, bumpAge });
+    setBusy(false);
+    if (ok) onClose();
+  };
+
+  return (
+    <div style={styles.modal}>
+      <div style={{ ...styles.modalContent, maxWidth: '900px' }}>
+        <div style={styles.modalHeader}>
+          <h2 style={styles.modalTitle}>Year-end promotion</h2>
+          <button onClick={onClose} style={styles.closeButton}>
+            Close
+          </button>
+        </div>
+
+        <p>
+          Everyone moves to the next class; students in the last class graduate and are archived. Attendance before the promotion date stays under the
+          old class in reports. Use <strong>Auto-number</strong> in each class afterwards to give new roll numbers.
+        </p>
+
+        <div style={styles.wizardGrid}>
+          <label style={styles.label}>
+            Promotion date
+            <DateInput value={promotedOn} onChange={setPromotedOn} calendar={calendar} style={styles.input} />
+          </label>
+          <label style={styles.label}>
+            Show
+            <select value={classFilter} onChange={(e) => setClassFilter(e.target.value)} style={styles.input}>
+              <option value="all">All classes</option>
+              {classes.map((k) => (
+                <option key={k.id} value={k.id}>
+                  {k.label} ({k.description})
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <label style={styles.checkboxLabel}>
+          <input type="checkbox" checked={bumpAge} onChange={(e) => setBumpAge(e.target.checked)} /> Add one year to every student&apos;s age
+        </label>
+
+        <p style={styles.meta}>
+          {summary.promoted} promoted · {summary.graduated} graduate · {summary.held} held back
+          {suggestions > 0 && ` · ${suggestions} students' ages suggest a different class`}
+        </p>
+
+        <table style={styles.table}>
+          <thead>
+            <tr style={styles.tableHeader}>
+              <th style={styles.th}>Name</th>
+              <th style={styles.th}>Age</th>
+              <th style={styles.th}>Now</th>
+              <th style={styles.th}>Next year</th>
+              <th style={styles.th}>By age</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(({ student, target, ageSuggestion }) => (
+              <tr key={student.id} style={styles.tableRow}>
+                <td style={styles.td}>{student.name}</td>
+                <td style={styles.td}>{student.age}</td>
+                <td style={styles.td}>{resolveClassLabel(student.classId)}</td>
+                <td style={styles.td}>
+                  <select value={target} onChange={(e) => setTarget(student.id, e.target.value)} style={styles.cellInput}>
+                    <option value={HOLD}>Hold back</option>
+                    {corridor.filter((k) => k.id !== student.classId).map((k) => (
+                      <option key={k.id} value={k.id}>
+                        {k.label} ({k.description})
+                      </option>
+                    ))}
+                    <option value={GRADUATE}>Graduate</option>
+                  </select>
+                </td>
+                <td style={styles.td}>
+                  {ageSuggestion && ageSuggestion !== target && (
+                    <button onClick={() => setTarget(student.id, ageSuggestion)} style={styles.buttonSecondary}>
+                      {promotionTargetLabel(ageSuggestion)}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={styles.buttonGroup}>
+          <button onClick={onClose} style={styles.buttonSecondary}>
+            Cancel
+          </button>
+          <button onClick={apply} disabled={busy || plan.length === 0} style={{ ...styles.buttonPrimary, ...(busy ? styles.buttonDisabled : {}) }}>
+            {busy ? 'Saving…' : 'Apply promotion'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Queued changes the sync engine gave up on (see syncEngine.js), with retry / discard.
+const FailedSyncModal = ({ students, calendar, loadOps, onRetry, onDiscard, online, onClose }) => {
+  const [ops, setOps] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const studentById = useMemo(() => Object.fromEntries(students.map((s) => [s.id, s])), [students]);
+
+  const reload = useCallback(() => loadOps().then(setOps), [loadOps]);
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } finally {
+      await reload();
+      setBusy(false);
+    }
+  };
+
+  const describe = (op) => {
+    if (op.type === 'open-session') return `Open session · ${resolveClassLabel(op.classId)}`;
+    const name = studentById[op.studentId]?.name || 'Unknown student';
+    return `${name} · ${op.type === 'clear' ? 'clear mark' : getStatus(op.status)?.label || op.status}`;
+  };
+
+  return (
+    <div style={styles.modal}>
+      <div style={{ ...styles.modalContent, maxWidth: '640px' }}>
+        <div style={styles.modalHeader}>
+          <h2 style={styles.modalTitle}>Changes not synced</h2>
+          <button onClick={onClose} style={styles.closeButton}>
+            Close
+          </button>
+        </div>
+        <p style={styles.meta}>The server rejected these changes several times. Retry them once the problem is fixed, or discard them.</p>
+        {ops.length === 0 && <p>Nothing left to sync.</p>}
+        {ops.map((op) => (
+          <div key={op.seq} style={styles.resultItem}>
+            <div>
+              <div>{describe(op)}</div>
+              <div style={styles.meta}>
+                {formatDate(op.date, calendar)} · {op.lastError || 'unknown error'}
+              </div>
+            </div>
+            <div style={styles.buttonGroup}>
+              <button disabled={busy || !online} onClick={() => run(() => onRetry([op.seq]))} style={styles.button}>
+                Retry
+              </button>
+              <button
+                disabled={busy}
+                onClick={() => window.confirm('Discard this change? It will not be saved.') && run(() => onDiscard([op.seq]))}
+                style={styles.button}
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        ))}
+        {ops.length > 1 && (
+          <div style={{ ...styles.buttonGroup, marginTop: '12px' }}>
+            <button disabled={busy || !online} onClick={() => run(() => onRetry())} style={styles.buttonPrimary}>
+              Retry all
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Pairs of students with the same (normalized) name; merging keeps one record
+// and moves the other's attendance onto it.
+const DuplicatesModal = ({ students, attendance, onMerge, onClose }) => {
+  const [dismissed, setDismissed] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const pairKey = (pair) => [pair.a.id, pair.b.id].sort().join('|');
+  const pairs = useMemo(() => findDuplicateGroups(students), [students]).filter((pair) => !dismissed.includes(pairKey(pair)));
+
+  const merge = async (keep, remove) => {
+    if (!window.confirm(`Merge ${remove.name} (${resolveClassLabel(remove.classId)}) into ${keep.name} (${resolveClassLabel(keep.classId)})? The duplicate record will be deleted.`)) return;
+    setBusy(true);
+    await onMerge(keep, remove);
+    setBusy(false);
+  };
+
+  const describe = (s) => (
+    <div style={styles.detailsBox}>
+      <div style={styles.detailRow}>
+        <strong>{s.name}</strong>
+      </div>
+      <div style={styles.meta}>
+        {resolveClassLabel(s.classId)} · Roll {s.rollNumber || '—'} · Age {s.age || '—'}
+      </div>
+      <div style={styles.meta}>{[s.phone, s.altPhone].filter(Boolean).join(', ') || 'No phone'}</div>
+      <div style={styles.meta}>{Object.keys(attendance[s.id] || {}).length} attendance days</div>
+    </div>
+  );
+
+  return (
+    <div style={styles.modal}>
+      <div style={{ ...styles.modalContent, maxWidth: '760px' }}>
+        <div style={styles.modalHeader}>
+          <h2 style={styles.modalTitle}>Possible duplicate students</h2>
+          <button onClick={onClose} style={styles.closeButton}>
+            Close
+          </button>
+        </div>
+        {pairs.length === 0 && <p>No duplicates found.</p>}
+        {pairs.map((pair) => (
+          <div key={pairKey(pair)} style={{ borderBottom: '1px solid #eee', paddingBottom: '12px', marginBottom: '12px' }}>
+            <div style={styles.meta}>{describeMatch(pair)}</div>
+            <div style={styles.wizardGrid}>
+              {describe(pair.a)}
+              {describe(pair.b)}
+            </div>
+            <div style={styles.buttonGroup}>
+              <button disabled={busy} onClick={() => merge(pair.a, pair.b)} style={styles.buttonPrimary}>
+                Keep first
+              </button>
+              <button disabled={busy} onClick={() => merge(pair.b, pair.a)} style={styles.buttonPrimary}>
+                Keep second
+              </button>
+              <button disabled={busy} onClick={() => setDismissed((prev) => [...prev, pairKey(pair)])} style={styles.buttonSecondary}>
+                Not a duplicate
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 const ClassSection = ({
+  classes,
+  canMark,
+  canEdit,
+  canDelete,
   selectedClass,
   onSelectClass,
   students,
+  rosterSize,
+  unmarkedCount,
+  session,
+  onOpenSession,
+  onCloseSession,
+  onCancelSession,
+  onReopenSession,
+  onSaveSessionNotes,
   onMark,
+  onMarkAllPresent,
+  onScan,
   onClear,
   attendance,
   selectedDate,
   onEdit,
-  onDelete,
+  onArchive,
+  onTrashClass,
   onAdd,
+  onFindDuplicates,
+  onPromote,
+  onReorder,
+  onAutoNumber,
+  onUndoReorder,
+  guardiansByStudent = {},
+  lastMarkedBy = () => null,
+  coMarkers = [],
+  onPdf,
 }) => {
   const [query, setQuery] = useState('');
   const [classStudents, setClassStudents] = useState([]);
   const [dragged, setDragged] = useState(null);
+  const [flowOpen, setFlowOpen] = useState(false);
 
   useEffect(() => setClassStudents(students), [students]);
 
+  // with no session yet the first mark opens one; closed/cancelled days are read-only
+  const markable = canMark && (!session || (session.status === 'open' && !session.cancelled));
+
   const visible = useMemo(() => {
     const q = (query || '').trim().toLowerCase();
     if (!q) return classStudents;
     return classStudents.filter((s) =>
-      `${s.rollNumber} ${s.name} ${s.phone} ${s.altPhone}`.toLowerCase().includes(q),
+      `${s.rollNumber} ${s.name} ${s.phone} ${s.altPhone} ${(guardiansByStudent[s.id] || []).map((g) => `${g.name} ${g.phone}`).join(' ')}`
+        .toLowerCase()
+        .includes(q),
     );
-  }, [classStudents, query]);
+  }, [classStudents, query, guardiansByStudent]);
 
-  const handleDragStart = (i) => setDragged(i);
+  // a filtered list would renumber only part of the class, so dragging needs the full roster
+  const canDrag = canEdit && visible.length === rosterSize;
+  const handleDragStart = (i) => canDrag && setDragged(i);
   const handleDragOver = (e) => e.preventDefault();
   const handleDrop = (i) => {
     if (dragged === null || dragged === i) return;
@@ -644,12 +2045,7 @@ const ClassSection = ({
     arr.splice(i, 0, item);
     setClassStudents(arr);
     setDragged(null);
-  };
-
-  const deleteAllStudents = () => {
-    if (!window.confirm('Are you sure you want to delete ALL students in this class? This action cannot be undone.')) return;
-    classStudents.forEach((s) => onDelete(s.id));
-    setClassStudents([]);
+    onReorder(arr);
   };
 
   const downloadClassList = (format) => {
@@ -660,6 +2056,7 @@ const ClassSection = ({
         Age: s.age,
         Phone: s.phone,
         'Alt Phone': s.altPhone,
+        Guardians: (guardiansByStudent[s.id] || []).map(describeGuardian).join('; '),
         Class: resolveClassLabel(selectedClass),
       }));
       const sheet = XLSX.utils.json_to_sheet(rows);
@@ -667,192 +2064,1600 @@ const ClassSection = ({
       XLSX.utils.book_append_sheet(wb, sheet, resolveClassLabel(selectedClass));
       XLSX.writeFile(wb, `class-list-${selectedClass}.xlsx`);
     } else {
-      window.print();
+      onPdf(() => classListPdf({ classId: selectedClass, students: classStudents, guardiansByStudent }));
     }
   };
 
   return (
     <div style={styles.section}>
-      <div style={styles.classGrid}>
-        {CLASS_CORRIDOR.map((klass) => {
-          const isActive = klass.id === selectedClass;
-          return (
-            <button
-              key={klass.id}
-              onClick={() => onSelectClass(isActive ? null : klass.id)}
-              style={{
-                ...styles.classButton,
-                ...(isActive ? styles.classButtonActive : {}),
-              }}
-            >
-              <div style={styles.classLabel}>{klass.label}</div>
-              <div style={styles.classDesc}>{klass.description}</div>
-            </button>
-          );
-        })}
-      </div>
+      {classes.length === 0 && <p>No classes have been assigned to you yet. Ask an admin to assign your class.</p>}
+
+      <div style={styles.classGrid}>
+        {classes.map((klass) => {
+          const isActive = klass.id === selectedClass;
+          return (
+            <button
+              key={klass.id}
+              onClick={() => onSelectClass(isActive ? null : klass.id)}
+              style={{
+                ...styles.classButton,
+                ...(isActive ? styles.classButtonActive : {}),
+              }}
+            >
+              <div style={styles.classLabel}>{klass.label}</div>
+              <div style={styles.classDesc}>{klass.description}</div>
+            </button>
+          );
+        })}
+      </div>
+
+      {canEdit && (
+        <button onClick={onAdd} style={styles.addButton}>
+          + Add student
+        </button>
+      )}
+      {canDelete && (
+        <button onClick={onFindDuplicates} style={styles.buttonSecondary}>
+          Find duplicates
+        </button>
+      )}
+      {onPromote && (
+        <button onClick={onPromote} style={styles.buttonSecondary}>
+          Year-end promotion
+        </button>
+      )}
+
+      {selectedClass && (
+        <>
+          <SessionBar
+            session={session}
+            date={selectedDate}
+            canManage={canMark}
+            unmarkedCount={unmarkedCount}
+            rosterSize={rosterSize}
+            onOpen={onOpenSession}
+            onClose={onCloseSession}
+            onCancel={onCancelSession}
+            onReopen={onReopenSession}
+            onSaveNotes={onSaveSessionNotes}
+          />
+
+          {coMarkers.length > 0 && (
+            <p style={styles.archiveBanner}>
+              {coMarkers.join(', ')} {coMarkers.length === 1 ? 'is' : 'are'} also marking this class today — their marks show up here live.
+            </p>
+          )}
+
+          {markable && classStudents.length > 0 && (
+            <div style={styles.markingBar}>
+              <div style={styles.markingProgress}>
+                <div style={{ ...styles.markingProgressFill, width: `${rosterSize ? ((rosterSize - unmarkedCount) / rosterSize) * 100 : 0}%` }} />
+              </div>
+              <span style={styles.meta}>{unmarkedCount ? `${unmarkedCount} of ${rosterSize} still unmarked` : 'Everyone is marked'}</span>
+              <button onClick={() => onMarkAllPresent(visible.map((s) => s.id))} disabled={!unmarkedCount} style={styles.buttonSecondary}>
+                {query.trim() ? 'Mark filtered present' : 'Mark all present'}
+              </button>
+              <button onClick={() => setFlowOpen(true)} style={styles.buttonSecondary}>
+                One at a time
+              </button>
+              <button onClick={onScan} style={styles.buttonSecondary}>
+                Scan ID cards
+              </button>
+            </div>
+          )}
+
+          {flowOpen && (
+            <MarkingFlow
+              students={classStudents}
+              attendance={attendance}
+              selectedDate={selectedDate}
+              onMark={onMark}
+              onClear={onClear}
+              onClose={() => setFlowOpen(false)}
+            />
+          )}
+
+          <input placeholder="Filter by name, roll, or phone..." value={query} onChange={(e) => setQuery(e.target.value)} style={styles.searchInput} />
+
+          {canEdit && classStudents.length > 0 && (
+            <div style={styles.downloadButtonGroup}>
+              <button onClick={onAutoNumber} style={styles.buttonSecondary}>
+                Auto-number alphabetically (ሀ–ፐ)
+              </button>
+              {onUndoReorder && (
+                <button onClick={onUndoReorder} style={styles.buttonSecondary}>
+                  Undo reorder
+                </button>
+              )}
+              {!canDrag && <span style={styles.meta}>Clear the filter to drag rows into a new order.</span>}
+            </div>
+          )}
+
+          {classStudents.length > 0 && (
+            <div style={styles.downloadButtonGroup}>
+              <button onClick={() => downloadClassList('excel')} style={styles.buttonSecondary}>
+                Download as Excel
+              </button>
+              <button onClick={() => downloadClassList('pdf')} style={styles.buttonSecondary}>
+                Download as PDF
+              </button>
+              <Link to={`/app/classes/${selectedClass}/cards`} style={styles.buttonSecondary}>
+                Print ID cards
+              </Link>
+            </div>
+          )}
+
+          <table style={styles.table}>
+            <thead>
+              <tr style={styles.tableHeader}>
+                <th style={styles.th}>Roll</th>
+                <th style={styles.th}>Name</th>
+                <th style={styles.th}>Age</th>
+                <th style={styles.th}>Phones</th>
+                <th style={styles.th}>Attendance</th>
+                <th style={styles.th}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map((s, idx) => {
+                const status = attendance[s.id]?.[selectedDate];
+                const marked = status && lastMarkedBy(s.id);
+                return (
+                  <tr
+                    key={s.id}
+                    style={{
+                      ...styles.tableRow,
+                      ...(dragged === idx ? { opacity: 0.5 } : {}),
+                    }}
+                    draggable={canDrag}
+                    onDragStart={() => handleDragStart(idx)}
+                    onDragOver={handleDragOver}
+                    onDrop={() => handleDrop(idx)}
+                  >
+                    <td style={styles.td}>{s.rollNumber}</td>
+                    <td style={{ ...styles.td, cursor: canDrag ? 'grab' : 'default', fontWeight: 'bold' }}>
+                      <Link to={`/app/students/${s.id}`}>{s.name}</Link>
+                    </td>
+                    <td style={styles.td}>{s.age}</td>
+                    <td style={styles.td}>
+                      {guardiansByStudent[s.id]?.length ? (
+                        guardiansByStudent[s.id].map((g) => (
+                          <div key={g.id} title={[g.name, g.telegram].filter(Boolean).join(' · ')}>
+                            {g.phone || g.telegram} <span style={styles.meta}>({relationshipLabel(g.relationship)}{g.isPrimary ? ', primary' : ''})</span>
+                          </div>
+                        ))
+                      ) : (
+                        <>
+                          <div>{s.phone}</div>
+                          {s.altPhone && <div>{s.altPhone}</div>}
+                        </>
+                      )}
+                    </td>
+                    <td style={styles.td}>
+                      {markable ? (
+                        <div style={styles.buttonGroup}>
+                          {MARKING_STATUSES.map((option) => (
+                            <button key={option.code} title={option.label} onClick={() => onMark(s.id, option.code)} style={statusButtonStyle(option, status === option.code)}>
+                              {option.code}
+                            </button>
+                          ))}
+                          <button onClick={() => onClear(s.id)} style={styles.buttonDanger}>
+                            Undo
+                          </button>
+                        </div>
+                      ) : (
+                        <StatusBadge code={status} />
+                      )}
+                      {marked && (
+                        <div style={styles.meta} title={marked.at ? new Date(marked.at).toLocaleString() : undefined}>
+                          by {marked.name}
+                        </div>
+                      )}
+                    </td>
+                    <td style={styles.td}>
+                      <div style={styles.buttonGroup}>
+                        {canEdit && (
+                          <button onClick={() => onEdit(s)} style={styles.buttonSecondary}>
+                            Edit
+                          </button>
+                        )}
+                        {canEdit && (
+                          <button onClick={() => onArchive(s)} style={styles.buttonDanger}>
+                            Archive
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {canDelete && classStudents.length > 0 && (
+            <div style={styles.deleteAllContainer}>
+              <button onClick={onTrashClass} style={styles.buttonDeleteAll}>
+                Delete all students in this class
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// Full-screen marking, one student per card, for big classes on a phone. Swipe
+// right for present, left for absent, up for permission; on a keyboard P / L /
+// R / A mark, the arrow keys move, Backspace undoes and Esc closes.
+const SWIPE_STATUS = { right: 'P', left: 'A', up: 'PR' };
+const KEY_STATUS = { p: 'P', l: 'L', r: 'PR', a: 'A' };
+const SWIPE_MIN_PX = 60;
+
+const MarkingFlow = ({ students, attendance, selectedDate, onMark, onClear, onClose }) => {
+  const isMarked = (s) => Boolean(attendance[s.id]?.[selectedDate]);
+  const [index, setIndex] = useState(() => Math.max(0, students.findIndex((s) => !isMarked(s))));
+  const touchStart = useRef(null);
+  const student = students[Math.min(index, students.length - 1)];
+  const status = student ? attendance[student.id]?.[selectedDate] : null;
+  const unmarked = students.filter((s) => !isMarked(s)).length;
+
+  // after a mark, jump to the next student nobody has marked yet
+  const advance = () => {
+    const next = students.findIndex((s, i) => i > index && !isMarked(s));
+    setIndex(next === -1 ? Math.min(index + 1, students.length - 1) : next);
+  };
+
+  const mark = (code) => {
+    if (!student) return;
+    onMark(student.id, code);
+    advance();
+  };
+
+  const move = (step) => setIndex((i) => Math.min(Math.max(i + step, 0), students.length - 1));
+
+  // the listener is bound once; it always calls the latest handler
+  const keyHandler = useRef(null);
+  keyHandler.current = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (KEY_STATUS[key]) mark(KEY_STATUS[key]);
+    else if (key === 'arrowright' || key === 'arrowdown') move(1);
+    else if (key === 'arrowleft' || key === 'arrowup') move(-1);
+    else if (key === 'backspace' && status) onClear(student.id);
+    else if (key === 'escape') onClose();
+    else return;
+    e.preventDefault();
+  };
+
+  useEffect(() => {
+    const handleKey = (e) => keyHandler.current(e);
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, []);
+
+  const handleTouchStart = (e) => {
+    const touch = e.touches[0];
+    touchStart.current = { x: touch.clientX, y: touch.clientY };
+  };
+
+  const handleTouchEnd = (e) => {
+    if (!touchStart.current) return;
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - touchStart.current.x;
+    const dy = touch.clientY - touchStart.current.y;
+    touchStart.current = null;
+    if (Math.abs(dx) >= SWIPE_MIN_PX && Math.abs(dx) > Math.abs(dy)) mark(SWIPE_STATUS[dx > 0 ? 'right' : 'left']);
+    else if (-dy >= SWIPE_MIN_PX) mark(SWIPE_STATUS.up);
+  };
+
+  return (
+    <div style={styles.markingFlow} onTouchStart={handleTouchStart} onTouchEnd={handleTouchEnd}>
+      <div style={styles.modalHeader}>
+        <span style={styles.meta}>
+          {index + 1} / {students.length} · {unmarked ? `${unmarked} unmarked` : 'everyone is marked'}
+        </span>
+        <button onClick={onClose} style={styles.closeButton}>
+          Done
+        </button>
+      </div>
+      <div style={styles.markingProgress}>
+        <div style={{ ...styles.markingProgressFill, width: `${((students.length - unmarked) / students.length) * 100}%` }} />
+      </div>
+
+      {student && (
+        <div style={styles.markingCard}>
+          <div style={styles.meta}>Roll {student.rollNumber}</div>
+          <div style={styles.markingName}>{student.name}</div>
+          <StatusBadge code={status} />
+        </div>
+      )}
+
+      <div style={styles.markingButtons}>
+        {MARKING_STATUSES.map((option) => (
+          <button key={option.code} onClick={() => mark(option.code)} style={{ ...statusButtonStyle(option, status === option.code), ...styles.markingButton }}>
+            {option.code}
+            <div style={styles.markingButtonLabel}>{option.label}</div>
+          </button>
+        ))}
+      </div>
+
+      <div style={styles.buttonGroup}>
+        <button onClick={() => move(-1)} disabled={index === 0} style={styles.buttonSecondary}>
+          ← Previous
+        </button>
+        {status && (
+          <button onClick={() => onClear(student.id)} style={styles.buttonDanger}>
+            Undo
+          </button>
+        )}
+        <button onClick={() => move(1)} disabled={index >= students.length - 1} style={styles.buttonSecondary}>
+          Next →
+        </button>
+      </div>
+      <p style={styles.meta}>Swipe right: present · left: absent · up: permission. Keys: P, L, R, A, ← →, Backspace to undo, Esc to close.</p>
+    </div>
+  );
+};
+
+// Check-in by ID card: the camera reads QR codes where the browser supports it,
+// and a code can always be typed (handy for testing on a laptop). Every scan
+// beeps and flashes; cards from another class are refused, not marked.
+const SCAN_INTERVAL_MS = 250;
+const RESCAN_MS = 3000;
+
+const ScannerModal = ({ students, classId, attendance, selectedDate, onMark, onClose }) => {
+  const videoRef = useRef(null);
+  const lastSeen = useRef({});
+  const [cameraError, setCameraError] = useState(canScanWithCamera() ? '' : 'This browser cannot read QR codes from the camera. Type the code instead.');
+  const [manualCode, setManualCode] = useState('');
+  const [scans, setScans] = useState([]);
+
+  const handleCode = async (text) => {
+    const studentId = parseCardCode(text);
+    const result = checkScan(studentId, { students, classId });
+    let { ok } = result;
+    let message = result.reason;
+    if (ok && attendance[studentId]?.[selectedDate] === 'P') {
+      message = `${result.student.name} is already marked present.`;
+    } else if (ok) {
+      ok = await onMark(studentId, 'P');
+      message = ok ? `${result.student.name} — present` : `${result.student.name} was not marked: the session is closed, cancelled or read-only.`;
+    }
+    scanFeedback(ok);
+    setScans((prev) => [{ id: Date.now(), ok, message }, ...prev].slice(0, 8));
+  };
+
+  // the detection loop is started once; it always calls the latest handler
+  const codeHandler = useRef(handleCode);
+  codeHandler.current = handleCode;
+
+  useEffect(() => {
+    if (!canScanWithCamera()) return undefined;
+    let stopped = false;
+    let stream = null;
+    let timer = null;
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+    const tick = async () => {
+      if (stopped) return;
+      try {
+        const now = Date.now();
+        const codes = await detector.detect(videoRef.current);
+        codes.forEach(({ rawValue }) => {
+          // a card held in front of the camera is seen many times a second
+          if (now - (lastSeen.current[rawValue] || 0) < RESCAN_MS) return;
+          lastSeen.current[rawValue] = now;
+          codeHandler.current(rawValue);
+        });
+      } catch (error) {
+        console.warn('[Scan] detection failed', error);
+      }
+      timer = setTimeout(tick, SCAN_INTERVAL_MS);
+    };
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        // closed while the permission prompt was up
+        if (stopped) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        tick();
+      } catch (error) {
+        console.error('[Scan] could not open the camera', error);
+        if (!stopped) setCameraError('Could not open the camera. Allow camera access, or type the code.');
+      }
+    };
+
+    start();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  const submitManual = (evt) => {
+    evt.preventDefault();
+    if (!manualCode.trim()) return;
+    handleCode(manualCode);
+    setManualCode('');
+  };
+
+  const latest = scans[0];
+
+  return (
+    <div style={styles.modal}>
+      <div style={styles.modalContent}>
+        <div style={styles.modalHeader}>
+          <h2 style={styles.modalTitle}>Scan ID cards · {resolveClassLabel(classId)}</h2>
+          <button onClick={onClose} style={styles.closeButton}>
+            Done
+          </button>
+        </div>
+
+        {cameraError ? <p style={styles.meta}>{cameraError}</p> : <video ref={videoRef} muted playsInline style={styles.scannerVideo} />}
+
+        {latest && <div style={{ ...styles.scanResult, ...(latest.ok ? styles.scanOk : styles.scanRefused) }}>{latest.message}</div>}
+
+        <form onSubmit={submitManual} style={styles.downloadButtonGroup}>
+          <input placeholder="Type a card code (senbet:… or student id)" value={manualCode} onChange={(e) => setManualCode(e.target.value)} style={styles.input} />
+          <button type="submit" style={styles.buttonSecondary}>
+            Check in
+          </button>
+        </form>
+
+        {scans.slice(1).map((scan) => (
+          <div key={scan.id} style={{ ...styles.meta, color: scan.ok ? '#2e7d32' : '#c62828' }}>
+            {scan.message}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Audit trail of one student in the details modal, loaded on request.
+const ChangeHistory = ({ studentId }) => {
+  const [entries, setEntries] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      setEntries(await fetchAuditLog({ studentId }));
+    } catch (error) {
+      console.error('Failed to load change history', error);
+      setEntries([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!entries) {
+    return (
+      <button onClick={load} disabled={loading} style={styles.buttonSecondary}>
+        {loading ? 'Loading…' : 'Show change history'}
+      </button>
+    );
+  }
+  return (
+    <div style={styles.detailsBox}>
+      <h3 style={styles.subTitle}>Change history</h3>
+      {entries.length === 0 && <p style={styles.meta}>No recorded changes.</p>}
+      {entries.map((entry) => (
+        <div key={entry.id} style={styles.detailRow}>
+          <strong>{actionLabel(entry.action)}</strong> · {entry.actorName || 'unknown'}
+          <span style={styles.meta}> · {new Date(entry.createdAt).toLocaleString()}</span>
+          {describeChanges(entry).map((line) => (
+            <div key={line} style={styles.meta}>
+              {line}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Guardians in the student details modal. Typing a phone number that is already on
+// file offers that guardian, so a second child is linked to the same parent.
+const GuardiansEditor = ({ guardians, known, canEdit, onSave, onRemove }) => {
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const existing = draft && !draft.id ? findGuardianByPhone(known, draft.phone) : null;
+
+  const change = (evt) => {
+    const { name, value, type, checked } = evt.target;
+    setDraft((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const submit = async (evt) => {
+    evt.preventDefault();
+    setBusy(true);
+    if (await onSave(draft)) setDraft(null);
+    setBusy(false);
+  };
+
+  return (
+    <div style={styles.detailsBox}>
+      <h3 style={styles.subTitle}>Guardians</h3>
+      {!guardians.length && <p style={styles.meta}>No guardians yet — the student's own phone numbers are used.</p>}
+      {guardians.map((g) => (
+        <div key={g.id} style={styles.detailRow}>
+          <strong>{g.name}</strong> · {relationshipLabel(g.relationship)}
+          {g.isPrimary && <span style={styles.badge}>Primary</span>}
+          <div style={styles.meta}>
+            {[g.phone, g.telegram, CHANNELS.find((c) => c.id === g.channel)?.label, LANGUAGES.find((l) => l.id === g.language)?.label].filter(Boolean).join(' · ')}
+          </div>
+          {canEdit && (
+            <div style={styles.buttonGroup}>
+              <button onClick={() => setDraft(g)} style={styles.buttonSecondary}>
+                Edit
+              </button>
+              <button onClick={() => onRemove(g)} style={styles.buttonDanger}>
+                Remove
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+      {canEdit && !draft && (
+        <button onClick={() => setDraft({ ...emptyGuardian(), isPrimary: !guardians.length })} style={styles.buttonSecondary}>
+          + Add guardian
+        </button>
+      )}
+      {draft && (
+        <form onSubmit={submit} style={styles.form}>
+          <label style={styles.label}>
+            Phone
+            <input type="tel" name="phone" value={draft.phone} onChange={change} style={styles.input} />
+          </label>
+          {existing && (
+            <div style={styles.meta}>
+              {describeGuardian(existing)} is already on file.{' '}
+              <button type="button" onClick={() => setDraft((prev) => ({ ...existing, relationship: prev.relationship, isPrimary: prev.isPrimary }))} style={styles.buttonSecondary}>
+                Link this guardian
+              </button>
+            </div>
+          )}
+          <label style={styles.label}>
+            Name
+            <input name="name" value={draft.name} onChange={change} required style={styles.input} />
+          </label>
+          <label style={styles.label}>
+            Relationship
+            <select name="relationship" value={draft.relationship} onChange={change} style={styles.input}>
+              {RELATIONSHIPS.map((r) => (
+                <option key={r.id} value={r.id}>
+                  {r.label} ({r.labelAm})
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.label}>
+            Telegram
+            <input name="telegram" value={draft.telegram} onChange={change} placeholder="@username" style={styles.input} />
+          </label>
+          <label style={styles.label}>
+            Preferred channel
+            <select name="channel" value={draft.channel} onChange={change} style={styles.input}>
+              {CHANNELS.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.label}>
+            Preferred language
+            <select name="language" value={draft.language} onChange={change} style={styles.input}>
+              {LANGUAGES.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.checkboxLabel}>
+            <input type="checkbox" name="isPrimary" checked={draft.isPrimary} onChange={change} />
+            Primary contact
+          </label>
+          <div style={styles.buttonGroup}>
+            <button type="button" onClick={() => setDraft(null)} style={styles.buttonSecondary}>
+              Cancel
+            </button>
+            <button type="submit" disabled={busy} style={{ ...styles.buttonPrimary, ...(busy ? styles.buttonDisabled : {}) }}>
+              Save guardian
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+// Students absent `threshold` class days in a row, and the calls made about them.
+const FollowUpSection = ({ queue, selectedClass, threshold, onThresholdChange, canAct, guardiansByStudent, calendar, onLogCall, onSetStatus }) => {
+  const [tab, setTab] = useState('open');
+  const [allClasses, setAllClasses] = useState(false);
+  // { key, outcome, note, close } for the item whose call form is open
+  const [callDraft, setCallDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const inView = queue.filter((item) => allClasses || item.student.classId === selectedClass);
+  const items = inView.filter((item) => item.status === tab);
+  const openCount = inView.filter((item) => item.status === 'open').length;
+
+  const startCall = (item) => setCallDraft({ key: item.key, outcome: CALL_OUTCOMES[0].id, note: '', close: CALL_OUTCOMES[0].closes });
+
+  const submitCall = async (evt, item) => {
+    evt.preventDefault();
+    if (callDraft.outcome === 'other' && !callDraft.note.trim()) return;
+    setBusy(true);
+    const { outcome, note, close } = callDraft;
+    if (await onLogCall(item, { outcome, note: note.trim(), close })) setCallDraft(null);
+    setBusy(false);
+  };
+
+  return (
+    <div style={styles.section}>
+      <h2 style={styles.sectionTitle}>Absence follow-ups</h2>
+      <div style={{ ...styles.toolbar, flexWrap: 'wrap', alignItems: 'center' }}>
+        <button onClick={() => setTab('open')} style={{ ...styles.button, ...(tab === 'open' ? styles.buttonActive : {}) }}>
+          Open ({openCount})
+        </button>
+        <button onClick={() => setTab('closed')} style={{ ...styles.button, ...(tab === 'closed' ? styles.buttonActive : {}) }}>
+          Closed
+        </button>
+        <label style={styles.checkboxLabel}>
+          <input type="checkbox" checked={allClasses} onChange={(e) => setAllClasses(e.target.checked)} />
+          All my classes
+        </label>
+        <label>
+          Flag after{' '}
+          <input
+            type="number"
+            min="1"
+            max="20"
+            value={threshold}
+            onChange={(e) => onThresholdChange(Math.max(1, Number(e.target.value) || 1))}
+            style={{ ...styles.cellInput, width: '60px' }}
+          />{' '}
+          absences in a row
+        </label>
+      </div>
+
+      {items.length === 0 ? (
+        <p style={styles.meta}>{tab === 'open' ? 'No students need a call right now.' : 'No closed follow-ups.'}</p>
+      ) : (
+        <div style={styles.tableContainer}>
+          <table style={styles.table}>
+            <thead>
+              <tr style={styles.tableHeader}>
+                <th style={styles.th}>Student</th>
+                <th style={styles.th}>Absent</th>
+                <th style={styles.th}>Contact</th>
+                <th style={styles.th}>Calls</th>
+                <th style={styles.th}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => {
+                const contacts = guardiansByStudent[item.student.id]?.length
+                  ? guardiansByStudent[item.student.id].map((g) => ({ key: g.id, phone: g.phone, label: `${g.name} (${relationshipLabel(g.relationship)})` }))
+                  : [item.student.phone, item.student.altPhone].filter(Boolean).map((phone) => ({ key: phone, phone, label: 'Student phone' }));
+                return (
+                  <tr key={item.key} style={styles.tableRow}>
+                    <td style={styles.td}>
+                      <Link to={`/app/students/${item.student.id}`}>{item.student.name}</Link>
+                      <div style={styles.meta}>{resolveClassLabel(item.student.classId)}</div>
+                    </td>
+                    <td style={styles.td}>
+                      <strong>{item.count}</strong> class days
+                      <div style={styles.meta}>{formatDateRange(item.since, item.last, calendar)}</div>
+                    </td>
+                    <td style={styles.td}>
+                      {contacts.length === 0 && <span style={styles.meta}>No phone on file</span>}
+                      {contacts.map((c) => (
+                        <div key={c.key}>
+                          {c.phone ? <a href={`tel:${c.phone}`}>{c.phone}</a> : '—'} <span style={styles.meta}>{c.label}</span>
+                        </div>
+                      ))}
+                    </td>
+                    <td style={styles.td}>
+                      {!item.followUp?.calls.length && <span style={styles.meta}>Not called yet</span>}
+                      {item.followUp?.calls.map((call) => (
+                        <div key={call.id}>
+                          <strong>{outcomeLabel(call.outcome)}</strong>
+                          {call.note && ` — ${call.note}`}
+                          <div style={styles.meta}>
+                            {formatDate(call.createdAt.slice(0, 10), calendar)}
+                            {call.authorName && ` · ${call.authorName}`}
+                          </div>
+                        </div>
+                      ))}
+                    </td>
+                    <td style={styles.td}>
+                      {canAct(item) && callDraft?.key === item.key ? (
+                        <form onSubmit={(evt) => submitCall(evt, item)} style={styles.form}>
+                          <select
+                            value={callDraft.outcome}
+                            onChange={(e) => {
+                              const outcome = CALL_OUTCOMES.find((o) => o.id === e.target.value);
+                              setCallDraft((prev) => ({ ...prev, outcome: outcome.id, close: outcome.closes }));
+                            }}
+                            style={styles.cellInput}
+                          >
+                            {CALL_OUTCOMES.map((o) => (
+                              <option key={o.id} value={o.id}>
+                                {o.label} ({o.labelAm})
+                              </option>
+                            ))}
+                          </select>
+                          <input
+                            value={callDraft.note}
+                            onChange={(e) => setCallDraft((prev) => ({ ...prev, note: e.target.value }))}
+                            placeholder={callDraft.outcome === 'other' ? 'What did they say?' : 'Note (optional)'}
+                            required={callDraft.outcome === 'other'}
+                            style={styles.cellInput}
+                          />
+                          <label style={styles.checkboxLabel}>
+                            <input type="checkbox" checked={callDraft.close} onChange={(e) => setCallDraft((prev) => ({ ...prev, close: e.target.checked }))} />
+                            Close follow-up
+                          </label>
+                          <div style={styles.buttonGroup}>
+                            <button type="button" onClick={() => setCallDraft(null)} style={styles.buttonSecondary}>
+                              Cancel
+                            </button>
+                            <button type="submit" disabled={busy} style={{ ...styles.buttonPrimary, ...(busy ? styles.buttonDisabled : {}) }}>
+                              Save call
+                            </button>
+                          </div>
+                        </form>
+                      ) : (
+                        canAct(item) && (
+                          <div style={styles.buttonGroup}>
+                            {item.status === 'open' && (
+                              <button onClick={() => startCall(item)} style={styles.buttonPrimary}>
+                                Log call
+                              </button>
+                            )}
+                            {item.followUp && item.status === 'open' && (
+                              <button onClick={() => onSetStatus(item, 'closed')} style={styles.buttonSecondary}>
+                                Close
+                              </button>
+                            )}
+                            {item.status === 'closed' && (
+                              <button onClick={() => onSetStatus(item, 'open')} style={styles.buttonSecondary}>
+                                Reopen
+                              </button>
+                            )}
+                          </div>
+                        )
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Preview-and-confirm for absence messages; nothing is sent until "Send".
+const NotifyModal = ({ draft, guardiansByStudent, calendar, onSend, onClose }) => {
+  const [templateId, setTemplateId] = useState(draft.templateId);
+  const [language, setLanguage] = useState('auto');
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+
+  const messages = useMemo(
+    () => buildMessages(draft.items, { templateId, language, guardiansByStudent, calendar }),
+    [draft.items, templateId, language, guardiansByStudent, calendar],
+  );
+  const sendable = messages.filter((m) => m.recipient && !excluded.has(m.student.id));
+  const unreachable = messages.filter((m) => !m.recipient).length;
+  const statusByStudent = Object.fromEntries((results || []).map((r) => [r.message.student.id, r]));
+
+  const toggle = (studentId) =>
+    setExcluded((prev) => {
+      const next = new Set(prev);
+      if (next.has(studentId)) next.delete(studentId);
+      else next.add(studentId);
+      return next;
+    });
+
+  const send = async () => {
+    setProgress({ done: 0, total: sendable.length });
+    const sent = await onSend(sendable, (done, total) => setProgress({ done, total }));
+    setProgress(null);
+    if (sent) setResults(sent);
+  };
+
+  return (
+    <div style={styles.modal}>
+      <div style={{ ...styles.modalContent, maxWidth: '900px' }}>
+        <div style={styles.modalHeader}>
+          <h2 style={styles.modalTitle}>Notify guardians</h2>
+          <button onClick={onClose} disabled={Boolean(progress)} style={styles.closeButton}>
+            Close
+          </button>
+        </div>
+        {!isLiveMessaging() && <p style={styles.archiveBanner}>{mockProvider.label}. Set VITE_MESSAGING_PROVIDER=live to send real SMS / Telegram messages.</p>}
+        <div style={styles.formGroup}>
+          <label style={styles.label}>
+            Message
+            <select value={templateId} onChange={(e) => setTemplateId(e.target.value)} disabled={Boolean(results)} style={styles.input}>
+              {TEMPLATES.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.label}>
+            Language
+            <select value={language} onChange={(e) => setLanguage(e.target.value)} disabled={Boolean(results)} style={styles.input}>
+              <option value="auto">Guardian's preference</option>
+              <option value="am">አማርኛ</option>
+              <option value="en">English</option>
+            </select>
+          </label>
+        </div>
+        <p>
+          {sendable.length} messages will be sent
+          {unreachable > 0 && ` · ${unreachable} students have no phone or Telegram on file`}
+          {excluded.size > 0 && ` · ${excluded.size} left out`}.
+        </p>
+        <div style={styles.tableContainer}>
+          <table style={styles.table}>
+            <thead>
+              <tr style={styles.tableHeader}>
+                <th style={styles.th}>Send</th>
+                <th style={styles.th}>Student</th>
+                <th style={styles.th}>To</th>
+                <th style={styles.th}>Message</th>
+              </tr>
+            </thead>
+            <tbody>
+              {messages.map((m) => {
+                const result = statusByStudent[m.student.id];
+                return (
+                  <tr key={m.student.id} style={{ ...styles.tableRow, ...(!m.recipient || excluded.has(m.student.id) ? { opacity: 0.5 } : {}) }}>
+                    <td style={styles.td}>
+                      {result ? (
+                        <span style={result.status === 'sent' ? styles.syncBadge : styles.errorText} title={result.error}>
+                          {result.status === 'sent' ? 'Sent' : 'Failed'}
+                        </span>
+                      ) : (
+                        <input type="checkbox" checked={Boolean(m.recipient) && !excluded.has(m.student.id)} disabled={!m.recipient} onChange={() => toggle(m.student.id)} />
+                      )}
+                    </td>
+                    <td style={styles.td}>{m.student.name}</td>
+                    <td style={styles.td}>
+                      {m.recipient ? (
+                        <>
+                          <div>{m.recipient.to}</div>
+                          <div style={styles.meta}>
+                            {m.recipient.channel === 'telegram' ? 'Telegram' : 'SMS'}
+                            {m.recipient.name && ` · ${m.recipient.name}`}
+                          </div>
+                        </>
+                      ) : (
+                        <span style={styles.errorText}>No contact</span>
+                      )}
+                    </td>
+                    <td style={{ ...styles.td, whiteSpace: 'pre-wrap' }}>{m.text}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <div style={styles.buttonGroup}>
+          <button onClick={onClose} disabled={Boolean(progress)} style={styles.buttonSecondary}>
+            {results ? 'Done' : 'Cancel'}
+          </button>
+          {!results && (
+            <button
+              onClick={send}
+              disabled={!sendable.length || Boolean(progress)}
+              style={{ ...styles.buttonPrimary, ...(!sendable.length || progress ? styles.buttonDisabled : {}) }}
+            >
+              {progress ? `Sending ${progress.done}/${progress.total}...` : `Send ${sendable.length} messages`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Trend charts under the report: weekly rate, all classes side by side, how
+// individual rates spread, and rate by class day of the term. Plain SVG.
+const ReportCharts = ({ classes, students, attendance, sessions, classResolver, reportClass, dateFrom, dateTo, academicYears, calendar }) => {
+  const charts = useMemo(() => {
+    const args = [students, attendance, reportClass, dateFrom, dateTo, sessions, classResolver];
+    return {
+      weekly: buildWeeklyRates(...args),
+      classes: buildClassComparison(classes, students, attendance, dateFrom, dateTo, sessions, classResolver),
+      distribution: buildRateDistribution(...args),
+      dayOfTerm: buildDayOfTermRates(...args, academicYears),
+    };
+  }, [classes, students, attendance, sessions, classResolver, reportClass, dateFrom, dateTo, academicYears]);
+
+  return (
+    <div style={styles.chartGrid}>
+      <div style={styles.chartBox}>
+        <h3 style={styles.subTitle}>Weekly attendance rate · {resolveClassLabel(reportClass)}</h3>
+        {charts.weekly.length > 1 ? (
+          <LineChart points={charts.weekly.map((w) => ({ ...w, label: humanDate(w.label, calendar) }))} max={100} unit="%" />
+        ) : (
+          <p style={styles.meta}>Needs at least two weeks with marks.</p>
+        )}
+      </div>
+      <div style={styles.chartBox}>
+        <h3 style={styles.subTitle}>All classes</h3>
+        <BarChart bars={charts.classes.map((c) => ({ ...c, highlight: c.id === reportClass }))} max={100} unit="%" />
+      </div>
+      <div style={styles.chartBox}>
+        <h3 style={styles.subTitle}>Students by attendance rate</h3>
+        <BarChart bars={charts.distribution} max={Math.max(1, ...charts.distribution.map((b) => b.value))} />
+        <p style={styles.meta}>Number of students whose own rate falls in each 10% band.</p>
+      </div>
+      <div style={styles.chartBox}>
+        <h3 style={styles.subTitle}>By class day of the term</h3>
+        {charts.dayOfTerm.length > 1 ? (
+          <LineChart points={charts.dayOfTerm} max={100} unit="%" />
+        ) : (
+          <p style={styles.meta}>No terms cover these dates yet (an admin sets terms up on the Admin page).</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 180;
+const CHART_PAD = { top: 12, right: 10, bottom: 28, left: 34 };
+
+// y gridlines at 0 / 50% / 100% of `max`
+const ChartAxes = ({ max, unit }) => {
+  const plotHeight = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+  return [0, 0.5, 1].map((f) => {
+    const y = CHART_PAD.top + plotHeight * (1 - f);
+    return (
+      <g key={f}>
+        <line x1={CHART_PAD.left} x2={CHART_WIDTH - CHART_PAD.right} y1={y} y2={y} stroke="#eee" />
+        <text x={CHART_PAD.left - 4} y={y + 3} fontSize="9" textAnchor="end" fill="#777">
+          {Math.round(max * f)}
+          {unit}
+        </text>
+      </g>
+    );
+  });
+};
+
+// points: [{ label, value }]; x labels are thinned to about eight.
+const LineChart = ({ points, max, unit = '' }) => {
+  const plotWidth = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right;
+  const plotHeight = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+  const x = (i) => CHART_PAD.left + (points.length > 1 ? (plotWidth * i) / (points.length - 1) : plotWidth / 2);
+  const y = (value) => CHART_PAD.top + plotHeight * (1 - value / max);
+  const labelEvery = Math.ceil(points.length / 8);
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={styles.chart} role="img">
+      <ChartAxes max={max} unit={unit} />
+      <polyline points={points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')} fill="none" stroke="#1976d2" strokeWidth="2" />
+      {points.map((p, i) => (
+        <g key={`${p.label}-${i}`}>
+          <circle cx={x(i)} cy={y(p.value)} r="3" fill="#1976d2">
+            <title>
+              {p.label}: {p.value}
+              {unit}
+            </title>
+          </circle>
+          {i % labelEvery === 0 && (
+            <text x={x(i)} y={CHART_HEIGHT - 10} fontSize="9" textAnchor="middle" fill="#555">
+              {p.label}
+            </text>
+          )}
+        </g>
+      ))}
+    </svg>
+  );
+};
+
+// bars: [{ label, value, highlight? }]
+const BarChart = ({ bars, max, unit = '' }) => {
+  const plotWidth = CHART_WIDTH - CHART_PAD.left - CHART_PAD.right;
+  const plotHeight = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+  const slot = plotWidth / Math.max(bars.length, 1);
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={styles.chart} role="img">
+      <ChartAxes max={max} unit={unit} />
+      {bars.map((bar, i) => {
+        const height = (plotHeight * bar.value) / max;
+        const left = CHART_PAD.left + i * slot + slot * 0.15;
+        return (
+          <g key={bar.label}>
+            <rect x={left} y={CHART_PAD.top + plotHeight - height} width={slot * 0.7} height={height} fill={bar.highlight ? '#1976d2' : '#90caf9'}>
+              <title>
+                {bar.label}: {bar.value}
+                {unit}
+              </title>
+            </rect>
+            <text x={left + slot * 0.35} y={CHART_PAD.top + plotHeight - height - 3} fontSize="9" textAnchor="middle" fill="#333">
+              {bar.value}
+            </text>
+            <text x={left + slot * 0.35} y={CHART_HEIGHT - 10} fontSize="9" textAnchor="middle" fill="#555">
+              {bar.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Messages sent about the students of a class, newest first.
+const MessageLog = ({ students, calendar }) => {
+  const [log, setLog] = useState(null);
+  const [error, setError] = useState('');
+  const studentIds = useMemo(() => students.map((s) => s.id), [students]);
+  const nameById = useMemo(() => Object.fromEntries(students.map((s) => [s.id, s.name])), [students]);
+
+  useEffect(() => {
+    let active = true;
+    setLog(null);
+    setError('');
+    fetchNotificationLog(studentIds)
+      .then((rows) => active && setLog(rows))
+      .catch((err) => {
+        console.error('Failed to load message log', err);
+        if (active) setError('Could not load the message log.');
+      });
+    return () => {
+      active = false;
+    };
+  }, [studentIds]);
+
+  if (error) return <p style={styles.errorText}>{error}</p>;
+  if (!log) return <p>Loading messages...</p>;
+  if (!log.length) return <p>No messages sent to this class yet.</p>;
+  return (
+    <table style={styles.table}>
+      <thead>
+        <tr style={styles.tableHeader}>
+          <th style={styles.th}>Sent</th>
+          <th style={styles.th}>Student</th>
+          <th style={styles.th}>To</th>
+          <th style={styles.th}>Message</th>
+          <th style={styles.th}>Status</th>
+        </tr>
+      </thead>
+      <tbody>
+        {log.map((entry) => (
+          <tr key={entry.id} style={styles.tableRow}>
+            <td style={styles.td}>
+              {formatDate(entry.createdAt.slice(0, 10), calendar, { withYear: true })}
+              {entry.senderName && <div style={styles.meta}>{entry.senderName}</div>}
+            </td>
+            <td style={styles.td}>{nameById[entry.studentId] ?? '—'}</td>
+            <td style={styles.td}>
+              {entry.recipient}
+              <div style={styles.meta}>
+                {entry.channel === 'telegram' ? 'Telegram' : 'SMS'} · {entry.provider}
+              </div>
+            </td>
+            <td style={{ ...styles.td, whiteSpace: 'pre-wrap' }}>{entry.body}</td>
+            <td style={styles.td}>
+              {entry.status === 'sent' ? 'Sent' : <span style={styles.errorText} title={entry.error}>Failed</span>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// Confirms archiving one student (with a reason) or moving a whole class to the
+// trash; the bulk case only unlocks once the class name is typed exactly.
+const ArchiveModal = ({ draft, classLabel, onChange, onConfirm, onCancel }) => {
+  const [typed, setTyped] = useState('');
+  const [busy, setBusy] = useState(false);
+  const confirmed = !draft.bulk || typed.trim().normalize('NFC') === classLabel.normalize('NFC');
+
+  const submit = async (evt) => {
+    evt.preventDefault();
+    if (!confirmed) return;
+    setBusy(true);
+    await onConfirm();
+    setBusy(false);
+  };
+
+  return (
+    <div style={styles.modal}>
+      <div style={styles.modalContent}>
+        <div style={styles.modalHeader}>
+          <h2 style={styles.modalTitle}>{draft.bulk ? `Delete all students in ${classLabel}` : `Archive ${draft.students[0]?.name}`}</h2>
+          <button onClick={onCancel} style={styles.closeButton}>
+            Close
+          </button>
+        </div>
+        <form onSubmit={submit} style={styles.form}>
+          {draft.bulk ? (
+            <>
+              <p>
+                {draft.students.length} students will be moved to the trash and hidden from rosters and reports. Their attendance is kept, and they can
+                be restored from <strong>Archived</strong> for {TRASH_RETENTION_DAYS} days; after that they are deleted permanently.
+              </p>
+              <label style={styles.label}>
+                Type <strong>{classLabel}</strong> to confirm
+                <input value={typed} onChange={(e) => setTyped(e.target.value)} autoFocus style={styles.input} />
+              </label>
+            </>
+          ) : (
+            <label style={styles.label}>
+              Reason
+              <select value={draft.reason} onChange={(e) => onChange({ ...draft, reason: e.target.value })} style={styles.input}>
+                {ARCHIVE_REASONS.map((r) => (
+                  <option key={r.id} value={r.id}>
+                    {r.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          )}
+          <div style={styles.buttonGroup}>
+            <button type="button" onClick={onCancel} style={styles.buttonSecondary}>
+              Cancel
+            </button>
+            <button type="submit" disabled={!confirmed || busy} style={{ ...styles.buttonDanger, ...(!confirmed || busy ? styles.buttonDisabled : {}) }}>
+              {draft.bulk ? 'Move to trash' : 'Archive'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const ArchivedSection = ({ classes, students, canRestore, onRestore, calendar }) => {
+  const [reason, setReason] = useState('all');
+  const [classId, setClassId] = useState('all');
+
+  const shown = students.filter(
+    (s) => (reason === 'all' || s.archiveReason === reason) && (classId === 'all' || s.classId === classId),
+  );
+  const trashed = shown.filter(isInTrash).filter(canRestore);
+
+  return (
+    <div style={styles.section}>
+      <h2 style={styles.sectionTitle}>Archived students</h2>
+      <p>
+        Students who graduated, moved or left, and whole classes deleted in the last {TRASH_RETENTION_DAYS} days. Their attendance history is kept.
+      </p>
+
+      <div style={styles.dateRangeContainer}>
+        <label style={styles.label}>
+          Class:
+          <select value={classId} onChange={(e) => setClassId(e.target.value)} style={styles.input}>
+            <option value="all">All classes</option>
+            {classes.map((k) => (
+              <option key={k.id} value={k.id}>
+                {k.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.label}>
+          Reason:
+          <select value={reason} onChange={(e) => setReason(e.target.value)} style={styles.input}>
+            <option value="all">All reasons</option>
+            {ARCHIVE_REASONS.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.label}
+              </option>
+            ))}
+            <option value={TRASH_REASON}>{archiveReasonLabel(TRASH_REASON)}</option>
+          </select>
+        </label>
+      </div>
+
+      {trashed.length > 1 && (
+        <button onClick={() => onRestore(trashed)} style={styles.buttonSecondary}>
+          Restore all {trashed.length} from the trash
+        </button>
+      )}
+
+      {shown.length === 0 ? (
+        <p>No archived students.</p>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr style={styles.tableHeader}>
+              <th style={styles.th}>Name</th>
+              <th style={styles.th}>Class</th>
+              <th style={styles.th}>Reason</th>
+              <th style={styles.th}>Archived</th>
+              <th style={styles.th}>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((s) => (
+              <tr key={s.id} style={styles.tableRow}>
+                <td style={styles.td}>{s.name}</td>
+                <td style={styles.td}>{resolveClassLabel(s.classId)}</td>
+                <td style={styles.td}>
+                  {archiveReasonLabel(s.archiveReason)}
+                  {isInTrash(s) && <div style={styles.meta}>Deleted for good on {humanDate(trashExpiresAt(s).toISOString().slice(0, 10), calendar)}</div>}
+                </td>
+                <td style={styles.td}>{humanDate(s.archivedAt.slice(0, 10), calendar)}</td>
+                <td style={styles.td}>
+                  {canRestore(s) && (
+                    <button onClick={() => onRestore([s])} style={styles.buttonSecondary}>
+                      Restore
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const PREVIEW_FIELDS = [
+  { id: 'rollNumber', label: 'Roll', width: '60px' },
+  { id: 'name', label: 'Name', width: '180px' },
+  { id: 'age', label: 'Age', width: '60px' },
+  { id: 'phone', label: 'Phone', width: '130px' },
+  { id: 'altPhone', label: 'Alt phone', width: '130px' },
+];
+
+const UploadSection = ({
+  classes,
+  preview,
+  onCommit,
+  onDiscard,
+  onEditRow,
+  onRemoveInvalid,
+  failures,
+  uploadClass,
+  onSelectClass,
+  onFile,
+  importSource,
+  onApplyImport,
+  onCancelImport,
+}) => {
+  // skipped duplicates are not saved, so they are not validated either
+  const problems = useMemo(() => validateRows(preview.filter((row) => row.__action !== 'skip'), { classes }), [preview, classes]);
+  const errorRows = preview.filter((row) => hasErrors(problems[row.id])).length;
+  const warningRows = preview.filter((row) => !hasErrors(problems[row.id]) && Object.keys(problems[row.id] || {}).length > 0).length;
+  const matchedRows = preview.filter((row) => row.__match).length;
+  // guardian columns are optional in the sheet; the phone column is taken as the guardian's
+  const hasGuardians = preview.some((row) => String(row.guardianName ?? '').trim());
+  const failureByRow = Object.fromEntries(failures.map((f) => [f.id, f.error]));
+
+  return (
+    <div style={styles.section}>
+      <h2 style={styles.sectionTitle}>Excel upload</h2>
+      <p>
+        Preview parsed rows before saving to Supabase. Destination class: <strong>{resolveClassLabel(uploadClass)}</strong>
+      </p>
 
-      <button onClick={onAdd} style={styles.addButton}>
-        + Add student
-      </button>
+      <div style={styles.formGroup}>
+        <label>
+          Upload to class:
+          <select value={uploadClass} onChange={(e) => onSelectClass(e.target.value)} style={styles.input}>
+            {classes.map((k) => (
+              <option key={k.id} value={k.id}>
+                {k.label}
+              </option>
+            ))}
+          </select>
+        </label>
 
-      {selectedClass && (
-        <>
-          <input placeholder="Filter by name, roll, or phone..." value={query} onChange={(e) => setQuery(e.target.value)} style={styles.searchInput} />
+        <label>
+          Upload Excel
+          <input type="file" accept=".xlsx,.xls" onChange={onFile} style={styles.input} />
+        </label>
+      </div>
 
-          {classStudents.length > 0 && (
-            <div style={styles.downloadButtonGroup}>
-              <button onClick={() => downloadClassList('excel')} style={styles.buttonSecondary}>
-                Download as Excel
-              </button>
-              <button onClick={() => downloadClassList('pdf')} style={styles.buttonSecondary}>
-                Download as PDF
-              </button>
-            </div>
-          )}
+      {importSource && <ImportWizard source={importSource} uploadClass={uploadClass} onApply={onApplyImport} onCancel={onCancelImport} />}
 
-          <table style={styles.table}>
-            <thead>
-              <tr style={styles.tableHeader}>
-                <th style={styles.th}>Roll</th>
-                <th style={styles.th}>Name</th>
-                <th style={styles.th}>Age</th>
-                <th style={styles.th}>Phones</th>
-                <th style={styles.th}>Attendance</th>
-                <th style={styles.th}>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {visible.map((s, idx) => {
-                const status = attendance[s.id]?.[selectedDate];
-                return (
-                  <tr
-                    key={s.id}
-                    style={{
-                      ...styles.tableRow,
-                      ...(dragged === idx ? { opacity: 0.5 } : {}),
-                    }}
-                    draggable
-                    onDragStart={() => handleDragStart(idx)}
-                    onDragOver={handleDragOver}
-                    onDrop={() => handleDrop(idx)}
-                  >
-                    <td style={styles.td}>{s.rollNumber}</td>
-                    <td style={{ ...styles.td, cursor: 'grab', fontWeight: 'bold' }}>{s.name}</td>
-                    <td style={styles.td}>{s.age}</td>
-                    <td style={styles.td}>
-                      <div>{s.phone}</div>
-                      {s.altPhone && <div>{s.altPhone}</div>}
-                    </td>
-                    <td style={styles.td}>
-                      <div style={styles.buttonGroup}>
-                        {markingStatusOptions.map((option) => (
-                          <button key={option.code} onClick={() => onMark(s.id, option.code)} style={{ ...styles.button, ...(status === option.code ? styles.buttonActive : {}) }}>
-                            {option.code}
-                          </button>
+      {failures.length > 0 && (
+        <div style={styles.failureBox}>
+          <strong>{failures.length} rows were rejected by the server.</strong> They are still listed below — fix them and save again, or download
+          them with the error for each row.
+          <div style={{ marginTop: '10px' }}>
+            <button onClick={() => exportFailedRowsExcel(failures)} style={styles.buttonSecondary}>
+              Download failed rows (Excel)
+            </button>
+          </div>
+        </div>
+      )}
+
+      {preview.length > 0 && (
+        <>
+          <p>
+            {preview.length} rows · {errorRows > 0 ? <strong style={styles.errorText}>{errorRows} with errors</strong> : 'no errors'}
+            {warningRows > 0 && ` · ${warningRows} with warnings`}
+            {matchedRows > 0 && ` · ${matchedRows} look like students already on the roster`}. Click a cell to fix it.
+          </p>
+          <div style={styles.tableContainer}>
+            <table style={styles.table}>
+              <thead>
+                <tr style={styles.tableHeader}>
+                  <th style={styles.th}>Row</th>
+                  <th style={styles.th}>Class</th>
+                  {PREVIEW_FIELDS.map((f) => (
+                    <th key={f.id} style={styles.th}>
+                      {f.label}
+                    </th>
+                  ))}
+                  {hasGuardians && <th style={styles.th}>Guardian</th>}
+                  {matchedRows > 0 && <th style={styles.th}>Existing student</th>}
+                  {failures.length > 0 && <th style={styles.th}>Server error</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((p) => (
+                  <tr key={p.id} style={{ ...styles.tableRow, ...(p.__action === 'skip' ? { opacity: 0.5 } : {}) }}>
+                    <td style={styles.td}>{p.__rowIndex}</td>
+                    <td style={{ ...styles.td, ...(problems[p.id]?.classId ? styles.cell_error : {}) }} title={problems[p.id]?.classId?.message}>
+                      <select value={p.classId ?? ''} onChange={(e) => onEditRow(p.id, 'classId', e.target.value)} style={styles.cellInput}>
+                        {!classes.some((k) => k.id === p.classId) && <option value={p.classId ?? ''}>{p.classId ? resolveClassLabel(p.classId) : '—'}</option>}
+                        {classes.map((k) => (
+                          <option key={k.id} value={k.id}>
+                            {k.label}
+                          </option>
                         ))}
-                        <button onClick={() => onClear(s.id)} style={styles.buttonDanger}>
-                          Undo
-                        </button>
-                      </div>
-                    </td>
-                    <td style={styles.td}>
-                      <div style={styles.buttonGroup}>
-                        <button onClick={() => onEdit(s)} style={styles.buttonSecondary}>
-                          Edit
-                        </button>
-                        <button onClick={() => onDelete(s.id)} style={styles.buttonDanger}>
-                          Remove
-                        </button>
-                      </div>
+                      </select>
                     </td>
+                    {PREVIEW_FIELDS.map((f) => {
+                      const problem = problems[p.id]?.[f.id];
+                      return (
+                        <td key={f.id} style={{ ...styles.td, ...(problem ? styles[`cell_${problem.level}`] : {}) }} title={problem?.message}>
+                          <input
+                            value={p[f.id] ?? ''}
+                            onChange={(e) => onEditRow(p.id, f.id, e.target.value)}
+                            style={{ ...styles.cellInput, width: f.width }}
+                          />
+                          {problem && <div style={styles.cellMessage}>{problem.message}</div>}
+                        </td>
+                      );
+                    })}
+                    {hasGuardians && (
+                      <td style={styles.td}>
+                        <input value={p.guardianName ?? ''} onChange={(e) => onEditRow(p.id, 'guardianName', e.target.value)} style={styles.cellInput} />
+                        {p.guardianName && (
+                          <div style={styles.meta}>
+                            {relationshipLabel(matchRelationship(p.guardianRelationship))}
+                            {p.guardianTelegram && ` · ${p.guardianTelegram}`}
+                          </div>
+                        )}
+                      </td>
+                    )}
+                    {matchedRows > 0 && (
+                      <td style={styles.td}>
+                        {p.__match && (
+                          <>
+                            <div>
+                              {p.__match.student.name} · {resolveClassLabel(p.__match.student.classId)}
+                            </div>
+                            <div style={styles.meta}>{describeMatch(p.__match)}</div>
+                            <select value={p.__action} onChange={(e) => onEditRow(p.id, '__action', e.target.value)} style={styles.cellInput}>
+                              <option value="new">Add as new</option>
+                              <option value="update">Update existing</option>
+                              <option value="skip">Skip</option>
+                            </select>
+                          </>
+                        )}
+                      </td>
+                    )}
+                    {failures.length > 0 && <td style={{ ...styles.td, ...styles.cell_error }}>{failureByRow[p.id]}</td>}
                   </tr>
-                );
-              })}
-            </tbody>
-          </table>
+                ))}
+              </tbody>
+            </table>
+          </div>
 
-          {classStudents.length > 0 && (
-            <div style={styles.deleteAllContainer}>
-              <button onClick={deleteAllStudents} style={styles.buttonDeleteAll}>
-                Delete all students in this class
+          <div style={styles.buttonGroup}>
+            <button onClick={onDiscard} style={styles.buttonSecondary}>
+              Discard
+            </button>
+            {errorRows > 0 && (
+              <button onClick={onRemoveInvalid} style={styles.buttonDanger}>
+                Remove {errorRows} rows with errors
               </button>
-            </div>
-          )}
+            )}
+            <button onClick={onCommit} disabled={errorRows > 0} style={{ ...styles.buttonPrimary, ...(errorRows > 0 ? styles.buttonDisabled : {}) }}>
+              Save to roster
+            </button>
+          </div>
         </>
       )}
     </div>
   );
 };
 
-const UploadSection = ({ preview, onCommit, onDiscard, uploadClass, onSelectClass, onFile }) => (
-  <div style={styles.section}>
-    <h2 style={styles.sectionTitle}>Excel upload</h2>
-    <p>
-      Preview parsed rows before saving to Supabase. Destination class: <strong>{resolveClassLabel(uploadClass)}</strong>
-    </p>
-
-    <div style={styles.formGroup}>
-      <label>
-        Upload to class:
-        <select value={uploadClass} onChange={(e) => onSelectClass(e.target.value)} style={styles.input}>
-          {CLASS_CORRIDOR.map((k) => (
-            <option key={k.id} value={k.id}>
-              {k.label}
-            </option>
-          ))}
-        </select>
-      </label>
+const ImportWizard = ({ source, uploadClass, onApply, onCancel }) => {
+  const { fileName, workbook } = source;
+  const [sheetName, setSheetName] = useState(workbook.SheetNames[0]);
+  const [headerRowIndex, setHeaderRowIndex] = useState(-1);
+  const [mapping, setMapping] = useState(emptyMapping);
+  const [templates, setTemplates] = useState(loadTemplates);
+  const [templateName, setTemplateName] = useState('');
+  // a template that switched sheets; the sheet effect applies it instead of guessing
+  const pendingTemplate = useRef(null);
+
+  const rows = useMemo(() => readSheetRows(workbook, sheetName), [workbook, sheetName]);
+  const columnCount = rows[0]?.length || 0;
+  const headerRow = headerRowIndex >= 0 ? rows[headerRowIndex] : null;
+
+  // fresh guesses whenever another sheet is picked
+  useEffect(() => {
+    const template = pendingTemplate.current;
+    if (template) {
+      pendingTemplate.current = null;
+      setHeaderRowIndex(template.headerRowIndex);
+      setMapping(mappingFromTemplate(template, rows[template.headerRowIndex]));
+      return;
+    }
+    const detected = detectHeaderRow(rows);
+    setHeaderRowIndex(detected);
+    setMapping(detected >= 0 ? suggestMapping(rows[detected]) : positionalMapping());
+  }, [rows]);
+
+  const handleHeaderRowChange = (index) => {
+    setHeaderRowIndex(index);
+    if (index >= 0) setMapping(suggestMapping(rows[index]));
+  };
 
-      <label>
-        Upload Excel
-        <input type="file" accept=".xlsx,.xls" onChange={onFile} style={styles.input} />
-      </label>
-    </div>
+  const handleApplyTemplate = (name) => {
+    const template = templates.find((t) => t.name === name);
+    if (!template) return;
+    setTemplateName(template.name);
+    if (template.sheetName && workbook.SheetNames.includes(template.sheetName) && template.sheetName !== sheetName) {
+      pendingTemplate.current = template;
+      setSheetName(template.sheetName);
+      return;
+    }
+    setHeaderRowIndex(template.headerRowIndex);
+    setMapping(mappingFromTemplate(template, rows[template.headerRowIndex]));
+  };
 
-    {preview.length > 0 && (
-      <>
-        <table style={styles.table}>
-          <thead>
-            <tr style={styles.tableHeader}>
-              <th style={styles.th}>Row</th>
-              <th style={styles.th}>Roll</th>
-              <th style={styles.th}>Name</th>
-              <th style={styles.th}>Class</th>
-              <th style={styles.th}>Age</th>
-              <th style={styles.th}>Phone</th>
-              <th style={styles.th}>Alt phone</th>
-            </tr>
-          </thead>
-          <tbody>
-            {preview.map((p) => (
-              <tr key={p.id} style={styles.tableRow}>
-                <td style={styles.td}>{p.__rowIndex}</td>
-                <td style={styles.td}>{p.rollNumber}</td>
-                <td style={styles.td}>{p.name}</td>
-                <td style={styles.td}>{resolveClassLabel(p.classId)}</td>
-                <td style={styles.td}>{p.age}</td>
-                <td style={styles.td}>{p.phone}</td>
-                <td style={styles.td}>{p.altPhone}</td>
-              </tr>
+  const handleSaveTemplate = () => {
+    const name = templateName.trim();
+    if (!name) return;
+    setTemplates(saveTemplate(name, { sheetName, headerRowIndex, mapping, headerRow }));
+  };
+
+  const columnLabel = (col) => {
+    const header = headerRow?.[col];
+    return `Column ${XLSX.utils.encode_col(col)}${header ? ` · ${header}` : ''}`;
+  };
+
+  const parsed = useMemo(
+    () => applyMapping(rows, headerRowIndex, mapping, { resolveClass: (value) => uploadClass || matchClassName(value), makeId: safeId }),
+    [rows, headerRowIndex, mapping, uploadClass],
+  );
+  const sample = parsed.filter((r) => !r.__blank).slice(0, 5);
+  const missingRequired = IMPORT_FIELDS.filter((f) => f.required && mapping[f.id] < 0);
+
+  return (
+    <div style={styles.wizard}>
+      <h3 style={styles.subTitle}>Import {fileName}</h3>
+
+      <div style={styles.wizardGrid}>
+        <label style={styles.label}>
+          Sheet
+          <select value={sheetName} onChange={(e) => setSheetName(e.target.value)} style={styles.input}>
+            {workbook.SheetNames.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
             ))}
-          </tbody>
-        </table>
+          </select>
+        </label>
 
-        <div style={styles.buttonGroup}>
-          <button onClick={onDiscard} style={styles.buttonSecondary}>
-            Discard
-          </button>
-          <button onClick={onCommit} style={styles.buttonPrimary}>
-            Save to roster
+        <label style={styles.label}>
+          Header row
+          <select value={headerRowIndex} onChange={(e) => handleHeaderRowChange(Number(e.target.value))} style={styles.input}>
+            <option value={-1}>No header row (data starts at row 1)</option>
+            {rows.slice(0, 10).map((row, i) => (
+              <option key={i} value={i}>
+                Row {i + 1}: {row.filter((c) => String(c).trim()).slice(0, 4).join(' | ') || '(blank)'}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label style={styles.label}>
+          Saved template
+          <select value="" onChange={(e) => handleApplyTemplate(e.target.value)} style={styles.input}>
+            <option value="">{templates.length ? '— apply a saved mapping —' : 'No saved templates yet'}</option>
+            {templates.map((t) => (
+              <option key={t.name} value={t.name}>
+                {t.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <table style={styles.table}>
+        <thead>
+          <tr style={styles.tableHeader}>
+            <th style={styles.th}>Field</th>
+            <th style={styles.th}>Excel column</th>
+            <th style={styles.th}>First value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {IMPORT_FIELDS.map((field) => (
+            <tr key={field.id} style={styles.tableRow}>
+              <td style={styles.td}>
+                {field.label}
+                {field.required && ' *'}
+                {field.id === 'classId' && uploadClass && <div style={styles.meta}>Ignored — rows go to {resolveClassLabel(uploadClass)}</div>}
+              </td>
+              <td style={styles.td}>
+                <select value={mapping[field.id]} onChange={(e) => setMapping((prev) => ({ ...prev, [field.id]: Number(e.target.value) }))} style={styles.input}>
+                  <option value={-1}>— not in this sheet —</option>
+                  {Array.from({ length: columnCount }, (_, col) => (
+                    <option key={col} value={col}>
+                      {columnLabel(col)}
+                    </option>
+                  ))}
+                </select>
+              </td>
+              <td style={styles.td}>{sample[0] && mapping[field.id] >= 0 ? String(sample[0][field.id] ?? '') : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ ...styles.buttonGroup, marginTop: '15px', alignItems: 'center' }}>
+        <input type="text" placeholder="Template name, e.g. ህፃናት ሀ 2019" value={templateName} onChange={(e) => setTemplateName(e.target.value)} style={{ ...styles.input, marginTop: 0 }} />
+        <button onClick={handleSaveTemplate} disabled={!templateName.trim()} style={styles.buttonSecondary}>
+          Save mapping
+        </button>
+        {templates.some((t) => t.name === templateName.trim()) && (
+          <button onClick={() => setTemplates(deleteTemplate(templateName.trim()))} style={styles.buttonDanger}>
+            Delete
           </button>
-        </div>
-      </>
-    )}
-  </div>
-);
+        )}
+      </div>
+
+      {missingRequired.length > 0 && <p style={styles.errorText}>Choose a column for: {missingRequired.map((f) => f.label).join(', ')}.</p>}
+
+      <div style={{ ...styles.buttonGroup, marginTop: '15px' }}>
+        <button onClick={onCancel} style={styles.buttonSecondary}>
+          Cancel
+        </button>
+        <button onClick={() => onApply(parsed)} disabled={missingRequired.length > 0} style={styles.buttonPrimary}>
+          Continue to preview ({parsed.filter((r) => !r.__blank).length} rows)
+        </button>
+      </div>
+    </div>
+  );
+};
 
-const HistorySection = ({ historyClass, onSelectClass, historyRows }) => {
+const HistorySection = ({ classes, historyClass, onSelectClass, historyRows, sessionMap = {}, calendar, onPdf }) => {
   const [query, setQuery] = useState('');
   const [showExport, setShowExport] = useState(false);
 
@@ -872,7 +3677,7 @@ const HistorySection = ({ historyClass, onSelectClass, historyRows }) => {
       <label style={styles.label}>
         Class:
         <select value={historyClass} onChange={(e) => onSelectClass(e.target.value)} style={styles.input}>
-          {CLASS_CORRIDOR.map((k) => (
+          {classes.map((k) => (
             <option key={k.id} value={k.id}>
               {k.label}
             </option>
@@ -894,10 +3699,10 @@ const HistorySection = ({ historyClass, onSelectClass, historyRows }) => {
 
           {showExport && (
             <div style={styles.buttonGroup}>
-              <button onClick={() => window.print()} style={styles.buttonSecondary}>
+              <button onClick={() => onPdf(() => historyPdf({ classId: historyClass, rows: filteredRows, dates: allDates, calendar }))} style={styles.buttonSecondary}>
                 PDF
               </button>
-              <button onClick={() => exportHistoryExcel(filteredRows, historyClass, allDates)} style={styles.buttonSecondary}>
+              <button onClick={() => exportHistoryExcel(filteredRows, historyClass, allDates, calendar)} style={styles.buttonSecondary}>
                 Excel
               </button>
             </div>
@@ -910,8 +3715,9 @@ const HistorySection = ({ historyClass, onSelectClass, historyRows }) => {
                   <th style={styles.th}>Student</th>
                   <th style={styles.th}>Phones</th>
                   {allDates.map((d) => (
-                    <th key={d} style={styles.th}>
-                      {humanDate(d)}
+                    <th key={d} style={styles.th} title={sessionMap[d]?.cancelled ? sessionMap[d].cancelReason || 'No class' : undefined}>
+                      {humanDate(d, calendar)}
+                      {sessionMap[d]?.cancelled && <div style={styles.meta}>no class</div>}
                     </th>
                   ))}
                 </tr>
@@ -932,7 +3738,7 @@ const HistorySection = ({ historyClass, onSelectClass, historyRows }) => {
                       </td>
                       {allDates.map((d) => (
                         <td key={d} style={styles.td}>
-                          {recordMap[d] || '—'}
+                          <StatusBadge code={recordMap[d]} />
                         </td>
                       ))}
                     </tr>
@@ -947,23 +3753,52 @@ const HistorySection = ({ historyClass, onSelectClass, historyRows }) => {
   );
 };
 
-const ReportsSection = ({ students, attendance, reportClass, onSelectClass, reportDateFrom, reportDateTo, onDateFromChange, onDateToChange }) => {
+const ReportsSection = ({
+  classes,
+  students,
+  classResolver,
+  attendance,
+  sessions,
+  reportClass,
+  onSelectClass,
+  calendar,
+  reportDateFrom,
+  reportDateTo,
+  onDateFromChange,
+  onDateToChange,
+  onNotify,
+  onPdf,
+  academicYears = [],
+}) => {
   const [focusedTab, setFocusedTab] = useState('summary');
   const [showExport, setShowExport] = useState(false);
+  const [registerMonth, setRegisterMonth] = useState('');
 
-  const report = useMemo(() => buildClassReport(students, attendance, reportClass, reportDateFrom, reportDateTo), [students, attendance, reportClass, reportDateFrom, reportDateTo]);
+  const report = useMemo(
+    () => buildClassReport(students, attendance, reportClass, reportDateFrom, reportDateTo, sessions, classResolver),
+    [students, attendance, reportClass, reportDateFrom, reportDateTo, sessions, classResolver],
+  );
+  const classStudents = useMemo(() => students.filter((s) => classResolver.everIn(s, reportClass)), [students, classResolver, reportClass]);
+  const months = useMemo(
+    () => registerMonths({ classId: reportClass, students: classStudents, attendance, sessions, resolver: classResolver, calendar }),
+    [reportClass, classStudents, attendance, sessions, classResolver, calendar],
+  );
+  const register = { classId: reportClass, students: classStudents, attendance, sessions, resolver: classResolver, calendar, monthKey: registerMonth || months[0] };
+  // archived students stay in the numbers, but their guardians are not messaged any more
+  const notifiable = report.absentDetails.filter(({ student }) => !isArchived(student));
 
   return (
     <div style={styles.section}>
       <h2 style={styles.sectionTitle}>Class reports</h2>
       <p>
-        Overview of presence, absence, and permission for <strong>{resolveClassLabel(reportClass)}</strong>.
+        Overview of presence, absence, and permission for <strong>{resolveClassLabel(reportClass)}</strong> ·{' '}
+        {formatDateRange(reportDateFrom, reportDateTo, calendar)}.
       </p>
 
       <label style={styles.label}>
         Class:
         <select value={reportClass} onChange={(e) => onSelectClass(e.target.value)} style={styles.input}>
-          {CLASS_CORRIDOR.map((k) => (
+          {classes.map((k) => (
             <option key={k.id} value={k.id}>
               {k.label}
             </option>
@@ -974,15 +3809,15 @@ const ReportsSection = ({ students, attendance, reportClass, onSelectClass, repo
       <div style={styles.dateRangeContainer}>
         <label style={styles.label}>
           From:
-          <input type="date" value={reportDateFrom} onChange={(e) => onDateFromChange(e.target.value)} style={styles.input} />
+          <DateInput value={reportDateFrom} onChange={onDateFromChange} calendar={calendar} allowEmpty style={styles.input} />
         </label>
         <label style={styles.label}>
           To:
-          <input type="date" value={reportDateTo} onChange={(e) => onDateToChange(e.target.value)} style={styles.input} />
+          <DateInput value={reportDateTo} onChange={onDateToChange} calendar={calendar} allowEmpty style={styles.input} />
         </label>
       </div>
 
-      {report.totalStudentDays === 0 ? (
+      {report.markedStudentDays === 0 ? (
         <p>No attendance records yet for this class {reportDateFrom || reportDateTo ? 'in the selected date range' : ''}.</p>
       ) : (
         <>
@@ -992,45 +3827,84 @@ const ReportsSection = ({ students, attendance, reportClass, onSelectClass, repo
 
           {showExport && (
             <div style={styles.buttonGroup}>
-              <button onClick={() => window.print()} style={styles.buttonSecondary}>
+              <button
+                onClick={() => onPdf(() => classReportPdf({ classId: reportClass, report, calendar, dateFrom: reportDateFrom, dateTo: reportDateTo }))}
+                style={styles.buttonSecondary}
+              >
                 PDF
               </button>
-              <button onClick={() => exportAbsentExcel(report, reportClass)} style={styles.buttonSecondary}>
+              <button onClick={() => exportAbsentExcel(report, reportClass, calendar, reportDateFrom, reportDateTo)} style={styles.buttonSecondary}>
                 Excel
               </button>
+              {months.length > 0 && (
+                <>
+                  <select value={register.monthKey} onChange={(e) => setRegisterMonth(e.target.value)} style={styles.cellInput}>
+                    {months.map((key) => (
+                      <option key={key} value={key}>
+                        {monthLabel(key, calendar)}
+                      </option>
+                    ))}
+                  </select>
+                  <button onClick={() => onPdf(() => monthlyRegisterPdf(register))} style={styles.buttonSecondary}>
+                    Monthly register (PDF)
+                  </button>
+                </>
+              )}
             </div>
           )}
 
+          <button onClick={() => setFocusedTab((t) => (t === 'messages' ? 'summary' : 'messages'))} style={styles.buttonSecondary}>
+            Message log
+          </button>
+          <button onClick={() => setFocusedTab((t) => (t === 'charts' ? 'summary' : 'charts'))} style={styles.buttonSecondary}>
+            Charts
+          </button>
+
           <div style={styles.statsBox}>
             <p>
-              <strong>{report.uniqueDays}</strong> days of attendance taken for <strong>{report.rosterSize}</strong> students ({report.totalStudentDays} records)
+              <strong>{report.uniqueDays}</strong> class days for <strong>{report.rosterSize}</strong> students ({report.markedStudentDays} records)
+              {report.cancelledDays > 0 && <> · {report.cancelledDays} cancelled days left out</>}
+            </p>
+            <p>
+              Attendance rate: <strong>{report.attendanceRate}%</strong>
+              {report.counts.unmarked > 0 && <> · {report.counts.unmarked} student-days not marked yet in open sessions (not counted as absent)</>}
             </p>
           </div>
 
           <div style={styles.statsGrid}>
+            {ATTENDANCE_STATUSES.filter((st) => st.enabled || report.counts[st.code] > 0).map((st) => {
+              const absent = isAbsentStatus(st.code);
+              const Tag = absent ? 'button' : 'div';
+              return (
+                <Tag
+                  key={st.code}
+                  onClick={absent ? () => setFocusedTab('absent') : undefined}
+                  style={{ ...styles.stat, borderTop: `4px solid ${st.color}`, ...(absent ? { cursor: 'pointer' } : {}) }}
+                >
+                  <div style={styles.statLabel}>{st.label}</div>
+                  <div style={styles.statValue}>
+                    {report.counts[st.code]} ({report.percentages[st.code]}%)
+                  </div>
+                </Tag>
+              );
+            })}
             <div style={styles.stat}>
-              <div style={styles.statLabel}>Present</div>
-              <div style={styles.statValue}>
-                {report.counts.P} ({report.percentages.P}%)
-              </div>
-            </div>
-            <div style={styles.stat}>
-              <div style={styles.statLabel}>Permission</div>
-              <div style={styles.statValue}>
-                {report.counts.PR} ({report.percentages.PR}%)
-              </div>
+              <div style={styles.statLabel}>Not marked</div>
+              <div style={styles.statValue}>{report.counts.unmarked}</div>
             </div>
-            <button onClick={() => setFocusedTab('absent')} style={{ ...styles.stat, cursor: 'pointer' }}>
-              <div style={styles.statLabel}>Absent</div>
-              <div style={styles.statValue}>
-                {report.counts.A} ({report.percentages.A}%)
-              </div>
-            </button>
           </div>
 
           {focusedTab === 'absent' && (
             <div style={styles.absentSection}>
               <h3 style={styles.subTitle}>Absent students</h3>
+              {onNotify && notifiable.length > 0 && (
+                <button
+                  onClick={() => onNotify({ items: notifiable, templateId: notifiable.some((it) => it.dates.length > 1) ? 'summary' : 'absent' })}
+                  style={styles.buttonPrimary}
+                >
+                  Notify guardians...
+                </button>
+              )}
               {report.absentDetails.length === 0 ? (
                 <p>No absences recorded yet.</p>
               ) : (
@@ -1052,7 +3926,7 @@ const ReportsSection = ({ students, attendance, reportClass, onSelectClass, repo
                           <div>{item.student.phone}</div>
                           {item.student.altPhone && <div>{item.student.altPhone}</div>}
                         </td>
-                        <td style={styles.td}>{item.dates.map((d) => humanDate(d)).join(', ')}</td>
+                        <td style={styles.td}>{item.dates.map((d) => humanDate(d, calendar)).join(', ')}</td>
                       </tr>
                     ))}
                   </tbody>
@@ -1060,6 +3934,28 @@ const ReportsSection = ({ students, attendance, reportClass, onSelectClass, repo
               )}
             </div>
           )}
+
+          {focusedTab === 'messages' && (
+            <div style={styles.absentSection}>
+              <h3 style={styles.subTitle}>Message log</h3>
+              <MessageLog students={classStudents} calendar={calendar} />
+            </div>
+          )}
+
+          {focusedTab === 'charts' && (
+            <ReportCharts
+              classes={classes}
+              students={students}
+              attendance={attendance}
+              sessions={sessions}
+              classResolver={classResolver}
+              reportClass={reportClass}
+              dateFrom={reportDateFrom}
+              dateTo={reportDateTo}
+              academicYears={academicYears}
+              calendar={calendar}
+            />
+          )}
         </>
       )}
     </div>
@@ -1068,51 +3964,18 @@ const ReportsSection = ({ students, attendance, reportClass, onSelectClass, repo
 
 // ---------------- helpers ----------------
 
-const matchClass = (value) => {
-  if (!value) return CLASS_CORRIDOR[0].id;
-  const normalized = String(value).toLowerCase();
-  const matched = CLASS_CORRIDOR.find((k) => normalized.includes(k.label.toLowerCase()));
-  if (matched) return matched.id;
-  const digit = normalized.match(/\d+/);
-  if (digit) {
-    const index = Number(digit[0]);
-    const fallback = CLASS_CORRIDOR[index] || CLASS_CORRIDOR[0];
-    return fallback.id;
-  }
-  return CLASS_CORRIDOR[0].id;
-};
-
-const resolveClassLabel = (classId) => CLASS_CORRIDOR.find((k) => k.id === classId)?.label ?? 'Unknown';
+const statusButtonStyle = (status, active) => ({
+  ...styles.button,
+  ...(active ? { ...styles.buttonActive, backgroundColor: status.color, borderColor: status.color } : { color: status.color }),
+});
 
-const humanDate = (isoDate) => {
-  try {
-    return new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric' }).format(new Date(isoDate));
-  } catch {
-    return isoDate;
-  }
-};
+const resolveRoleLabel = (role) => ROLES.find((r) => r.id === role)?.label ?? '';
 
-const safeId = (suffix = '') => (typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `STU-${Date.now()}-${Math.random().toString(16).slice(2)}${suffix}`);
+const resolveClassLabel = (classId) => classLabel(classId);
 
-const mapStudentFromDb = (row) => ({
-  id: row.id,
-  rollNumber: row.roll_number ?? '',
-  name: row.full_name ?? '',
-  classId: row.class_id,
-  age: row.age ?? '',
-  phone: row.phone ?? '',
-  altPhone: row.alt_phone ?? '',
-});
+const humanDate = (isoDate, calendar) => formatDate(isoDate, calendar);
 
-// map Editable model -> DB payload (for upsert/insert)
-const mapStudentToDb = (student) => ({
-  full_name: student.name || null,
-  class_id: student.classId || null,
-  roll_number: student.rollNumber === '' ? null : Number(student.rollNumber) || null,
-  age: student.age === '' ? null : Number(student.age) || null,
-  phone: student.phone || null,
-  alt_phone: student.altPhone || null,
-});
+const safeId = (suffix = '') => (typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : `STU-${Date.now()}-${Math.random().toString(16).slice(2)}${suffix}`);
 
 // For upload preview -> DB row mapping (enforces types and nulls)
 const mapToDbRow = (previewRow) => ({
@@ -1124,11 +3987,15 @@ const mapToDbRow = (previewRow) => ({
   alt_phone: previewRow.altPhone === '' ? null : String(previewRow.altPhone),
 });
 
+const buildMarkInfo = (rows) =>
+  Object.fromEntries((rows || []).filter((row) => row.marked_by).map((row) => [`${row.student_id}|${row.date}`, { by: row.marked_by, at: row.updated_at }]));
+
 const buildAttendanceMap = (rows) =>
   (rows || []).reduce((acc, row) => {
-    if (!row.student_id || !row.date) return acc;
+    const status = normalizeStatusCode(row.status);
+    if (!row.student_id || !row.date || !status) return acc;
     if (!acc[row.student_id]) acc[row.student_id] = {};
-    acc[row.student_id][row.date] = row.status;
+    acc[row.student_id][row.date] = status;
     return acc;
   }, {});
 
@@ -1138,6 +4005,14 @@ const updateAttendanceLocal = (state, studentId, date, status) => {
   return { ...state, [studentId]: hist };
 };
 
+// Replays queued (not yet synced) marks on top of a freshly fetched map.
+const applyPendingOps = (state, ops) =>
+  (ops || []).reduce((acc, op) => {
+    if (op.type === 'clear') return removeAttendanceLocal(acc, op.studentId, op.date);
+    if (op.type === 'mark') return updateAttendanceLocal(acc, op.studentId, op.date, op.status);
+    return acc;
+  }, state);
+
 const removeAttendanceLocal = (state, studentId, date) => {
   if (!state[studentId]) return state;
   const hist = { ...state[studentId] };
@@ -1148,107 +4023,232 @@ const removeAttendanceLocal = (state, studentId, date) => {
   return next;
 };
 
-const buildHistoryRows = (students, attendance, historyClass) => {
-  const roster = (students || []).filter((s) => s.classId === historyClass);
-  return roster.map((student) => {
-    const records = Object.entries(attendance[student.id] || {}).sort((a, b) => (a[0] < b[0] ? 1 : -1));
-    return { student, records };
-  });
+// Records are listed under the class the student was in on each date (see classPromotion.js).
+const buildHistoryRows = (students, attendance, historyClass, resolver = CURRENT_CLASS_ONLY, inScope = () => true) => {
+  const roster = (students || []).filter((s) => resolver.everIn(s, historyClass));
+  return roster
+    .map((student) => {
+      const records = Object.entries(attendance[student.id] || {})
+        .filter(([date]) => inScope(date) && resolver.classOn(student, date) === historyClass)
+        .sort((a, b) => (a[0] < b[0] ? 1 : -1));
+      return { student, records };
+    })
+    .filter(({ student, records }) => (!isArchived(student) && student.classId === historyClass) || records.length > 0);
 };
 
-const buildClassReport = (students, attendance, classId, dateFrom = '', dateTo = '') => {
-  const roster = (students || []).filter((s) => s.classId === classId);
-  const counts = { P: 0, A: 0, PR: 0 };
+// Counts marked statuses per catalog code. Class days are the class's
+// non-cancelled sessions plus any other date with records (older data from
+// before sessions existed). Cancelled days are ignored entirely. A student
+// without a record is absent if the session was closed, otherwise "unmarked",
+// so unfinished marking does not look like absences. Percentages are of
+// marked student-days. Students promoted since count only on the dates they
+// were still in this class, and closed sessions from before a student joined
+// are not absences (as on the profile page).
+const buildClassReport = (students, attendance, classId, dateFrom = '', dateTo = '', sessions = [], resolver = CURRENT_CLASS_ONLY) => {
+  const roster = (students || []).filter((s) => resolver.everIn(s, classId));
+  const inClass = (student, date) => resolver.classOn(student, date) === classId;
+  const counts = Object.fromEntries(ATTENDANCE_STATUSES.map((st) => [st.code, 0]));
+  counts.unmarked = 0;
   const dateSet = new Set();
   const absentDetailsMap = {};
+  const sessionMap = sessionsByDate(sessions, classId);
+  const inRange = (date) => !(dateFrom && date < dateFrom) && !(dateTo && date > dateTo);
+  const isCancelled = (date) => Boolean(sessionMap[date]?.cancelled);
 
-  roster.forEach((student) => {
-    const records = attendance[student.id] || {};
-    const studentDates = Object.entries(records).filter(([date]) => {
-      if (dateFrom && date < dateFrom) return false;
-      if (dateTo && date > dateTo) return false;
-      return true;
-    });
+  const addAbsence = (student, date) => {
+    if (!absentDetailsMap[student.id]) absentDetailsMap[student.id] = { student, dates: [] };
+    absentDetailsMap[student.id].dates.push(date);
+  };
 
-    if (studentDates.length === 0) return;
+  Object.keys(sessionMap).forEach((date) => {
+    if (inRange(date) && !isCancelled(date)) dateSet.add(date);
+  });
 
-    studentDates.forEach(([date, status]) => {
+  roster.forEach((student) => {
+    const records = attendance[student.id] || {};
+    Object.entries(records).forEach(([date, status]) => {
+      if (!inRange(date) || isCancelled(date) || !inClass(student, date)) return;
       dateSet.add(date);
-      if (status === 'P' || status === 'PR') counts[status] += 1;
-      else {
-        counts.A += 1;
-        if (!absentDetailsMap[student.id]) absentDetailsMap[student.id] = { student, dates: [] };
-        absentDetailsMap[student.id].dates.push(date);
-      }
+      counts[status] = (counts[status] || 0) + 1;
+      if (isAbsentStatus(status)) addAbsence(student, date);
     });
   });
 
   const allDatesInRange = Array.from(dateSet);
   roster.forEach((student) => {
     const records = attendance[student.id] || {};
+    const joined = joinedOn(student);
     allDatesInRange.forEach((date) => {
-      if (!records[date]) {
+      if (records[date] || !inClass(student, date) || (joined && date < joined)) return;
+      if (sessionMap[date]?.status === 'closed') {
         counts.A += 1;
-        if (!absentDetailsMap[student.id]) absentDetailsMap[student.id] = { student, dates: [] };
-        if (!absentDetailsMap[student.id].dates.includes(date)) absentDetailsMap[student.id].dates.push(date);
+        addAbsence(student, date);
+      } else {
+        counts.unmarked += 1;
       }
     });
   });
 
-  const totalStudentDays = counts.P + counts.A + counts.PR;
-  const pct = (v) => (totalStudentDays === 0 ? 0 : Math.round((v / totalStudentDays) * 100));
+  const markedStudentDays = Object.entries(counts).reduce((sum, [code, n]) => (code === 'unmarked' ? sum : sum + n), 0);
+  const pct = (v) => (markedStudentDays === 0 ? 0 : Math.round((v / markedStudentDays) * 100));
+  const percentages = Object.fromEntries(Object.keys(counts).map((code) => [code, pct(counts[code])]));
+  const presentDays = ATTENDANCE_STATUSES.filter((st) => st.countsAsPresent).reduce((sum, st) => sum + counts[st.code], 0);
+
+  Object.values(absentDetailsMap).forEach((item) => item.dates.sort());
 
   return {
-    rosterSize: roster.length,
+    rosterSize: roster.filter((s) => (allDatesInRange.length ? allDatesInRange.some((d) => inClass(s, d)) : !isArchived(s) && s.classId === classId)).length,
     uniqueDays: dateSet.size,
-    totalStudentDays,
+    cancelledDays: Object.values(sessionMap).filter((s) => s.cancelled && inRange(s.date)).length,
+    markedStudentDays,
+    totalStudentDays: markedStudentDays + counts.unmarked,
     counts,
-    percentages: { P: pct(counts.P), A: pct(counts.A), PR: pct(counts.PR) },
+    percentages,
+    attendanceRate: pct(presentDays),
+    presentDays,
+    classDays: allDatesInRange.sort(),
     absentDetails: Object.values(absentDetailsMap),
   };
 };
 
+// ---------------- report charts ----------------
+// Every series is built from buildClassReport over a narrower window, so
+// cancelled days, closed sessions and class moves count exactly as in the
+// numbers above the charts. Windows never reach outside From / To.
+
+const clampRange = (from, to, dateFrom, dateTo) => [dateFrom && dateFrom > from ? dateFrom : from, dateTo && dateTo < to ? dateTo : to];
+
+// Monday of the ISO date's week.
+const weekStartOf = (iso) => addDaysIso(iso, -((new Date(`${iso}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+const buildWeeklyRates = (students, attendance, classId, dateFrom, dateTo, sessions, resolver) => {
+  const { classDays } = buildClassReport(students, attendance, classId, dateFrom, dateTo, sessions, resolver);
+  const weeks = [...new Set(classDays.map(weekStartOf))];
+  return weeks
+    .map((start) => {
+      const [from, to] = clampRange(start, addDaysIso(start, 6), dateFrom, dateTo);
+      const week = buildClassReport(students, attendance, classId, from, to, sessions, resolver);
+      return { label: start, value: week.attendanceRate, marked: week.markedStudentDays };
+    })
+    .filter((week) => week.marked > 0);
+};
+
+const buildClassComparison = (classes, students, attendance, dateFrom, dateTo, sessions, resolver) =>
+  classes
+    .map((klass) => ({ klass, report: buildClassReport(students, attendance, klass.id, dateFrom, dateTo, sessions, resolver) }))
+    .filter(({ report }) => report.markedStudentDays > 0)
+    .map(({ klass, report }) => ({ id: klass.id, label: klass.label, value: report.attendanceRate }));
+
+// Students per 10% band of their own attendance rate (the last band is 90–100%).
+const buildRateDistribution = (students, attendance, classId, dateFrom, dateTo, sessions, resolver) => {
+  const buckets = Array.from({ length: 10 }, (_, i) => ({ label: `${i * 10}%`, value: 0 }));
+  students
+    .filter((s) => resolver.everIn(s, classId))
+    .forEach((student) => {
+      const report = buildClassReport([student], attendance, classId, dateFrom, dateTo, sessions, resolver);
+      if (report.markedStudentDays) buckets[Math.min(Math.floor(report.attendanceRate / 10), 9)].value += 1;
+    });
+  return buckets;
+};
+
+// Rate by the n-th class day of each term, pooled over the terms in range:
+// shows whether attendance falls off as a term goes on.
+const buildDayOfTermRates = (students, attendance, classId, dateFrom, dateTo, sessions, resolver, academicYears) => {
+  const terms = academicYears.flatMap((year) => year.terms);
+  const { classDays } = buildClassReport(students, attendance, classId, dateFrom, dateTo, sessions, resolver);
+  const byIndex = [];
+  terms.forEach((term) => {
+    classDays
+      .filter((date) => date >= term.startDate && date <= term.endDate)
+      .forEach((date, i) => {
+        const day = buildClassReport(students, attendance, classId, date, date, sessions, resolver);
+        byIndex[i] = byIndex[i] || { present: 0, marked: 0 };
+        byIndex[i].present += day.presentDays;
+        byIndex[i].marked += day.markedStudentDays;
+      });
+  });
+  return byIndex
+    .map((slot, i) => ({ label: String(i + 1), value: slot.marked ? Math.round((slot.present / slot.marked) * 100) : null }))
+    .filter((slot) => slot.value != null);
+};
+
 // ---------------- export helpers ----------------
 
-const exportHistoryExcel = (historyRows, classId, dates) => {
+const exportHistoryExcel = (historyRows, classId, dates, calendar) => {
   if (!historyRows.length || !dates.length) return;
   const rows = historyRows.map(({ student, records }) => {
     const recordMap = Object.fromEntries(records);
     const base = { Roll: student.rollNumber, Name: student.name, Phone: student.phone, 'Alt Phone': student.altPhone };
-    dates.forEach((d) => (base[d] = recordMap[d] || ''));
+    dates.forEach((d) => (base[formatDate(d, calendar, { withYear: true })] = recordMap[d] || ''));
     return base;
   });
   const sheet = XLSX.utils.json_to_sheet(rows);
   const wb = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(wb, sheet, resolveClassLabel(classId) || 'History');
+  XLSX.utils.book_append_sheet(wb, buildStatusLegendSheet(), 'Legend');
   XLSX.writeFile(wb, `history-${classId || 'class'}.xlsx`);
 };
 
-const exportAbsentExcel = (report, classId) => {
+const exportAbsentExcel = (report, classId, calendar, dateFrom, dateTo) => {
   if (!report.absentDetails.length) return;
   const rows = report.absentDetails.map((it) => ({
     Roll: it.student.rollNumber,
     Name: it.student.name,
     Phone: it.student.phone,
     'Alt Phone': it.student.altPhone,
-    'Days Absent': it.dates.map((d) => humanDate(d)).join(', '),
+    'Days Absent': it.dates.map((d) => humanDate(d, calendar)).join(', '),
   }));
-  const sheet = XLSX.utils.json_to_sheet(rows);
+  const sheet = XLSX.utils.json_to_sheet(rows, { origin: 'A2' });
+  XLSX.utils.sheet_add_aoa(sheet, [[`${resolveClassLabel(classId)} · ${formatDateRange(dateFrom, dateTo, calendar)}`]], { origin: 'A1' });
   const wb = XLSX.utils.book_new();
   XLSX.utils.book_append_sheet(wb, sheet, resolveClassLabel(classId) || 'Absent');
   XLSX.writeFile(wb, `absent-${classId || 'class'}.xlsx`);
 };
 
+// Rows the server rejected, with the Supabase message, so they can be fixed in Excel.
+const exportFailedRowsExcel = (failures) => {
+  if (!failures.length) return;
+  const rows = failures.map((f) => ({
+    'Excel row': f.__rowIndex,
+    Roll: f.rollNumber,
+    Name: f.name,
+    Class: resolveClassLabel(f.classId),
+    Age: f.age,
+    Phone: f.phone,
+    'Alt Phone': f.altPhone,
+    Error: f.error,
+  }));
+  const sheet = XLSX.utils.json_to_sheet(rows);
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, sheet, 'Failed rows');
+  XLSX.writeFile(wb, 'upload-failed-rows.xlsx');
+};
+
+const buildStatusLegendSheet = () =>
+  XLSX.utils.json_to_sheet(
+    ATTENDANCE_STATUSES.map((st) => ({
+      Code: st.code,
+      Status: st.label,
+      'ሁኔታ': st.labelAm,
+      'Counts as present': st.countsAsPresent ? 'Yes' : 'No',
+    })),
+  );
+
 // ---------------- styles ----------------
 const styles = {
-  container: { maxWidth: '1200px', margin: '0 auto', padding: '20px', fontFamily: 'Arial, sans-serif' },
+  container: { maxWidth: '1200px', margin: '0 auto', padding: '20px', fontFamily: "Arial, 'Noto Sans Ethiopic', sans-serif" },
   header: { textAlign: 'center', marginBottom: '20px' },
   title: { fontSize: '20px', fontWeight: 'bold', margin: 0 },
+  userBar: { display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: '10px', marginTop: '10px' },
   toolbar: { display: 'flex', gap: '10px', marginBottom: '20px' },
+  archiveBanner: { backgroundColor: '#fff8e1', border: '1px solid #ffe082', borderRadius: '4px', padding: '10px 15px', marginBottom: '15px', fontSize: '14px' },
   searchInput: { flex: 1, padding: '10px', border: '1px solid #ddd', borderRadius: '4px' },
   dateInput: { padding: '10px', border: '1px solid #ddd', borderRadius: '4px' },
   searchResults: { backgroundColor: '#f9f9f9', border: '1px solid #ddd', borderRadius: '4px', padding: '15px', marginBottom: '20px' },
   searchHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' },
+  syncBadge: { backgroundColor: '#e8f5e9', color: '#2e7d32', padding: '4px 8px', borderRadius: '12px', fontSize: '12px', fontWeight: 'bold' },
+  syncBadgeOffline: { backgroundColor: '#fff3e0', color: '#e65100' },
+  followUpBadge: { marginLeft: '8px', backgroundColor: '#e53935', color: '#fff', padding: '2px 8px', borderRadius: '12px', fontSize: '12px' },
   badge: { backgroundColor: '#e3f2fd', color: '#1976d2', padding: '4px 8px', borderRadius: '12px', fontSize: '12px', fontWeight: 'bold' },
   resultItem: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '10px', borderBottom: '1px solid #eee', cursor: 'pointer' },
   meta: { fontSize: '12px', color: '#999', marginTop: '4px' },
@@ -1256,6 +4256,7 @@ const styles = {
   downloadButtonGroup: { display: 'flex', gap: '10px', marginBottom: '15px' },
   button: { padding: '6px 10px', border: '1px solid #ddd', borderRadius: '4px', cursor: 'pointer', backgroundColor: '#fff', fontSize: '12px' },
   buttonActive: { backgroundColor: '#4caf50', color: '#fff', borderColor: '#4caf50' },
+  statusBadge: { display: 'inline-block', minWidth: '24px', padding: '2px 6px', borderRadius: '10px', color: '#fff', fontWeight: 'bold', textAlign: 'center' },
   buttonDanger: { padding: '6px 10px', border: '1px solid #ff6b6b', borderRadius: '4px', cursor: 'pointer', backgroundColor: '#fff', color: '#ff6b6b', fontSize: '12px' },
   buttonPrimary: { padding: '10px 20px', border: 'none', borderRadius: '4px', backgroundColor: '#4caf50', color: '#fff', cursor: 'pointer', fontSize: '14px', fontWeight: 'bold' },
   buttonSecondary: { padding: '10px 20px', border: '1px solid #ddd', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '14px' },
@@ -1269,6 +4270,7 @@ const styles = {
   content: { backgroundColor: '#fff', border: '1px solid #ddd', borderRadius: '8px', padding: '20px' },
   section: { marginTop: '20px' },
   sectionTitle: { fontSize: '18px', fontWeight: 'bold', marginBottom: '10px' },
+  subTitle: { fontSize: '16px', fontWeight: 'bold', margin: '0 0 10px' },
   classGrid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: '10px', marginBottom: '20px' },
   classButton: { padding: '15px', border: '2px solid #ddd', borderRadius: '8px', backgroundColor: '#fff', cursor: 'pointer', textAlign: 'center' },
   classButtonActive: { backgroundColor: '#1976d2', color: '#fff', borderColor: '#1976d2' },
@@ -1299,6 +4301,35 @@ const styles = {
   statLabel: { fontSize: '12px', fontWeight: 'bold', color: '#666' },
   statValue: { fontSize: '20px', fontWeight: 'bold', marginTop: '5px' },
   absentSection: { marginTop: '20px', padding: '15px', backgroundColor: '#f9f9f9', borderRadius: '4px' },
+  sessionBar: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '15px', padding: '12px 15px', marginBottom: '15px', border: '1px solid #ddd', borderRadius: '8px', backgroundColor: '#f9f9f9', fontSize: '14px' },
+  sessionOpen: { backgroundColor: '#e8f5e9', borderColor: '#a5d6a7' },
+  sessionCancelled: { backgroundColor: '#fff8e1', borderColor: '#ffe082' },
+  wizard: { border: '1px solid #ddd', borderRadius: '8px', padding: '15px', marginBottom: '20px', backgroundColor: '#fafafa' },
+  checkboxLabel: { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', margin: '10px 0' },
+  wizardGrid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '15px' },
+  errorText: { color: '#d92d20', fontSize: '14px' },
+  failureBox: { backgroundColor: '#fff3f3', border: '1px solid #ff6b6b', borderRadius: '4px', padding: '15px', marginBottom: '15px', fontSize: '14px' },
+  cell_error: { backgroundColor: '#ffebee' },
+  cell_warning: { backgroundColor: '#fff8e1' },
+  cellInput: { padding: '4px 6px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '12px', background: 'transparent' },
+  cellMessage: { fontSize: '11px', color: '#b71c1c', marginTop: '2px' },
+  buttonDisabled: { opacity: 0.5, cursor: 'not-allowed' },
+  scannerVideo: { width: '100%', borderRadius: '8px', backgroundColor: '#000' },
+  scanResult: { margin: '10px 0', padding: '12px', borderRadius: '4px', fontSize: '16px', fontWeight: 'bold', textAlign: 'center', color: '#fff' },
+  scanOk: { backgroundColor: '#4caf50' },
+  scanRefused: { backgroundColor: '#e53935' },
+  chartGrid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '15px', marginTop: '20px' },
+  chartBox: { backgroundColor: '#fff', border: '1px solid #eee', borderRadius: '8px', padding: '12px' },
+  chart: { width: '100%', height: 'auto', display: 'block' },
+  markingBar: { display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap', marginBottom: '10px' },
+  markingProgress: { flex: '1 1 120px', height: '8px', backgroundColor: '#eee', borderRadius: '4px', overflow: 'hidden' },
+  markingProgressFill: { height: '100%', backgroundColor: '#4caf50', transition: 'width 0.2s' },
+  markingFlow: { position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, backgroundColor: '#fff', zIndex: 1500, display: 'flex', flexDirection: 'column', gap: '20px', padding: '20px', touchAction: 'none' },
+  markingCard: { flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center', alignItems: 'center', gap: '10px', textAlign: 'center' },
+  markingName: { fontSize: '28px', fontWeight: 'bold' },
+  markingButtons: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(70px, 1fr))', gap: '10px' },
+  markingButton: { padding: '20px 0', fontSize: '24px', fontWeight: 'bold' },
+  markingButtonLabel: { fontSize: '12px', fontWeight: 'normal' },
   toast: { position: 'fixed', bottom: '20px', right: '20px', backgroundColor: '#4caf50', color: '#fff', padding: '15px 20px', borderRadius: '4px', boxShadow: '0 2px 8px rgba(0,0,0,0.2)', zIndex: 2000 },
 };
 
@@ -1,12 +1,13 @@
 import { Link } from 'react-router-dom';
+import { CHURCH_NAME_AM, SCHOOL_NAME_AM } from '../data/school';
 
 const LandingPage = () => (
   <div className="landing-page landing-centered">
     <header className="landing-hero card landing-hero-minimal">
       <h1 className="landing-title-am">
-        የፍኖተ ሎዛ ቅድስት ማርያም ቤተ ክርስቲያን
+        {CHURCH_NAME_AM}
         <br />
-        መራሔ ጽድቅ ሰንበት ትምህርት ቤት 
+        {SCHOOL_NAME_AM}
       </h1>
       <div className="hero-actions hero-actions-centered">
         <Link className="btn btn-primary" to="/auth">
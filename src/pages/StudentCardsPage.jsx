@@ -0,0 +1,110 @@
+// src/pages/StudentCardsPage.jsx
+import { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../components/AuthProvider';
+import { fetchClassStudents } from '../lib/students';
+import { classLabel } from '../lib/classCatalog';
+import { cardQrSvg } from '../lib/studentCards';
+import { SCHOOL_NAME_AM } from '../data/school';
+
+/*
+  Print-ready sheet of ID cards for one class: name, class, roll number and a
+  QR code the dashboard scanner reads. Cards are credit-card size (85.6 × 54 mm),
+  eight to an A4 page; the print dialog should be set to 100% scale.
+*/
+
+const StudentCardsPage = () => {
+  const { classId } = useParams();
+  const { permissions } = useAuth();
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const students = await fetchClassStudents(classId);
+        const withQr = await Promise.all(students.map(async (student) => ({ student, qr: await cardQrSvg(student) })));
+        if (!cancelled) setCards(withQr);
+      } catch (err) {
+        console.error('Failed to build ID cards', err);
+        if (!cancelled) setError('Could not load this class.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [classId]);
+
+  if (!permissions.canSeeClass(classId)) {
+    return (
+      <div style={styles.container}>
+        <p>You do not have access to this class.</p>
+        <Link to="/app" style={styles.backLink}>
+          ← Back to dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header} className="no-print">
+        <div>
+          <h1 style={styles.title}>ID cards · {classLabel(classId)}</h1>
+          <div style={styles.meta}>{loading ? 'Loading…' : `${cards.length} students`}</div>
+        </div>
+        <div style={styles.buttonGroup}>
+          <button onClick={() => window.print()} disabled={loading || !cards.length} style={styles.buttonSecondary}>
+            Print
+          </button>
+          <Link to="/app" style={styles.backLink}>
+            ← Back to dashboard
+          </Link>
+        </div>
+      </header>
+
+      {error && <p>{error}</p>}
+      {!loading && !error && cards.length === 0 && <p>No active students in this class.</p>}
+
+      <div style={styles.sheet}>
+        {cards.map(({ student, qr }) => (
+          <div key={student.id} style={styles.card}>
+            <div style={styles.cardText}>
+              <div style={styles.school}>{SCHOOL_NAME_AM}</div>
+              <div style={styles.name}>{student.name}</div>
+              <div style={styles.detail}>{classLabel(student.classId)}</div>
+              <div style={styles.detail}>Roll {student.rollNumber || '—'}</div>
+            </div>
+            <div style={styles.qr} dangerouslySetInnerHTML={{ __html: qr }} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const styles = {
+  container: { maxWidth: '1000px', margin: '0 auto', padding: '20px', fontFamily: 'Arial, sans-serif' },
+  header: { display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '20px', gap: '10px' },
+  title: { fontSize: '22px', fontWeight: 'bold', margin: 0 },
+  backLink: { fontSize: '14px', color: '#1976d2' },
+  meta: { fontSize: '12px', color: '#777', marginTop: '4px' },
+  buttonGroup: { display: 'flex', gap: '10px', alignItems: 'center' },
+  buttonSecondary: { padding: '6px 12px', border: '1px solid #ddd', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '12px' },
+  sheet: { display: 'grid', gridTemplateColumns: 'repeat(2, 85.6mm)', gap: '4mm', justifyContent: 'center' },
+  card: { width: '85.6mm', height: '54mm', boxSizing: 'border-box', border: '1px solid #999', borderRadius: '3mm', padding: '4mm', display: 'flex', gap: '3mm', alignItems: 'center', backgroundColor: '#fff', breakInside: 'avoid' },
+  cardText: { flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', gap: '1.5mm' },
+  school: { fontSize: '8pt', color: '#555' },
+  name: { fontSize: '13pt', fontWeight: 'bold', overflowWrap: 'anywhere' },
+  detail: { fontSize: '9pt' },
+  qr: { width: '30mm', height: '30mm', flex: 'none' },
+};
+
+export default StudentCardsPage;
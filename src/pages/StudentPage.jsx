@@ -0,0 +1,362 @@
+// src/pages/StudentPage.jsx
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ATTENDANCE_STATUSES, getStatus, normalizeStatusCode } from '../data/attendanceStatuses';
+import { useAuth } from '../components/AuthProvider';
+import { fetchStudent, fetchStudentAttendance } from '../lib/students';
+import { classLabel } from '../lib/classCatalog';
+import { createClassResolver, fetchClassHistory } from '../lib/classPromotion';
+import { fetchSessionsForClasses } from '../lib/classSessions';
+import { fetchAcademicYears } from '../lib/academicTerms';
+import { addNote, deleteNote, fetchNotes } from '../lib/studentNotes';
+import { archiveReasonLabel } from '../lib/studentArchive';
+import { buildTimeline, computeStreaks, enrolment, ethiopianYearOf, excusedDays, heatmapMonths, summarize, summarizeByTerm } from '../lib/studentStats';
+import { formatDate, formatDateRange, todayIso } from '../lib/ethiopianCalendar';
+
+/*
+  One student's attendance across years: heat-map per month, streaks, rate per
+  term, permission days, class moves and teacher notes. The print button gives
+  a one-page version for parent meetings (controls are hidden by .no-print).
+*/
+
+const StudentPage = () => {
+  const { id } = useParams();
+  const { user, profile, permissions } = useAuth();
+  const calendar = localStorage.getItem('senbet.calendar') || 'ethiopian';
+
+  const [student, setStudent] = useState(null);
+  const [records, setRecords] = useState({});
+  const [history, setHistory] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [academicYears, setAcademicYears] = useState([]);
+  const [notes, setNotes] = useState([]);
+  const [noteDraft, setNoteDraft] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [heatmapYear, setHeatmapYear] = useState(null);
+  const [toast, setToast] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const found = await fetchStudent(id);
+      if (!found) {
+        setError('Student not found.');
+        return;
+      }
+      const [attendance, moves, years, studentNotes] = await Promise.all([
+        fetchStudentAttendance(id, normalizeStatusCode),
+        fetchClassHistory(id),
+        fetchAcademicYears().catch(() => []),
+        fetchNotes(id).catch(() => []),
+      ]);
+      const classIds = [...new Set([found.classId, ...moves.map((m) => m.classId)])];
+      setStudent(found);
+      setRecords(attendance);
+      setHistory(moves);
+      setAcademicYears(years);
+      setNotes(studentNotes);
+      setSessions(await fetchSessionsForClasses(classIds));
+    } catch (err) {
+      console.error('Failed to load student profile', err);
+      setError('Could not load this student.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!toast) return undefined;
+    const t = setTimeout(() => setToast(''), 3500);
+    return () => clearTimeout(t);
+  }, [toast]);
+
+  const timeline = useMemo(() => {
+    if (!student) return [];
+    const { classOn } = createClassResolver(history);
+    return buildTimeline(records, sessions, (date) => classOn(student, date), enrolment(student));
+  }, [student, history, records, sessions]);
+
+  const overall = useMemo(() => summarize(timeline), [timeline]);
+  const streaks = useMemo(() => computeStreaks(timeline), [timeline]);
+  const byTerm = useMemo(() => summarizeByTerm(timeline, academicYears), [timeline, academicYears]);
+  const permissionDays = useMemo(() => excusedDays(timeline).reverse(), [timeline]);
+  const codeByDate = useMemo(() => Object.fromEntries(timeline.map(({ date, code }) => [date, code])), [timeline]);
+
+  // heat-map covers one Ethiopian year, the current one unless another is picked
+  const yearOptions = useMemo(() => {
+    const years = new Set(timeline.map(({ date }) => ethiopianYearOf(date).from));
+    years.add(ethiopianYearOf(todayIso()).from);
+    return [...years].sort().reverse();
+  }, [timeline]);
+  const heatmapStart = heatmapYear || yearOptions[0];
+  const heatmap = useMemo(() => {
+    if (!heatmapStart) return [];
+    const { from, to } = ethiopianYearOf(heatmapStart);
+    return heatmapMonths(from, to, calendar);
+  }, [heatmapStart, calendar]);
+
+  const classMoves = useMemo(() => {
+    const sorted = [...history].sort((a, b) => (a.until < b.until ? -1 : 1));
+    return [...sorted.map((h) => ({ classId: h.classId, until: h.until })), { classId: student?.classId, until: null }];
+  }, [history, student]);
+
+  const canWriteNotes = student && permissions.canEditStudents(student.classId);
+
+  const handleAddNote = async (evt) => {
+    evt.preventDefault();
+    if (!noteDraft.trim()) return;
+    try {
+      const note = await addNote(student.id, noteDraft.trim(), { user, profile });
+      setNotes((prev) => [note, ...prev]);
+      setNoteDraft('');
+    } catch (err) {
+      console.error('Failed to add note', err);
+      setToast('Could not save the note.');
+    }
+  };
+
+  const handleDeleteNote = async (note) => {
+    if (!window.confirm('Delete this note?')) return;
+    try {
+      await deleteNote(note.id);
+      setNotes((prev) => prev.filter((n) => n.id !== note.id));
+    } catch (err) {
+      console.error('Failed to delete note', err);
+      setToast('Could not delete the note.');
+    }
+  };
+
+  if (loading) return <div style={styles.container}>Loading…</div>;
+  if (error || !student || !permissions.canSeeClass(student.classId)) {
+    return (
+      <div style={styles.container}>
+        <p>{error || 'You do not have access to this student.'}</p>
+        <Link to="/app" style={styles.backLink}>
+          ← Back to dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <header style={styles.header}>
+        <div>
+          <h1 style={styles.title}>{student.name}</h1>
+          <div style={styles.meta}>
+            {classLabel(student.classId)} · Roll {student.rollNumber || '—'} · Age {student.age || '—'} · {[student.phone, student.altPhone].filter(Boolean).join(', ') || 'No phone'}
+          </div>
+          {student.archivedAt && <div style={styles.archivedNote}>Archived: {archiveReasonLabel(student.archiveReason)}</div>}
+        </div>
+        <div style={styles.buttonGroup} className="no-print">
+          <button onClick={() => window.print()} style={styles.buttonSecondary}>
+            Print
+          </button>
+          <Link to="/app" style={styles.backLink}>
+            ← Back to dashboard
+          </Link>
+        </div>
+      </header>
+
+      <div style={styles.statGrid}>
+        <div style={styles.statCard}>
+          <div style={styles.statValue}>{overall.rate == null ? '—' : `${overall.rate}%`}</div>
+          <div style={styles.meta}>attendance over {overall.days} class days</div>
+        </div>
+        <div style={styles.statCard}>
+          <div style={styles.statValue}>{streaks.current}</div>
+          <div style={styles.meta}>current present streak</div>
+        </div>
+        <div style={styles.statCard}>
+          <div style={styles.statValue}>{streaks.longest}</div>
+          <div style={styles.meta}>longest present streak</div>
+        </div>
+        <div style={styles.statCard}>
+          {ATTENDANCE_STATUSES.filter((s) => overall.counts[s.code] > 0).map((s) => (
+            <div key={s.code} style={styles.meta}>
+              <span style={{ ...styles.swatch, backgroundColor: s.color }} /> {s.label}: {overall.counts[s.code]}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <section style={styles.section}>
+        <div style={styles.sectionHeader}>
+          <h2 style={styles.subtitle}>Attendance calendar</h2>
+          <select value={heatmapStart} onChange={(e) => setHeatmapYear(e.target.value)} style={styles.select} className="no-print">
+            {yearOptions.map((from) => (
+              <option key={from} value={from}>
+                {formatDateRange(from, ethiopianYearOf(from).to, calendar)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div style={styles.heatmap}>
+          {heatmap.map((month) => (
+            <div key={month.key} style={styles.heatmapRow}>
+              <div style={styles.heatmapLabel}>{month.label}</div>
+              {month.cells.map((cell) => {
+                const status = getStatus(codeByDate[cell.date]);
+                return (
+                  <div
+                    key={cell.date}
+                    title={`${formatDate(cell.date, calendar, { withYear: true })}${status ? ` — ${status.label}` : ''}`}
+                    style={{ ...styles.heatmapCell, ...(status ? { backgroundColor: status.color } : {}) }}
+                  />
+                );
+              })}
+            </div>
+          ))}
+        </div>
+        <div style={styles.legend}>
+          {ATTENDANCE_STATUSES.filter((s) => s.enabled).map((s) => (
+            <span key={s.code} style={styles.meta}>
+              <span style={{ ...styles.swatch, backgroundColor: s.color }} /> {s.label}
+            </span>
+          ))}
+        </div>
+      </section>
+
+      <section style={styles.section}>
+        <h2 style={styles.subtitle}>By term</h2>
+        {byTerm.length === 0 ? (
+          <p style={styles.meta}>No terms with attendance yet.</p>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr style={styles.tableHeader}>
+                <th style={styles.th}>Term</th>
+                <th style={styles.th}>Class days</th>
+                <th style={styles.th}>Rate</th>
+                {ATTENDANCE_STATUSES.filter((s) => s.enabled).map((s) => (
+                  <th key={s.code} style={styles.th}>
+                    {s.code}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {byTerm.map((row) => (
+                <tr key={row.term.id} style={styles.tableRow}>
+                  <td style={styles.td}>
+                    {row.year} ዓ.ም · {row.term.name}
+                  </td>
+                  <td style={styles.td}>{row.days}</td>
+                  <td style={styles.td}>{row.rate}%</td>
+                  {ATTENDANCE_STATUSES.filter((s) => s.enabled).map((s) => (
+                    <td key={s.code} style={styles.td}>
+                      {row.counts[s.code]}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      <div style={styles.columns}>
+        <section style={styles.section}>
+          <h2 style={styles.subtitle}>Permission days</h2>
+          {permissionDays.length === 0 ? (
+            <p style={styles.meta}>None.</p>
+          ) : (
+            <ul style={styles.list}>
+              {permissionDays.map(({ date, code }) => (
+                <li key={date}>
+                  {formatDate(date, calendar, { withYear: true })} — {getStatus(code)?.label}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+
+        <section style={styles.section}>
+          <h2 style={styles.subtitle}>Classes</h2>
+          <ul style={styles.list}>
+            {classMoves.map((move, idx) => (
+              <li key={`${move.classId}-${idx}`}>
+                {classLabel(move.classId)} — {move.until ? `until ${formatDate(move.until, calendar, { withYear: true })}` : 'now'}
+              </li>
+            ))}
+          </ul>
+        </section>
+      </div>
+
+      <section style={styles.section}>
+        <h2 style={styles.subtitle}>Notes</h2>
+        {canWriteNotes && (
+          <form onSubmit={handleAddNote} style={styles.noteForm} className="no-print">
+            <textarea value={noteDraft} onChange={(e) => setNoteDraft(e.target.value)} placeholder="Add a note (parent meeting, follow-up, …)" rows={3} style={styles.textarea} />
+            <button type="submit" disabled={!noteDraft.trim()} style={styles.buttonPrimary}>
+              Add note
+            </button>
+          </form>
+        )}
+        {notes.length === 0 && <p style={styles.meta}>No notes yet.</p>}
+        {notes.map((note) => (
+          <div key={note.id} style={styles.note}>
+            <div style={styles.noteBody}>{note.body}</div>
+            <div style={styles.meta}>
+              {note.authorName} · {formatDate(note.createdAt.slice(0, 10), calendar, { withYear: true })}
+              {(note.createdBy === user?.id || permissions.isAdmin) && (
+                <button onClick={() => handleDeleteNote(note)} style={styles.linkButton} className="no-print">
+                  Delete
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </section>
+
+      {toast && <div style={styles.toast}>{toast}</div>}
+    </div>
+  );
+};
+
+// ---------------- styles ----------------
+const styles = {
+  container: { maxWidth: '1000px', margin: '0 auto', padding: '20px', fontFamily: 'Arial, sans-serif' },
+  header: { display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '20px', gap: '10px' },
+  title: { fontSize: '22px', fontWeight: 'bold', margin: 0 },
+  backLink: { fontSize: '14px', color: '#1976d2' },
+  meta: { fontSize: '12px', color: '#777', marginTop: '4px' },
+  archivedNote: { display: 'inline-block', marginTop: '6px', padding: '2px 8px', borderRadius: '4px', backgroundColor: '#fff8e1', fontSize: '12px' },
+  statGrid: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '10px', marginBottom: '20px' },
+  statCard: { backgroundColor: '#fff', border: '1px solid #eee', borderRadius: '8px', padding: '12px' },
+  statValue: { fontSize: '26px', fontWeight: 'bold' },
+  section: { backgroundColor: '#fff', border: '1px solid #eee', borderRadius: '8px', padding: '15px', marginBottom: '15px', breakInside: 'avoid' },
+  sectionHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center' },
+  subtitle: { fontSize: '16px', fontWeight: 'bold', margin: '0 0 10px' },
+  select: { padding: '6px', border: '1px solid #ddd', borderRadius: '4px' },
+  heatmap: { display: 'flex', flexDirection: 'column', gap: '2px', overflowX: 'auto' },
+  heatmapRow: { display: 'flex', alignItems: 'center', gap: '2px' },
+  heatmapLabel: { width: '110px', flex: 'none', fontSize: '11px', color: '#555' },
+  heatmapCell: { width: '14px', height: '14px', flex: 'none', borderRadius: '2px', backgroundColor: '#f0f0f0', printColorAdjust: 'exact', WebkitPrintColorAdjust: 'exact' },
+  legend: { display: 'flex', gap: '12px', marginTop: '8px' },
+  swatch: { display: 'inline-block', width: '10px', height: '10px', borderRadius: '2px', marginRight: '4px', printColorAdjust: 'exact', WebkitPrintColorAdjust: 'exact' },
+  table: { width: '100%', borderCollapse: 'collapse' },
+  tableHeader: { backgroundColor: '#f5f5f5' },
+  th: { padding: '8px', textAlign: 'left', fontWeight: 'bold', borderBottom: '2px solid #ddd', fontSize: '12px' },
+  tableRow: { borderBottom: '1px solid #eee' },
+  td: { padding: '8px', fontSize: '12px' },
+  columns: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '15px' },
+  list: { margin: 0, paddingLeft: '18px', fontSize: '13px' },
+  noteForm: { display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '12px' },
+  textarea: { width: '100%', padding: '8px', border: '1px solid #ddd', borderRadius: '4px', fontSize: '14px', fontFamily: 'inherit' },
+  note: { borderTop: '1px solid #eee', padding: '8px 0' },
+  noteBody: { whiteSpace: 'pre-wrap', fontSize: '14px' },
+  linkButton: { marginLeft: '8px', background: 'none', color: '#e53935', fontSize: '12px', padding: 0 },
+  buttonGroup: { display: 'flex', gap: '10px', alignItems: 'center' },
+  buttonPrimary: { alignSelf: 'flex-start', padding: '6px 12px', border: 'none', borderRadius: '4px', backgroundColor: '#4caf50', color: '#fff', cursor: 'pointer', fontSize: '12px', fontWeight: 'bold' },
+  buttonSecondary: { padding: '6px 12px', border: '1px solid #ddd', borderRadius: '4px', backgroundColor: '#fff', cursor: 'pointer', fontSize: '12px' },
+  toast: { position: 'fixed', bottom: '20px', right: '20px', backgroundColor: '#4caf50', color: '#fff', padding: '15px 20px', borderRadius: '4px', boxShadow: '0 2px 8px rgba(0,0,0,0.2)', zIndex: 2000 },
+};
+
+export default StudentPage;
@@ -1,7 +1,67 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { VitePWA } from 'vite-plugin-pwa';
+import { APP_DESCRIPTION, APP_SHORT_NAME, CHURCH_NAME_AM, SCHOOL_NAME_AM } from './src/data/school.js';
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    VitePWA({
+      // new versions wait for the teacher to accept the update prompt
+      registerType: 'prompt',
+      includeAssets: ['vite.svg', 'offline.html', 'icons/*.png'],
+      manifest: {
+        name: `${CHURCH_NAME_AM} ${SCHOOL_NAME_AM}`,
+        short_name: APP_SHORT_NAME,
+        description: APP_DESCRIPTION,
+        lang: 'am',
+        start_url: '/app',
+        scope: '/',
+        display: 'standalone',
+        background_color: '#f6f2ea',
+        theme_color: '#b5232a',
+        icons: [
+          { src: '/icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+          { src: '/icons/icon-512.png', sizes: '512x512', type: 'image/png' },
+          { src: '/icons/icon-maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        // app shell + bundled Ethiopic font files (woff2) for the page
+        globPatterns: ['**/*.{js,css,html,svg,png,woff2}'],
+        // the PDF generator (pdf-lib, fontkit, over 1 MB) and its woff fonts are only
+        // downloaded when a teacher first makes a PDF, then cached below
+        globIgnores: ['**/pdfDocument-*.js'],
+        maximumFileSizeToCacheInBytes: 4 * 1024 * 1024,
+        // the SPA routes boot from the cached shell when there is no network
+        navigateFallback: 'index.html',
+        navigateFallbackAllowlist: [/^\/$/, /^\/auth\/?$/, /^\/app(\/.*)?$/],
+        runtimeCaching: [
+          {
+            urlPattern: ({ url, sameOrigin }) => sameOrigin && /\/assets\/(pdfDocument-.*\.js|.*\.woff)$/.test(url.pathname),
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'pdf-generator',
+              expiration: { maxEntries: 10 },
+            },
+          },
+          {
+            urlPattern: /^https:\/\/fonts\.(googleapis|gstatic)\.com\/.*/i,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'google-fonts',
+              expiration: { maxEntries: 20, maxAgeSeconds: 60 * 60 * 24 * 365 },
+              cacheableResponse: { statuses: [0, 200] },
+            },
+          },
+          {
+            // any other page: try the network, show offline.html without it
+            urlPattern: ({ request }) => request.mode === 'navigate',
+            handler: 'NetworkOnly',
+            options: { precacheFallback: { fallbackURL: 'offline.html' } },
+          },
+        ],
+      },
+    }),
+  ],
 });
-